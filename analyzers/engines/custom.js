@@ -0,0 +1,59 @@
+// analyzers/engines/custom.js
+// Engines declared in neuron.config.yml (analyzers.custom): any command that prints JSON
+// on stdout, in one of the formats Neuron already reads.
+//   - name: bandit
+//     command: [bandit, -r, ., -f, sarif]
+//     format: sarif          # unified (default) | sarif | semgrep
+//     timeout_ms: 60000
+//     ok_exit_codes: [0, 1]
+
+import { normalizeSemgrepJson } from "../normalize-findings.js";
+import { normalizeSarif } from "../sarif.js";
+
+const SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// `unified` output is trusted only as far as the schema goes; engine is always the config name
+function normalizeUnified(list, name) {
+  if (!Array.isArray(list)) throw new Error("expected a JSON array of findings");
+  return list
+    .filter(f => f && f.file)
+    .map(f => {
+      const severity = String(f.severity || "").toUpperCase();
+      const ruleId = String(f.rule_id || "custom");
+      return {
+        id: `${name}.${ruleId}`,
+        engine: name,
+        rule_id: ruleId,
+        severity: SEVERITIES.includes(severity) ? severity : "MEDIUM",
+        file: String(f.file).replace(/\\/g, "/").replace(/^\.\//, ""),
+        start_line: Number(f.start_line) || 0,
+        end_line: Number(f.end_line || f.start_line) || 0,
+        title: String(f.title || f.message || ruleId).split("\n")[0].slice(0, 120),
+        message: String(f.message || f.title || ruleId),
+        metadata: { ruleCategory: f.metadata?.ruleCategory ?? null, docs: f.metadata?.docs ?? null, raw: null }
+      };
+    });
+}
+
+export function customEngine(def) {
+  const name = def.name;
+  const format = def.format || "unified";
+  return {
+    name,
+    custom: true,
+    timeoutMs: def.timeout_ms || 60000,
+    okExitCodes: def.ok_exit_codes || [0],
+    detect() {
+      return { ok: true };
+    },
+    command() {
+      return def.command;
+    },
+    parse(stdout, { workdir }) {
+      const json = JSON.parse(stdout || "null");
+      if (format === "sarif") return normalizeSarif(json, { root: workdir }).map(f => ({ ...f, engine: name, id: `${name}.${f.rule_id}` }));
+      if (format === "semgrep") return normalizeSemgrepJson(json).map(f => ({ ...f, engine: name, id: `${name}.${f.rule_id}` }));
+      return normalizeUnified(json, name);
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// analyzers/engines/eslint.js
+// ESLint with the repo's own config and plugins (needs node_modules, so the registry
+// installs dependencies first; the server only allows that with NEURON_ANALYZER_INSTALL=true).
+// Only the changed JS/TS files are linted.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const CONFIG_FILES = [
+  "eslint.config.js", "eslint.config.mjs", "eslint.config.cjs",
+  "eslint.config.ts", "eslint.config.mts", "eslint.config.cts",
+  ".eslintrc", ".eslintrc.js", ".eslintrc.cjs", ".eslintrc.json", ".eslintrc.yml", ".eslintrc.yaml"
+];
+const LINTABLE = /\.(?:[cm]?jsx?|[cm]?tsx?)$/;
+// Rules whose findings are security issues rather than style
+const SECURITY_RULE = /^(?:no-eval|no-implied-eval|no-new-func|no-script-url|security\/|security-node\/|no-unsanitized\/)/;
+
+function configFile(workdir) {
+  const found = CONFIG_FILES.find(f => fs.existsSync(path.join(workdir, f)));
+  if (found) return found;
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(workdir, "package.json"), "utf8"));
+    if (pkg.eslintConfig) return "package.json#eslintConfig";
+  } catch { /* no package.json */ }
+  return null;
+}
+
+function severityOf(m) {
+  if (m.ruleId && SECURITY_RULE.test(m.ruleId)) return m.severity === 2 ? "HIGH" : "MEDIUM";
+  return m.severity === 2 ? "MEDIUM" : "LOW";
+}
+
+export const eslint = {
+  name: "eslint",
+  timeoutMs: 90000,
+  okExitCodes: [0, 1],
+  needsInstall: true,
+  detect(workdir, { changedPaths }) {
+    const config = configFile(workdir);
+    if (!config) return { ok: false, skipped: true, code: "ESLINT_NO_CONFIG", detail: "no ESLint config in the repo" };
+    const files = changedPaths.filter(p => LINTABLE.test(p) && fs.existsSync(path.join(workdir, p)));
+    if (!files.length) return { ok: false, skipped: true, code: "ESLINT_NO_FILES", detail: "no changed JS/TS files" };
+    return { ok: true, config, files };
+  },
+  // Runs after the dependency install: the repo's own ESLint version, never a global one
+  command(workdir, { detected }) {
+    const bin = path.join(workdir, "node_modules", ".bin", "eslint");
+    if (!fs.existsSync(bin)) return null;
+    return [bin, "--format", "json", "--no-error-on-unmatched-pattern", ...detected.files];
+  },
+  missing: { code: "ESLINT_MISSING", detail: "eslint is not installed in node_modules" },
+  parse(stdout, { workdir }) {
+    const out = [];
+    for (const file of JSON.parse(stdout || "[]")) {
+      const rel = path.relative(workdir, file.filePath).replace(/\\/g, "/");
+      for (const m of file.messages || []) {
+        if (m.fatal || !m.ruleId) continue; // parse errors are the compiler's job
+        out.push({
+          id: `eslint.${m.ruleId}`,
+          engine: "eslint",
+          rule_id: m.ruleId,
+          severity: severityOf(m),
+          file: rel,
+          start_line: m.line || 0,
+          end_line: m.endLine || m.line || 0,
+          title: String(m.message).split("\n")[0].slice(0, 120),
+          message: m.message,
+          metadata: { ruleCategory: "lint", docs: null, raw: null }
+        });
+      }
+    }
+    return out;
+  }
+};
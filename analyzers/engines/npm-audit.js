@@ -0,0 +1,79 @@
+// analyzers/engines/npm-audit.js
+// Known advisories for the dependency tree, straight from package-lock.json
+// (`npm audit --package-lock-only`, no install). Findings are anchored on the line that
+// declares the package: package.json for direct deps, package-lock.json otherwise, so a
+// PR only hears about advisories on dependency lines it touched.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const SEVERITY = { info: "LOW", low: "LOW", moderate: "MEDIUM", high: "HIGH", critical: "CRITICAL" };
+
+function readText(workdir, rel) {
+  try { return fs.readFileSync(path.join(workdir, rel), "utf8"); } catch { return ""; }
+}
+
+// 1-based line of the first line matching `needle`, or 0
+function lineOf(text, needle) {
+  const idx = text.split("\n").findIndex(l => l.includes(needle));
+  return idx + 1;
+}
+
+function advisoryId(via) {
+  const ghsa = /GHSA-[\w-]+/.exec(via.url || "");
+  return ghsa ? ghsa[0] : `npm-${via.source || "advisory"}`;
+}
+
+export const npmAudit = {
+  name: "npm-audit",
+  timeoutMs: 60000,
+  okExitCodes: [0, 1],
+  detect(workdir) {
+    if (!fs.existsSync(path.join(workdir, "package.json"))) {
+      return { ok: false, skipped: true, code: "NPM_AUDIT_NO_PACKAGE", detail: "no package.json" };
+    }
+    if (!fs.existsSync(path.join(workdir, "package-lock.json"))) {
+      return { ok: false, skipped: true, code: "NPM_AUDIT_NO_LOCKFILE", detail: "needs package-lock.json" };
+    }
+    return { ok: true };
+  },
+  command() {
+    return ["npm", "audit", "--json", "--package-lock-only"];
+  },
+  parse(stdout, { workdir }) {
+    const report = JSON.parse(stdout || "{}");
+    // Registry unreachable / audit endpoint errors come back as JSON with exit 1
+    if (report.error || !report.auditReportVersion) {
+      throw Object.assign(new Error(report.error?.summary || report.message || report.error?.code || "no audit report"), { toolFailed: true });
+    }
+    const pkg = readText(workdir, "package.json");
+    const lock = readText(workdir, "package-lock.json");
+    const out = [];
+    for (const [name, vuln] of Object.entries(report.vulnerabilities || {})) {
+      // `via` strings point at other vulnerable packages; their own entries carry the advisory
+      for (const via of (vuln.via || []).filter(v => typeof v === "object")) {
+        const direct = vuln.isDirect && lineOf(pkg, `"${name}"`);
+        const file = direct ? "package.json" : "package-lock.json";
+        const line = direct || lineOf(lock, `"node_modules/${name}"`) || 1;
+        const fix = vuln.fixAvailable === false
+          ? "No fix available yet."
+          : vuln.fixAvailable?.name
+            ? `Fix: update ${vuln.fixAvailable.name} to ${vuln.fixAvailable.version}${vuln.fixAvailable.isSemVerMajor ? " (major)" : ""}.`
+            : "Fix: `npm audit fix`.";
+        out.push({
+          id: `npm-audit.${advisoryId(via)}`,
+          engine: "npm-audit",
+          rule_id: advisoryId(via),
+          severity: SEVERITY[via.severity || vuln.severity] || "MEDIUM",
+          file,
+          start_line: line,
+          end_line: line,
+          title: `${name}: ${via.title || "known vulnerability"}`.slice(0, 120),
+          message: `\`${name}\` ${via.range || vuln.range || ""} is affected by ${via.title || "a known advisory"}. ${fix}`.trim(),
+          metadata: { ruleCategory: "dependency", docs: via.url || null, raw: null }
+        });
+      }
+    }
+    return out;
+  }
+};
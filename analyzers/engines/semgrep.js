@@ -0,0 +1,42 @@
+// analyzers/engines/semgrep.js
+// Semgrep with Neuron's rule pack (SEMGREP_RULES). Found via SEMGREP_BIN, the Render
+// venv, or PATH; `--error` makes it exit 1 when there are findings.
+
+import { execSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { normalizeSemgrepJson } from "../normalize-findings.js";
+
+function which(cmd) {
+  try { return execSync(`which ${cmd}`, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim(); }
+  catch { return null; }
+}
+
+export function getSemgrepBin(env = process.env) {
+  // Prefer explicit env, then venv path (Render), then PATH
+  const hints = [
+    env.SEMGREP_BIN,
+    path.join(process.cwd(), ".venv/bin/semgrep"),
+    "/opt/render/project/src/.venv/bin/semgrep",
+    which("semgrep")
+  ].filter(Boolean);
+  return hints.find(p => {
+    try { return fs.existsSync(p); } catch { return false; }
+  }) || null;
+}
+
+export const semgrep = {
+  name: "semgrep",
+  timeoutMs: 120000,
+  okExitCodes: [0, 1],
+  detect(_workdir, { settings }) {
+    const bin = getSemgrepBin(settings.env);
+    return bin ? { ok: true, bin } : { ok: false, code: "SEMGREP_MISSING", detail: "semgrep binary not found" };
+  },
+  command(_workdir, { detected, settings }) {
+    return [detected.bin, "scan", "--config", settings.semgrepRules, "--json", "--error", "--quiet", "--metrics=off", "."];
+  },
+  parse(stdout) {
+    return normalizeSemgrepJson(JSON.parse(stdout || "{}"));
+  }
+};
@@ -0,0 +1,80 @@
+// analyzers/merge-findings.js
+// ESM module. Scopes unified analyzer findings to the PR diff and merges them
+// with LLM comments into one list the review/summary can render.
+
+import { addedLines } from "../diff.js";
+import { normalizeTitle } from "../baseline.js";
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+function cleanPath(p) {
+  return String(p || "").replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+/**
+ * Keep only findings that touch a changed file AND overlap a line the PR added.
+ * Files without a patch (binary, or too large for GitHub to inline) keep all findings.
+ */
+export function filterToChangedLines(findings, changedFiles) {
+  const byPath = new Map();
+  for (const f of changedFiles || []) {
+    const p = cleanPath(f.filename || f.path);
+    byPath.set(p, f.patch ? addedLines(f.patch) : null);
+  }
+  return (findings || []).filter(f => {
+    const file = cleanPath(f.file);
+    if (!byPath.has(file)) return false;
+    const lines = byPath.get(file);
+    if (!lines) return true;
+    const start = f.start_line || 0;
+    const end = Math.max(f.end_line || start, start);
+    for (let l = start; l <= end; l++) if (lines.has(l)) return true;
+    return false;
+  });
+}
+
+// Unified finding -> the comment shape the LLM plan uses (plus engine/rule labels)
+export function toReviewComment(f) {
+  return {
+    path: cleanPath(f.file),
+    line: f.start_line || 1,
+    severity: f.severity,
+    title: f.title,
+    body: f.message,
+    engine: f.engine,
+    rule_id: f.rule_id
+  };
+}
+
+// Identity of a finding for de-duplication: path, line and what it is about (the rule when an
+// analyzer reported it, else the normalized title), so distinct issues on one line all survive.
+export function findingKey(c) {
+  return `${c.path}:${c.line}:${c.rule_id || normalizeTitle(c.title)}`;
+}
+
+/**
+ * Merge LLM comments and analyzer comments, collapsing duplicates.
+ * Two findings with the same findingKey are treated as one: the higher severity wins
+ * and the engines are joined (e.g. "llm+semgrep") so the report stays honest.
+ * A fix suggestion (LLM only) survives even when the analyzer's finding wins.
+ */
+export function mergeFindings(llmComments, analyzerComments) {
+  const merged = new Map();
+  const all = [
+    ...(llmComments || []).map(c => ({ ...c, engine: c.engine || "llm" })),
+    ...(analyzerComments || [])
+  ];
+  for (const c of all) {
+    const key = findingKey(c);
+    const prev = merged.get(key);
+    if (!prev) {
+      merged.set(key, c);
+      continue;
+    }
+    const engines = new Set([...prev.engine.split("+"), ...c.engine.split("+")]);
+    const winner = (SEVERITY_RANK[c.severity] || 0) > (SEVERITY_RANK[prev.severity] || 0) ? c : prev;
+    const suggestion = winner.suggestion || (winner === c ? prev : c).suggestion;
+    merged.set(key, { ...winner, ...(suggestion ? { suggestion } : {}), engine: Array.from(engines).join("+") });
+  }
+  return Array.from(merged.values());
+}
@@ -0,0 +1,100 @@
+// analyzers/registry.js
+// ESM module. Static analysis engines behind one interface. Each engine declares
+//   detect(workdir, ctx)  -> { ok, ...detected } or { ok: false, skipped?, code, detail }
+//   command(workdir, ctx) -> argv (null = tool not installed)
+//   parse(stdout, ctx)    -> unified findings (throw an error with `toolFailed` when the
+//                            report says the tool itself failed rather than being unreadable)
+// and runAnalyzers runs them one at a time in the sandbox, each with its own timeout, so a
+// missing, slow or crashing engine costs only its own findings.
+
+import path from "node:path";
+import { runCaptured } from "../sandbox.js";
+import { semgrep } from "./engines/semgrep.js";
+import { eslint } from "./engines/eslint.js";
+import { npmAudit } from "./engines/npm-audit.js";
+import { customEngine } from "./engines/custom.js";
+
+export const BUILTIN_ENGINES = [semgrep, eslint, npmAudit];
+export const BUILTIN_ENGINE_NAMES = BUILTIN_ENGINES.map(e => e.name);
+
+function codePrefix(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function cleanFinding(f, engine) {
+  return { ...f, engine: f.engine || engine.name, file: String(f.file || "").replace(/\\/g, "/").replace(/^\.\//, "") };
+}
+
+async function runEngine(engine, workdir, ctx) {
+  const prefix = codePrefix(engine.name);
+  const detected = await engine.detect(workdir, ctx);
+  if (!detected?.ok) {
+    return { code: detected?.skipped ? "SKIPPED" : detected?.code || `${prefix}_MISSING`, detail: detected?.detail || "", findings: [] };
+  }
+  // Installing runs the repo's install scripts and the engine loads repo code (eslint.config.js)
+  if (engine.needsInstall && ctx.settings.allowInstall === false) {
+    return { code: "SKIPPED", detail: "needs a dependency install, which this server doesn't do for analyzers", findings: [] };
+  }
+  if (engine.needsInstall && ctx.prepare) {
+    const prep = await ctx.prepare();
+    if (prep && !prep.ok) return { code: `${prefix}_INSTALL_FAILED`, detail: prep.detail || "", findings: [] };
+  }
+  const argv = engine.command(workdir, { ...ctx, detected });
+  if (!argv) {
+    return { code: engine.missing?.code || `${prefix}_MISSING`, detail: engine.missing?.detail || "", findings: [] };
+  }
+  const timeoutMs = ctx.settings.timeouts?.[engine.name] || engine.timeoutMs;
+  const res = await runCaptured(argv, { cwd: workdir, timeoutMs, memoryMb: ctx.settings.memoryMb });
+  if (res.timedOut) return { code: `${prefix}_TIMEOUT`, detail: `no result after ${timeoutMs}ms`, findings: [] };
+  if (res.code === 127) return { code: `${prefix}_MISSING`, detail: res.stderr.slice(-300), findings: [] };
+  if (res.truncated) return { code: `${prefix}_FAILED`, detail: "report too large", findings: [] };
+  if (!engine.okExitCodes.includes(res.code)) {
+    return { code: `${prefix}_FAILED`, detail: `exit ${res.code}: ${res.stderr.slice(-300)}`, findings: [] };
+  }
+  let findings;
+  try {
+    findings = engine.parse(res.stdout, { ...ctx, workdir, detected });
+  } catch (e) {
+    return { code: `${prefix}_${e?.toolFailed ? "FAILED" : "PARSE_FAILED"}`, detail: String(e?.message || e).slice(0, 300), findings: [] };
+  }
+  return { code: "OK", detail: "", findings: findings.map(f => cleanFinding(f, engine)) };
+}
+
+/**
+ * config: the repo's `analyzers` section (enabled, timeout_ms, custom)
+ * opts.changedPaths: PR files (engines that lint per file only look at these)
+ * opts.settings: { semgrepRules, timeouts, memoryMb, allowCustom, allowInstall, env }; per-repo timeout_ms wins
+ * opts.prepare: async () -> { ok, detail } installing dependencies, called once by engines that need them
+ * -> { findings, diags: [{ name, code, detail, findings, ms }] }; never throws
+ */
+export async function runAnalyzers(workdir, { config = {}, changedPaths = [], settings = {}, prepare = null } = {}) {
+  const enabled = config.enabled || BUILTIN_ENGINE_NAMES;
+  const engines = BUILTIN_ENGINES.filter(e => enabled.includes(e.name));
+  const customDiags = [];
+  for (const def of config.custom || []) {
+    if (settings.allowCustom === false) {
+      customDiags.push({ name: def.name, code: "SKIPPED", detail: "custom analyzers are disabled on this server", findings: 0, ms: 0 });
+    } else {
+      engines.push(customEngine(def));
+    }
+  }
+  const ctx = {
+    changedPaths: changedPaths.map(p => p.split(path.sep).join("/")),
+    settings: { ...settings, timeouts: { ...settings.timeouts, ...config.timeout_ms }, env: settings.env || process.env },
+    prepare
+  };
+  const findings = [];
+  const diags = [];
+  for (const engine of engines) {
+    const started = Date.now();
+    let res;
+    try {
+      res = await runEngine(engine, workdir, ctx);
+    } catch (e) {
+      res = { code: `${codePrefix(engine.name)}_FAILED`, detail: String(e?.message || e).slice(0, 300), findings: [] };
+    }
+    findings.push(...res.findings);
+    diags.push({ name: engine.name, code: res.code, detail: res.detail, findings: res.findings.length, ms: Date.now() - started });
+  }
+  return { findings, diags: [...diags, ...customDiags] };
+}
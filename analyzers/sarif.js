@@ -0,0 +1,241 @@
+// analyzers/sarif.js
+// ESM module. SARIF 2.1.0 in both directions for Neuron's unified findings schema
+// ({ id, engine, rule_id, severity, file, start_line, end_line, title, message, metadata }):
+//  - buildSarifLog: LLM + analyzer findings -> one log, one run per engine, with rule metadata
+//  - normalizeSarif: any tool's SARIF (CodeQL, ESLint, Trivy, ...) -> unified findings
+//  - uploadSarif: push a log to GitHub code scanning
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://github.com/apps/neuron";
+const FINGERPRINT_KEY = "neuron/v1";
+
+const LEVEL = { CRITICAL: "error", HIGH: "error", MEDIUM: "warning", LOW: "note" };
+// GitHub ranks security alerts by this property (0.1 - 10)
+const SECURITY_SEVERITY = { CRITICAL: "9.5", HIGH: "8.0", MEDIUM: "5.5", LOW: "2.0" };
+const SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+function cleanPath(p) {
+  return String(p || "").replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+// Review comment (LLM plan shape, engine-labelled) -> unified finding
+export function fromReviewComment(c) {
+  const engine = String(c.engine || "llm").split("+")[0];
+  const ruleId = c.rule_id || c.rule_ref || (engine === "llm" ? "business-impact" : "finding");
+  return {
+    id: `${engine}.${ruleId}`,
+    engine,
+    rule_id: ruleId,
+    severity: c.severity,
+    file: cleanPath(c.path),
+    start_line: c.line || 1,
+    end_line: c.line || 1,
+    title: c.title,
+    message: c.body || c.title,
+    metadata: { fingerprint: c.fingerprint || null, engines: c.engine || engine, rule_ref: c.rule_ref || null }
+  };
+}
+
+function ruleFor(f) {
+  const docs = f.metadata?.docs;
+  return {
+    id: f.rule_id,
+    name: f.rule_id,
+    shortDescription: { text: String(f.title || f.rule_id).slice(0, 1024) },
+    ...(docs ? { helpUri: String(docs) } : {}),
+    defaultConfiguration: { level: LEVEL[f.severity] || "warning" },
+    properties: {
+      "security-severity": SECURITY_SEVERITY[f.severity] || "5.5",
+      ...(f.metadata?.ruleCategory ? { tags: [String(f.metadata.ruleCategory)] } : {})
+    }
+  };
+}
+
+function resultFor(f, ruleIndex) {
+  const start = Math.max(1, Number(f.start_line) || 1);
+  const end = Math.max(start, Number(f.end_line) || start);
+  return {
+    ruleId: f.rule_id,
+    ruleIndex,
+    level: LEVEL[f.severity] || "warning",
+    message: { text: f.title && f.message !== f.title ? `${f.title}\n\n${f.message}` : String(f.message || f.title || f.rule_id) },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: cleanPath(f.file), uriBaseId: "%SRCROOT%" },
+        region: { startLine: start, endLine: end }
+      }
+    }],
+    ...(f.metadata?.fingerprint ? { partialFingerprints: { [FINGERPRINT_KEY]: f.metadata.fingerprint } } : {}),
+    properties: {
+      severity: f.severity,
+      ...(f.metadata?.engines && f.metadata.engines !== f.engine ? { engines: f.metadata.engines } : {}),
+      ...(f.metadata?.rule_ref ? { rule_ref: f.metadata.rule_ref } : {})
+    }
+  };
+}
+
+/**
+ * findings: unified findings (use fromReviewComment for LLM/merged comments)
+ * opts.version: Neuron's version for the tool driver -> SARIF 2.1.0 log object
+ * Engines each get their own run so code scanning attributes results to the right tool.
+ */
+export function buildSarifLog(findings, { version = "" } = {}) {
+  const byEngine = new Map();
+  for (const f of findings || []) {
+    const engine = f.engine || "llm";
+    if (!byEngine.has(engine)) byEngine.set(engine, []);
+    byEngine.get(engine).push(f);
+  }
+  const runs = [...byEngine].map(([engine, list]) => {
+    const rules = [];
+    const ruleIndex = new Map();
+    const results = list.map(f => {
+      if (!ruleIndex.has(f.rule_id)) {
+        ruleIndex.set(f.rule_id, rules.length);
+        rules.push(ruleFor(f));
+      }
+      return resultFor(f, ruleIndex.get(f.rule_id));
+    });
+    return {
+      tool: {
+        driver: {
+          name: engine === "llm" ? "Neuron" : engine,
+          ...(engine === "llm" ? { informationUri: INFORMATION_URI, ...(version ? { semanticVersion: version } : {}) } : {}),
+          rules
+        }
+      },
+      // code scanning keeps one analysis per category; engines must not replace each other
+      automationDetails: { id: `neuron/${engine}/` },
+      results
+    };
+  });
+  return { $schema: SARIF_SCHEMA, version: "2.1.0", runs };
+}
+
+/* ---------- import ---------- */
+
+// properties.severity (our own logs) > security-severity (GitHub convention) > SARIF level
+function severityOf(result, rule) {
+  const own = String(result.properties?.severity || "").toUpperCase();
+  if (SEVERITIES.includes(own)) return own;
+  const score = Number(result.properties?.["security-severity"] ?? rule?.properties?.["security-severity"]);
+  if (Number.isFinite(score) && score > 0) {
+    return score >= 9 ? "CRITICAL" : score >= 7 ? "HIGH" : score >= 4 ? "MEDIUM" : "LOW";
+  }
+  const level = result.level || rule?.defaultConfiguration?.level || "warning";
+  return level === "error" ? "HIGH" : level === "warning" ? "MEDIUM" : "LOW";
+}
+
+// artifact uri -> repo-relative path; absolute file:// uris are made relative to `root`
+function repoPath(uri, root) {
+  let p = String(uri || "");
+  try { p = decodeURIComponent(p); } catch { /* keep as is */ }
+  p = p.replace(/^file:\/\//, "");
+  if (root && path.isAbsolute(p)) p = path.relative(root, p);
+  return cleanPath(p);
+}
+
+function engineName(driver) {
+  return String(driver?.name || "sarif").toLowerCase().replace(/[^a-z0-9._-]+/g, "-");
+}
+
+/**
+ * log: parsed SARIF 2.1.0; opts.root: checkout path for absolute uris
+ * -> unified findings (results without a file location are skipped)
+ */
+export function normalizeSarif(log, { root = "" } = {}) {
+  const out = [];
+  for (const run of Array.isArray(log?.runs) ? log.runs : []) {
+    const driver = run.tool?.driver || {};
+    const engine = engineName(driver);
+    const rules = Array.isArray(driver.rules) ? driver.rules : [];
+    const ruleById = new Map(rules.map(r => [r.id, r]));
+    for (const r of Array.isArray(run.results) ? run.results : []) {
+      const loc = r.locations?.[0]?.physicalLocation;
+      if (!loc?.artifactLocation?.uri) continue;
+      const rule = (Number.isInteger(r.ruleIndex) ? rules[r.ruleIndex] : null) || ruleById.get(r.ruleId) || r.rule || null;
+      const ruleId = r.ruleId || rule?.id || "unknown";
+      const text = String(r.message?.text || rule?.shortDescription?.text || ruleId);
+      const title = rule?.shortDescription?.text || text.split("\n")[0];
+      const start = Number(loc.region?.startLine) || 0;
+      out.push({
+        id: `${engine}.${ruleId}`,
+        engine,
+        rule_id: ruleId,
+        severity: severityOf(r, rule),
+        file: repoPath(loc.artifactLocation.uri, root),
+        start_line: start,
+        end_line: Number(loc.region?.endLine) || start,
+        title: String(title).slice(0, 120),
+        message: text,
+        metadata: {
+          ruleCategory: rule?.properties?.tags?.[0] ?? null,
+          docs: rule?.helpUri ?? null,
+          raw: null
+        }
+      });
+    }
+  }
+  return out;
+}
+
+// Relative paths come from the PR's config: resolve symlinks and stay inside the checkout.
+// Absolute ones are CLI arguments from the local user. -> real path or null
+function sarifPath(workdir, rel) {
+  try {
+    const abs = fs.realpathSync(path.resolve(workdir, rel));
+    if (path.isAbsolute(rel)) return abs;
+    const root = fs.realpathSync(workdir);
+    return abs.startsWith(root + path.sep) && fs.statSync(abs).isFile() ? abs : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read SARIF files. paths: relative to workdir (neuron.config.yml sarif.import) or absolute (CLI)
+ * -> { findings, sources: [{ path, engines, results }], errors }. Errors end up in PR comments,
+ * so they never quote file content (JSON.parse messages do).
+ */
+export function loadSarifFiles(workdir, paths = []) {
+  const findings = [];
+  const sources = [];
+  const errors = [];
+  for (const rel of paths) {
+    const abs = sarifPath(workdir, rel);
+    if (!abs) {
+      errors.push(`${rel}: not found in the checkout`);
+      continue;
+    }
+    try {
+      const log = JSON.parse(fs.readFileSync(abs, "utf8"));
+      if (log?.version !== "2.1.0") errors.push(`${rel}: SARIF version ${log?.version ?? "missing"} (expected 2.1.0); read anyway`);
+      const list = normalizeSarif(log, { root: workdir });
+      findings.push(...list);
+      sources.push({ path: rel, engines: [...new Set(list.map(f => f.engine))], results: list.length });
+    } catch (e) {
+      errors.push(`${rel}: ${e instanceof SyntaxError ? "not valid JSON" : "not a readable SARIF log"}`);
+    }
+  }
+  return { findings, sources, errors };
+}
+
+/* ---------- code scanning upload ---------- */
+
+/**
+ * Needs the `security_events: write` permission (GitHub App) or a token with security_events.
+ * -> { id, url } or { error }; never throws so a failed upload can't sink the review.
+ */
+export async function uploadSarif(gh, { owner, repo, commit_sha, ref, log }) {
+  try {
+    const sarif = zlib.gzipSync(Buffer.from(JSON.stringify(log), "utf8")).toString("base64");
+    const { data } = await gh.codeScanning.uploadSarif({ owner, repo, commit_sha, ref, sarif, tool_name: "Neuron" });
+    return { id: data.id, url: data.url };
+  } catch (e) {
+    return { error: `${e?.status || "error"}: ${String(e?.message || e).slice(0, 200)}` };
+  }
+}
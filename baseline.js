@@ -1,21 +1,34 @@
 // baseline.js
 // Persist and consult a repo-local baseline to avoid repeating suggestions forever.
-// We record (path, line, title) + the file's content SHA at time of suggestion.
-// If the file hasn't changed, we skip resurfacing the same suggestion.
+//
+// v2 fingerprints a finding by its path, a normalized title and the normalized code
+// around the flagged line, so unrelated edits elsewhere in the file (or code moving a
+// few lines) don't make an old finding look new. Each entry carries a state:
+//   suggested -> we posted it; skipped while fresh, turns `expired` after the TTL
+//   dismissed -> `/neuron ignore <id>`; never resurfaces
+//   fixed     -> the flagged code is gone from the file; resurfaces only if it comes back
+//   expired   -> TTL passed; may be suggested again
+// v1 files ({ suggestions: [{ fp: "path:line:title", file_sha }] }) are migrated on read.
 
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
 
-const BASELINE_PATH = ".neuron/baseline.json";
+export const BASELINE_PATH = ".neuron/baseline.json";
+const VERSION = 2;
+const CONTEXT_RADIUS = 2; // lines above/below the flagged line
+export const DEFAULT_TTL_DAYS = 30;
 
-export function fileSha(absPath) {
-  try {
-    const buf = fs.readFileSync(absPath);
-    return crypto.createHash("sha256").update(buf).digest("hex");
-  } catch {
-    return "";
-  }
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function emptyBaseline() {
+  return { version: VERSION, entries: [] };
 }
 
 export function ensureBaselineDir(workdir) {
@@ -23,64 +36,248 @@ export function ensureBaselineDir(workdir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
+/* ---------- fingerprints ---------- */
+
+export function normalizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[`'"]/g, "")
+    .replace(/\d+/g, "#")
+    .replace(/[^a-z#]+/g, " ")
+    .trim();
+}
+
+function normalizeLine(line) {
+  return line.trim().replace(/\s+/g, " ");
+}
+
+function readLines(workdir, rel) {
+  try {
+    return fs.readFileSync(path.join(workdir, rel), "utf8").split(/\r?\n/);
+  } catch {
+    return null;
+  }
+}
+
+// Non-blank, whitespace-normalized lines around `line` (1-based)
+function contextAt(lines, line) {
+  const from = Math.max(0, line - 1 - CONTEXT_RADIUS);
+  const to = Math.min(lines.length, line + CONTEXT_RADIUS);
+  return lines.slice(from, to).map(normalizeLine).filter(Boolean).join("\n");
+}
+
+// -> { id, fp, context_hash }; id is the short form users paste into `/neuron ignore`
+export function fingerprintComment(workdir, c) {
+  const lines = readLines(workdir, c.path) || [];
+  const context = contextAt(lines, c.line || 1);
+  const context_hash = sha256(context);
+  const fp = sha256(`${c.path}\n${normalizeTitle(c.title)}\n${context_hash}`);
+  return { id: fp.slice(0, 12), fp, context_hash };
+}
+
+// Returns copies of the comments with `fingerprint` (short id) attached.
+export function annotateFingerprints(workdir, comments) {
+  return (comments || []).map(c => ({ ...c, fingerprint: fingerprintComment(workdir, c).id }));
+}
+
+/* ---------- read / write / migrate ---------- */
+
+// v1 fingerprint was the literal "path:line:title"; its short id was sha256(fp).slice(0, 12)
+function legacyId(fp) {
+  return sha256(fp).slice(0, 12);
+}
+
+function migrateV1(json, workdir) {
+  const out = emptyBaseline();
+  const dismissed = new Map((json.dismissals || []).map(d => [d.id, d]));
+
+  for (const s of json.suggestions || []) {
+    if (!s?.fp) continue;
+    const oldId = legacyId(s.fp);
+    const rest = s.path && s.fp.startsWith(`${s.path}:`) ? s.fp.slice(s.path.length + 1) : "";
+    const m = /^(\d+):(.*)$/.exec(rest);
+    const entry = {
+      id: oldId,
+      fp: null,
+      context_hash: null,
+      path: s.path || null,
+      title: m ? m[2] : null,
+      line: m ? Number(m[1]) : null,
+      state: dismissed.has(oldId) ? "dismissed" : "suggested",
+      pr: dismissed.get(oldId)?.pr || null,
+      first_seen_at: s.first_seen_at || now(),
+      updated_at: s.updated_at || now(),
+      legacy: true
+    };
+    if (dismissed.has(oldId)) {
+      entry.dismissed_by = dismissed.get(oldId).dismissed_by || null;
+      dismissed.delete(oldId);
+    }
+    out.entries.push(entry);
+  }
+  // Dismissals that never matched a recorded suggestion still have to stick
+  for (const d of dismissed.values()) {
+    out.entries.push({
+      id: d.id, fp: null, context_hash: null, path: null, title: null, line: null,
+      state: "dismissed", pr: d.pr || null, dismissed_by: d.dismissed_by || null,
+      first_seen_at: d.dismissed_at || now(), updated_at: d.dismissed_at || now(), legacy: true
+    });
+  }
+  if (workdir) upgradeLegacy(workdir, out);
+  return out;
+}
+
+// Re-fingerprint migrated v1 entries against the current checkout (their old line is our best guess)
+function upgradeLegacy(workdir, baseline) {
+  for (const e of baseline.entries) {
+    if (!e.legacy || !e.path || !e.title || !e.line) continue;
+    if (!readLines(workdir, e.path)) continue;
+    const { id, fp, context_hash } = fingerprintComment(workdir, { path: e.path, line: e.line, title: e.title });
+    Object.assign(e, { id, fp, context_hash });
+    delete e.legacy;
+  }
+}
+
+// Parse baseline JSON text (from disk or the Contents API); never throws.
+// Pass `workdir` when a checkout is available so v1 entries get real v2 fingerprints.
+export function parseBaseline(text, workdir = null) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return emptyBaseline();
+  }
+  if (!json || typeof json !== "object") return emptyBaseline();
+  if (json.version === VERSION && Array.isArray(json.entries)) {
+    if (workdir) upgradeLegacy(workdir, json);
+    return json;
+  }
+  if (Array.isArray(json.suggestions) || Array.isArray(json.dismissals)) return migrateV1(json, workdir);
+  return emptyBaseline();
+}
+
+export function serializeBaseline(baseline) {
+  return JSON.stringify(baseline, null, 2) + "\n";
+}
+
 export function readBaseline(workdir) {
   const abs = path.join(workdir, BASELINE_PATH);
+  if (!fs.existsSync(abs)) return emptyBaseline();
   try {
-    if (!fs.existsSync(abs)) return { suggestions: [] };
-    const json = JSON.parse(fs.readFileSync(abs, "utf8"));
-    if (!Array.isArray(json.suggestions)) return { suggestions: [] };
-    return json;
+    return parseBaseline(fs.readFileSync(abs, "utf8"), workdir);
   } catch {
-    return { suggestions: [] };
+    return emptyBaseline();
   }
 }
 
 export function writeBaseline(workdir, baseline) {
   ensureBaselineDir(workdir);
   const abs = path.join(workdir, BASELINE_PATH);
-  fs.writeFileSync(abs, JSON.stringify(baseline, null, 2) + "\n", "utf8");
+  fs.writeFileSync(abs, serializeBaseline(baseline), "utf8");
+}
+
+/* ---------- state ---------- */
+
+function findEntry(baseline, id) {
+  return baseline.entries.find(e => e.id === id);
+}
+
+function setState(entry, state, extra = {}) {
+  entry.state = state;
+  entry.updated_at = now();
+  entry.state_changed_at = entry.updated_at;
+  Object.assign(entry, extra);
 }
 
-export function fpForComment(c) {
-  // Stable fingerprint for a suggestion
-  return `${c.path}:${c.line}:${c.title}`;
+function idOf(workdir, comment) {
+  return comment.fingerprint || fingerprintComment(workdir, comment).id;
 }
 
-// Decide if we should skip a comment because we've already suggested it for the same file state.
+export function isDismissed(baseline, comment) {
+  return findEntry(baseline, comment.fingerprint)?.state === "dismissed";
+}
+
+// Record a dismissal; returns false if it was already dismissed.
+export function dismissFingerprint(baseline, id, { by, pr } = {}) {
+  const existing = findEntry(baseline, id);
+  if (existing?.state === "dismissed") return false;
+  if (existing) {
+    setState(existing, "dismissed", { dismissed_by: by || null, pr: pr || existing.pr || null });
+  } else {
+    const at = now();
+    baseline.entries.push({
+      id, fp: null, context_hash: null, path: null, title: null, line: null,
+      state: "dismissed", pr: pr || null, dismissed_by: by || null,
+      first_seen_at: at, updated_at: at, state_changed_at: at
+    });
+  }
+  return true;
+}
+
+// Skip while the finding is a fresh suggestion or dismissed; fixed/expired findings may come back.
 export function shouldSkipComment(workdir, baseline, comment) {
-  const fp = fpForComment(comment);
-  const abs = path.join(workdir, comment.path);
-  const sha = fileSha(abs);
-  const found = baseline.suggestions.find(s => s.fp === fp);
-  if (!found) return false; // never seen
-  // If file SHA unchanged since we last suggested, skip it.
-  return found.file_sha && sha && found.file_sha === sha;
+  const state = findEntry(baseline, idOf(workdir, comment))?.state;
+  return state === "suggested" || state === "dismissed";
 }
 
 // Update the baseline with newly posted comments.
-export function recordComments(workdir, baseline, postedComments) {
+export function recordComments(workdir, baseline, postedComments, { pr = null } = {}) {
   let changed = false;
   for (const c of postedComments) {
-    const fp = fpForComment(c);
-    const abs = path.join(workdir, c.path);
-    const sha = fileSha(abs);
-    const existing = baseline.suggestions.find(s => s.fp === fp);
+    const { id, fp, context_hash } = fingerprintComment(workdir, c);
+    const existing = findEntry(baseline, id);
     if (existing) {
-      if (sha && existing.file_sha !== sha) {
-        existing.file_sha = sha;
-        existing.updated_at = new Date().toISOString();
-        changed = true;
-      }
-    } else {
-      baseline.suggestions.push({
-        fp,
-        path: c.path,
-        file_sha: sha,
-        first_seen_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
+      if (existing.state === "suggested" || existing.state === "dismissed") continue;
+      setState(existing, "suggested", { pr, line: c.line });
       changed = true;
+      continue;
     }
+    const at = now();
+    baseline.entries.push({
+      id, fp, context_hash,
+      path: c.path, title: c.title, line: c.line,
+      state: "suggested", pr,
+      first_seen_at: at, updated_at: at, state_changed_at: at
+    });
+    changed = true;
   }
   return changed;
 }
+
+// suggested -> expired once older than the TTL; returns the number expired.
+export function expireEntries(baseline, { ttlDays = DEFAULT_TTL_DAYS, at = Date.now() } = {}) {
+  if (!ttlDays || ttlDays <= 0) return 0;
+  const cutoff = at - ttlDays * 24 * 60 * 60 * 1000;
+  let n = 0;
+  for (const e of baseline.entries) {
+    if (e.state !== "suggested") continue;
+    if (Date.parse(e.state_changed_at || e.updated_at || e.first_seen_at) < cutoff) {
+      setState(e, "expired");
+      n++;
+    }
+  }
+  return n;
+}
+
+// suggested -> fixed when this PR touched the file and the flagged code no longer exists in it.
+// `seenIds` are fingerprints the current run reported again (those are clearly not fixed).
+export function markFixed(workdir, baseline, { changedPaths, seenIds, pr = null }) {
+  const touched = new Set(changedPaths || []);
+  const seen = new Set(seenIds || []);
+  let n = 0;
+  for (const e of baseline.entries) {
+    if (e.state !== "suggested" || !e.context_hash || !touched.has(e.path) || seen.has(e.id)) continue;
+    const lines = readLines(workdir, e.path);
+    let stillThere = false;
+    if (lines) {
+      for (let l = 1; l <= lines.length && !stillThere; l++) {
+        stillThere = sha256(contextAt(lines, l)) === e.context_hash;
+      }
+    }
+    if (!stillThere) {
+      setState(e, "fixed", { fixed_in_pr: pr });
+      n++;
+    }
+  }
+  return n;
+}
@@ -0,0 +1,133 @@
+// batching.js
+// Large PRs are reviewed map-reduce style: changed files are grouped by module,
+// packed into batches that fit a token budget, reviewed one batch per LLM call,
+// and the per-batch plans are merged and ranked into one plan.
+
+import { countTokens, charsForTokens } from "./context-pack.js";
+import { findingKey } from "./analyzers/merge-findings.js";
+
+const TRUNCATION_MARK = "\n@@ ...patch truncated by Neuron @@";
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Paginate listFiles; GitHub stops returning files after 3000 per PR.
+export async function listAllPullFiles(gh, { owner, repo, pull_number }) {
+  return gh.paginate(gh.pulls.listFiles, { owner, repo, pull_number, per_page: 100 });
+}
+
+// "src/payments/authorize.ts" -> "src/payments"; root files share "."
+export function moduleKey(filePath) {
+  const parts = String(filePath).split("/");
+  if (parts.length === 1) return ".";
+  return parts.slice(0, Math.min(2, parts.length - 1)).join("/");
+}
+
+// Keep whole hunks while they fit; a single oversized hunk is cut on a line boundary.
+export function trimPatch(patch, maxChars) {
+  if (patch.length <= maxChars) return { patch, truncated: false };
+  const hunks = patch.split(/\n(?=@@ )/);
+  let out = "";
+  for (const h of hunks) {
+    const next = out ? `${out}\n${h}` : h;
+    if (next.length > maxChars) break;
+    out = next;
+  }
+  if (!out) {
+    const cut = hunks[0].slice(0, maxChars);
+    out = cut.slice(0, Math.max(cut.lastIndexOf("\n"), 0)) || cut;
+  }
+  return { patch: out + TRUNCATION_MARK, truncated: true };
+}
+
+function toEntry(f, maxPatchChars) {
+  const { patch, truncated } = trimPatch(f.patch || "", maxPatchChars);
+  return {
+    path: f.filename,
+    patch,
+    status: f.status,
+    additions: f.additions,
+    deletions: f.deletions,
+    changes: f.changes,
+    ...(truncated ? { truncated: true } : {})
+  };
+}
+
+/**
+ * files: raw listFiles entries (already filtered by include/exclude)
+ * tokenBudget: diff tokens per LLM call (counted for `model`); maxBatches: LLM calls per run
+ * -> { batches: [[entry]], reviewed: [{ path, truncated? }], skipped: [{ path, reason }] }
+ * Files stay grouped by module so the model sees related changes together; a module
+ * larger than one batch spills over into the next.
+ */
+export function planBatches(files, { tokenBudget = 6000, maxBatches = 6, model = "" } = {}) {
+  const skipped = [];
+  const groups = new Map();
+  for (const f of files) {
+    if (!f.patch) {
+      skipped.push({ path: f.filename, reason: "no text diff (binary or too large for the GitHub API)" });
+      continue;
+    }
+    const key = moduleKey(f.filename);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  }
+
+  // Modules with the most churn go first so a batch limit drops the smallest changes
+  const ordered = [...groups.values()]
+    .sort((a, b) => churn(b) - churn(a))
+    .flat();
+
+  const maxPatchChars = charsForTokens(tokenBudget, model);
+  const batches = [];
+  let current = [];
+  let used = 0;
+  for (const f of ordered) {
+    const entry = toEntry(f, maxPatchChars);
+    const cost = countTokens(JSON.stringify(entry), model);
+    if (current.length && used + cost > tokenBudget) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    if (batches.length >= maxBatches) {
+      skipped.push({ path: f.filename, reason: `batch limit reached (${maxBatches} LLM calls)` });
+      continue;
+    }
+    current.push(entry);
+    used += cost;
+  }
+  if (current.length && batches.length < maxBatches) batches.push(current);
+
+  const reviewed = batches.flat().map(e => (e.truncated ? { path: e.path, truncated: true } : { path: e.path }));
+  return { batches, reviewed, skipped };
+}
+
+function churn(group) {
+  return group.reduce((n, f) => n + (f.changes || 0), 0);
+}
+
+/**
+ * plans: one validated plan per batch. Comments with the same findingKey (path, line and
+ * normalized title) collapse (higher severity wins); the result is ranked by severity, then batch order.
+ * Tests are de-duplicated by path. Caps are applied by the caller.
+ */
+export function mergePlans(plans) {
+  const comments = new Map();
+  const tests = new Map();
+  plans.forEach((plan, batch) => {
+    for (const c of plan.comments || []) {
+      const key = findingKey(c);
+      const prev = comments.get(key);
+      if (!prev || (SEVERITY_RANK[c.severity] || 0) > (SEVERITY_RANK[prev.c.severity] || 0)) {
+        comments.set(key, { c, batch: prev ? prev.batch : batch });
+      }
+    }
+    for (const t of plan.tests || []) {
+      if (!tests.has(t.path)) tests.set(t.path, t);
+    }
+  });
+  const ranked = [...comments.values()]
+    .sort((a, b) => (SEVERITY_RANK[b.c.severity] || 0) - (SEVERITY_RANK[a.c.severity] || 0) || a.batch - b.batch)
+    .map(x => x.c);
+  return { comments: ranked, tests: [...tests.values()] };
+}
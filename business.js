@@ -0,0 +1,195 @@
+// business.js
+// Domain knowledge the repo ships for reviewers: business/rules.md (prose rules, one per
+// heading) and business/checklists.yaml (structured items), plus any extra paths listed
+// under `business:` in neuron.config.yml. Rules/items can be scoped to paths; only the
+// ones relevant to the changed files go into the prompt.
+//
+// rules.md:
+//   ## R-12: Refunds never exceed the captured amount
+//   Applies to: src/payments/**, api/refunds/**
+//   Free text...
+//
+// checklists.yaml (either shape):
+//   checklists:
+//     - name: Payments
+//       paths: ["src/payments/**"]
+//       items:
+//         - Every gateway call has a timeout
+//         - { id: PAY-2, text: "Amounts are integers (minor units)", severity: HIGH }
+//   # or a plain map: { Payments: ["Every gateway call has a timeout", ...] }
+
+import fs from "node:fs";
+import path from "node:path";
+import * as yaml from "js-yaml";
+import { globToRegExp } from "./config.js";
+
+export const DEFAULT_RULE_FILES = ["business/rules.md"];
+export const DEFAULT_CHECKLIST_FILES = ["business/checklists.yaml", "business/checklists.yml"];
+const MAX_DOC_CHARS = 60000;
+const MAX_RULE_CHARS = 800;
+
+function slug(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+}
+
+// The PR controls these files: a symlink (business/rules.md -> /proc/self/environ, ../.env)
+// must not pull host files into the prompt, so containment is checked on the real path
+function readRepoFile(workdir, rel) {
+  try {
+    const root = fs.realpathSync(workdir);
+    const abs = fs.realpathSync(path.resolve(root, rel));
+    if (!abs.startsWith(root + path.sep) || !fs.statSync(abs).isFile()) return null;
+    return fs.readFileSync(abs, "utf8").slice(0, MAX_DOC_CHARS);
+  } catch {
+    return null;
+  }
+}
+
+function splitPaths(text) {
+  return String(text).split(/[,\s]+/).map(s => s.replace(/^`|`$/g, "")).filter(Boolean);
+}
+
+/* ---------- rules.md ---------- */
+
+// "R-12: Title" / "[R-12] Title" -> explicit id; otherwise the heading slug
+function ruleHeading(heading) {
+  const m = /^\[?([A-Z][A-Z0-9]*-\d+)\]?[:.\s-]+(.*)$/.exec(heading);
+  return m ? { id: m[1], title: m[2].trim() } : { id: null, title: heading };
+}
+
+export function parseRules(markdown, source) {
+  const rules = [];
+  const sections = String(markdown).split(/^(?=#{2,3}\s)/m);
+  for (const section of sections) {
+    const hm = /^#{2,3}\s+(.+)$/m.exec(section);
+    if (!hm || section.indexOf(hm[0]) !== 0) continue;
+    const { id, title } = ruleHeading(hm[1].trim());
+    let paths = [];
+    const body = section.slice(hm[0].length)
+      .split("\n")
+      .filter(line => {
+        const am = /^\s*(?:applies to|paths):\s*(.+)$/i.exec(line);
+        if (am) paths = splitPaths(am[1]);
+        return !am;
+      })
+      .join("\n")
+      .trim();
+    rules.push({
+      id: id || `${path.posix.basename(source, path.posix.extname(source))}#${slug(title)}`,
+      title,
+      text: body.slice(0, MAX_RULE_CHARS),
+      paths,
+      source
+    });
+  }
+  // A rules file without headings is one global rule
+  if (!rules.length && String(markdown).trim()) {
+    rules.push({ id: path.posix.basename(source), title: "Business rules", text: String(markdown).trim().slice(0, MAX_RULE_CHARS * 2), paths: [], source });
+  }
+  return rules;
+}
+
+/* ---------- checklists.yaml ---------- */
+
+function toItems(name, paths, items, source) {
+  return (Array.isArray(items) ? items : []).map((it, i) => {
+    const obj = typeof it === "string" ? { text: it } : (it || {});
+    return {
+      id: String(obj.id || `${slug(name) || "checklist"}-${i + 1}`),
+      text: String(obj.text || obj.item || "").slice(0, 300),
+      checklist: name,
+      severity: obj.severity ? String(obj.severity).toUpperCase() : null,
+      paths: Array.isArray(obj.paths) ? obj.paths : paths,
+      source
+    };
+  }).filter(it => it.text);
+}
+
+// -> { items, error }
+export function parseChecklists(text, source) {
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch (e) {
+    return { items: [], error: `${source}: ${e.reason || e.message}` };
+  }
+  if (!doc) return { items: [], error: null };
+  if (Array.isArray(doc)) return { items: toItems("checklist", [], doc, source), error: null };
+  if (Array.isArray(doc.checklists)) {
+    const items = doc.checklists.flatMap(c => toItems(c?.name || "checklist", Array.isArray(c?.paths) ? c.paths : [], c?.items, source));
+    return { items, error: null };
+  }
+  if (typeof doc === "object") {
+    const items = Object.entries(doc).flatMap(([name, v]) =>
+      Array.isArray(v) ? toItems(name, [], v, source) : toItems(name, v?.paths || [], v?.items, source));
+    return { items, error: null };
+  }
+  return { items: [], error: `${source}: expected a list or mapping` };
+}
+
+/* ---------- load + select ---------- */
+
+/**
+ * extra: neuron.config.yml `business: { rules: [...], checklists: [...] }`
+ * -> { rules, checklist, sources, errors }
+ */
+export function loadBusinessContext(workdir, extra = {}) {
+  const rules = [];
+  const checklist = [];
+  const sources = [];
+  const errors = [];
+
+  for (const rel of [...DEFAULT_RULE_FILES, ...(extra.rules || [])]) {
+    const text = readRepoFile(workdir, rel);
+    if (text === null) {
+      if (!DEFAULT_RULE_FILES.includes(rel)) errors.push(`${rel}: not found`);
+      continue;
+    }
+    sources.push(rel);
+    rules.push(...parseRules(text, rel));
+  }
+  for (const rel of [...DEFAULT_CHECKLIST_FILES, ...(extra.checklists || [])]) {
+    const text = readRepoFile(workdir, rel);
+    if (text === null) {
+      if (!DEFAULT_CHECKLIST_FILES.includes(rel)) errors.push(`${rel}: not found`);
+      continue;
+    }
+    sources.push(rel);
+    const { items, error } = parseChecklists(text, rel);
+    if (error) errors.push(error);
+    checklist.push(...items);
+  }
+  return { rules, checklist, sources, errors };
+}
+
+function appliesTo(entry, changedPaths) {
+  if (!entry.paths?.length) return true;
+  const res = entry.paths.map(globToRegExp);
+  return changedPaths.some(p => res.some(re => re.test(p)));
+}
+
+/**
+ * Keep the rules/items scoped to the changed paths (unscoped ones always apply),
+ * path-scoped first since they are the most specific, within a character budget.
+ */
+export function selectRelevant(ctx, changedPaths, { maxChars = 6000 } = {}) {
+  const pick = list => list
+    .filter(e => appliesTo(e, changedPaths))
+    .sort((a, b) => (b.paths?.length ? 1 : 0) - (a.paths?.length ? 1 : 0));
+  let budget = maxChars;
+  const fit = e => {
+    const cost = (e.text || "").length + (e.title || "").length + 40;
+    if (cost > budget) return false;
+    budget -= cost;
+    return true;
+  };
+  const checklist = pick(ctx.checklist).filter(fit);
+  const rules = pick(ctx.rules).filter(fit);
+  return { rules, checklist };
+}
+
+// Drop citations to ids the model made up
+export function validateCitations(comments, selected) {
+  const known = new Set([...selected.rules, ...selected.checklist].map(e => e.id));
+  return comments.map(c => (c.rule_ref && !known.has(c.rule_ref) ? { ...c, rule_ref: undefined } : c));
+}
@@ -0,0 +1,109 @@
+// checks.js
+// Publishes a run as a GitHub Check Run ("Neuron") so branch protection can gate on it.
+// queued -> in_progress -> completed, with one annotation per finding.
+
+import { log } from "./logger.js";
+
+const CHECK_NAME = "Neuron";
+const ANNOTATIONS_PER_REQUEST = 50; // GitHub's limit per create/update call
+const MAX_SUMMARY_CHARS = 65000;    // output.summary is capped at 65535
+
+export const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Diag codes that mean "a human must fix configuration" rather than "the model had a bad day"
+const CONFIG_CODES = /CONFIG_MISSING|CONFIG_INVALID|AZURE_AUTH|AZURE_DEPLOYMENT/;
+
+export function annotationLevel(severity) {
+  if (severity === "HIGH" || severity === "CRITICAL") return "failure";
+  if (severity === "MEDIUM") return "warning";
+  return "notice";
+}
+
+/**
+ * failOn: "LOW" | "MEDIUM" | "HIGH" | "CRITICAL" | "none" (from neuron.config.yml)
+ * diagCode: the LLM diag; OK_* means the model produced a valid plan, OK_*_PARTIAL that some
+ *   batches failed, so part of the diff was never reviewed: never a pass (failure when a gate is set)
+ * configErrors: neuron.config.yml validation errors; a broken config needs a human too
+ */
+export function gateConclusion(findings, { failOn = "none", diagCode = "OK", configErrors = [] } = {}) {
+  const threshold = SEVERITY_RANK[String(failOn).toUpperCase()] || 0;
+  const blocking = threshold
+    ? findings.filter(f => (SEVERITY_RANK[f.severity] || 0) >= threshold)
+    : [];
+  if (blocking.length) return { conclusion: "failure", blocking: blocking.length };
+  if (CONFIG_CODES.test(diagCode) || configErrors.length) return { conclusion: "action_required", blocking: 0 };
+  if (/_PARTIAL$/.test(diagCode)) return { conclusion: threshold ? "failure" : "neutral", blocking: 0, partial: true };
+  if (!/^OK/.test(diagCode)) return { conclusion: "neutral", blocking: 0 };
+  return { conclusion: "success", blocking: 0 };
+}
+
+function toAnnotation(f) {
+  const line = Math.max(1, Number(f.line) || 1);
+  return {
+    path: f.path,
+    start_line: line,
+    end_line: line,
+    annotation_level: annotationLevel(f.severity),
+    title: `${f.severity}: ${f.title}`.slice(0, 255),
+    message: String(f.body || f.title || "").slice(0, 64000)
+  };
+}
+
+// Returns { id } or null; checks need an App token, so a PAT setup just skips them.
+export async function createCheckRun(gh, { owner, repo, head_sha, details_url }) {
+  try {
+    const { data } = await gh.checks.create({
+      owner,
+      repo,
+      name: CHECK_NAME,
+      head_sha,
+      status: "queued",
+      ...(details_url ? { details_url } : {})
+    });
+    return { id: data.id };
+  } catch (e) {
+    log.warn("could not create check run", { status: e?.status, error: e?.message || String(e) });
+    return null;
+  }
+}
+
+export async function startCheckRun(gh, { owner, repo, check }) {
+  if (!check) return;
+  try {
+    await gh.checks.update({
+      owner,
+      repo,
+      check_run_id: check.id,
+      status: "in_progress",
+      started_at: new Date().toISOString()
+    });
+  } catch (e) {
+    log.warn("could not start check run", { status: e?.status, error: e?.message || String(e) });
+  }
+}
+
+export async function completeCheckRun(gh, { owner, repo, check, conclusion, title, summary, findings = [] }) {
+  if (!check) return;
+  const annotations = findings.filter(f => f.path).map(toAnnotation);
+  const output = { title: title.slice(0, 255), summary: String(summary || "").slice(0, MAX_SUMMARY_CHARS) };
+  try {
+    // Annotations append across updates; the last call also completes the run
+    for (let i = ANNOTATIONS_PER_REQUEST; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+      await gh.checks.update({
+        owner, repo, check_run_id: check.id,
+        output: { ...output, annotations: annotations.slice(i, i + ANNOTATIONS_PER_REQUEST) }
+      });
+    }
+    await gh.checks.update({
+      owner,
+      repo,
+      check_run_id: check.id,
+      status: "completed",
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: { ...output, annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) }
+    });
+  } catch (e) {
+    log.warn("could not complete check run", { status: e?.status, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// cli.js
+// `neuron` — run the review pipeline against a local git checkout, no GitHub or webhook.
+// Changed files come from the local diff against --base; the plan is printed as markdown
+// (default) or JSON and generated tests can be written into the working tree.
+//   neuron review --repo . --base main
+//   neuron review --staged --base HEAD --fail-on HIGH     # pre-commit hook
+//   neuron tests --base origin/main --write
+//   neuron review --sarif eslint.sarif --sarif-out neuron.sarif   # CI: merge other tools, export
+// Analyzer engines (Semgrep, ESLint, npm audit, custom) run on the working tree as is (with
+// --head, on a temp export of that commit); nothing is installed, so ESLint only runs where
+// node_modules already has it.
+// Exit codes: 0 ok, 1 findings at or above --fail-on (or check.fail_on), 2 usage/LLM errors.
+// The LLM provider is configured with the same env as the server (LLM_PROVIDER, ...).
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+import { listLocalChanges, exportTree } from "./local-diff.js";
+import {
+  readFileIfExists, collectRepoSignals, languageOfPath, detectLanguages, detectPackageManager,
+  sampleExistingTests, collectNearbySource, testConventionsFor, reviewInBatches, applyPlan
+} from "./pipeline.js";
+import { planBatches } from "./batching.js";
+import { diffBudget } from "./context-pack.js";
+import { CONFIG_SCHEMA, resolveConfig, isPathIncluded } from "./config.js";
+import { detectTestSetup, frameworksOf, defaultTestPath } from "./test-detect.js";
+import { loadBusinessContext, selectRelevant, validateCitations } from "./business.js";
+import { readBaseline, annotateFingerprints, isDismissed } from "./baseline.js";
+import { gateConclusion, SEVERITY_RANK } from "./checks.js";
+import { filterToChangedLines, toReviewComment, mergeFindings } from "./analyzers/merge-findings.js";
+import { buildSarifLog, fromReviewComment, loadSarifFiles } from "./analyzers/sarif.js";
+import { runAnalyzers } from "./analyzers/registry.js";
+import { createRedactor, describeRedaction } from "./redact.js";
+import { checkSuggestions, renderSuggestionDiff } from "./suggestions.js";
+import { createProvider } from "./providers/index.js";
+
+dotenv.config({ quiet: true });
+// Progress logs would corrupt --format json on stdout; warnings still reach stderr
+process.env.LOG_LEVEL ||= "warn";
+
+const USAGE = `Usage: neuron <review|tests> [options]
+
+  review        findings + generated tests for the local change
+  tests         generated tests only
+
+Options:
+  --repo <dir>        repository to review (default: .)
+  --base <ref>        branch the change merges into (default: main)
+  --head <ref>        review base...<ref> instead of the working tree
+  --staged            review only staged changes (pre-commit hooks)
+  --no-untracked      ignore untracked files
+  --no-tests          findings only (review)
+  --format <fmt>      markdown | json (default: markdown)
+  --write             write generated tests into the working tree (also with --head)
+  --fail-on <sev>     exit 1 on findings at or above LOW | MEDIUM | HIGH | CRITICAL
+  --sarif <file>      merge another tool's SARIF results (repeatable)
+  --sarif-out <file>  also write the findings as a SARIF 2.1.0 log
+  --no-analyzers      skip Semgrep/ESLint/npm audit/custom engines
+  -h, --help          show this help`;
+
+class UsageError extends Error {}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      repo: { type: "string", default: "." },
+      base: { type: "string", default: "main" },
+      head: { type: "string", default: "" },
+      staged: { type: "boolean", default: false },
+      "no-untracked": { type: "boolean", default: false },
+      "no-tests": { type: "boolean", default: false },
+      format: { type: "string", default: "markdown" },
+      write: { type: "boolean", default: false },
+      "fail-on": { type: "string", default: "" },
+      sarif: { type: "string", multiple: true, default: [] },
+      "sarif-out": { type: "string", default: "" },
+      "no-analyzers": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  const command = positionals[0] || (values.help ? "help" : "");
+  if (values.help || command === "help") return { command: "help" };
+  if (!["review", "tests"].includes(command)) throw new UsageError(command ? `unknown command "${command}"` : "missing command");
+  if (!["markdown", "json"].includes(values.format)) throw new UsageError(`--format must be markdown or json`);
+  const failOn = values["fail-on"].toUpperCase();
+  if (failOn && !SEVERITY_RANK[failOn] && failOn !== "NONE") throw new UsageError(`--fail-on must be LOW, MEDIUM, HIGH, CRITICAL or none`);
+  if (values.head && values.staged) throw new UsageError("--head and --staged cannot be combined");
+  return {
+    command,
+    repo: values.repo,
+    base: values.base,
+    head: values.head,
+    staged: values.staged,
+    untracked: !values["no-untracked"],
+    // Same modes as the server: full | review (findings only) | tests
+    mode: command === "tests" ? "tests" : values["no-tests"] ? "review" : "full",
+    format: values.format,
+    write: values.write,
+    failOn,
+    sarif: values.sarif.map(f => path.resolve(f)),
+    sarifOut: values["sarif-out"],
+    analyzers: !values["no-analyzers"]
+  };
+}
+
+/* =======================
+   Review (mirrors reviewPullRequest in index.js, minus GitHub)
+======================= */
+
+async function runReview(opts) {
+  const local = listLocalChanges(opts.repo, {
+    base: opts.base, head: opts.head, staged: opts.staged, untracked: opts.untracked
+  });
+  if (!opts.head) return reviewTree(opts, local, local.root);
+  // The diff is base...head, so everything read from files (config, analyzers, context,
+  // suggestions) must come from that commit too, not from whatever is checked out
+  const workdir = exportTree(local.root, local.head);
+  try {
+    return await reviewTree(opts, local, workdir);
+  } finally {
+    fs.rmSync(workdir, { recursive: true, force: true });
+  }
+}
+
+// workdir: the head's files (the working tree, or an export of --head)
+async function reviewTree(opts, local, workdir) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const { config: cfg, errors: configErrors } = resolveConfig(
+    readFileIfExists(path.join(workdir, "neuron.config.yml")),
+    ajv.compile(CONFIG_SCHEMA)
+  );
+
+  const { provider: llm, diag: llmDiag } = createProvider(process.env);
+  if (!llm) throw new UsageError(`LLM not configured — ${llmDiag.code} (${llmDiag.detail})`);
+
+  const allChanged = local.files;
+  const changedRaw = allChanged.filter(f => isPathIncluded(f.filename, cfg));
+  const batching = planBatches(changedRaw, {
+    tokenBudget: Math.min(
+      Number(process.env.NEURON_BATCH_TOKENS || 6000),
+      diffBudget(llm.model, { cap: Number(process.env.NEURON_PROMPT_TOKENS || 0) || undefined })
+    ),
+    maxBatches: Number(process.env.NEURON_MAX_BATCHES || 6),
+    model: llm.model
+  });
+  const changed = batching.batches.flat();
+  const coverage = {
+    total: allChanged.length,
+    reviewed: batching.reviewed,
+    skipped: [
+      ...allChanged.filter(f => !changedRaw.includes(f))
+        .map(f => ({ path: f.filename, reason: "excluded by neuron.config.yml" })),
+      ...batching.skipped
+    ]
+  };
+
+  // Analyzer engines plus SARIF from other tools (config sarif.import + --sarif)
+  const analysis = opts.analyzers
+    ? await runAnalyzers(workdir, {
+      config: cfg.analyzers,
+      changedPaths: changedRaw.map(f => f.filename),
+      settings: {
+        semgrepRules: process.env.SEMGREP_RULES || fileURLToPath(new URL("./rules/default.yml", import.meta.url)),
+        timeouts: process.env.SEMGREP_TIMEOUT_MS ? { semgrep: Number(process.env.SEMGREP_TIMEOUT_MS) } : {},
+        memoryMb: Number(process.env.NEURON_TEST_MEMORY_MB || 1024)
+      }
+    })
+    : { findings: [], diags: [] };
+  // Reports from other tools are build output, so they are looked up in the checkout
+  const sarifImport = loadSarifFiles(local.root, [...cfg.sarif.import, ...opts.sarif]);
+  configErrors.push(...sarifImport.errors.map(e => `sarif: ${e}`));
+  const severityOk = c => (SEVERITY_RANK[c.severity] || 0) >= (SEVERITY_RANK[cfg.severity_floor] || 0);
+  const analyzerComments = annotateFingerprints(workdir,
+    mergeFindings([], filterToChangedLines([...analysis.findings, ...sarifImport.findings], changedRaw).map(toReviewComment)))
+    .filter(severityOk);
+
+  const languages = detectLanguages(changed, workdir);
+  const { setup: testSetup, testFiles } = detectTestSetup(workdir, languages);
+  const businessDocs = loadBusinessContext(workdir, cfg.business);
+  const business = selectRelevant(businessDocs, changedRaw.map(f => f.filename));
+  configErrors.push(...businessDocs.errors.map(e => `business: ${e}`));
+
+  const input = {
+    repo_meta: {
+      owner: "local",
+      repo: path.basename(local.root),
+      headRef: opts.head || local.head,
+      languages,
+      test_frameworks: { ...frameworksOf(testSetup), ...cfg.tests.framework },
+      test_conventions: testConventionsFor(testSetup, languages, changed),
+      package_manager: detectPackageManager(workdir)
+    },
+    signals: collectRepoSignals(workdir),
+    changed_files: [],
+    nearby_source: collectNearbySource(workdir, changed),
+    existing_tests: sampleExistingTests(workdir, testFiles, changed),
+    analyzer_findings: analyzerComments,
+    business_context: business,
+    requirements: {
+      max_comments: opts.mode === "tests" ? 0 : cfg.max_inline_comments,
+      max_tests: opts.mode === "review" ? 0 : cfg.max_tests,
+      severity_floor: cfg.severity_floor,
+      test_output_dir: cfg.tests.output_dir || undefined
+    }
+  };
+
+  const { plan, diag, usage, calls, context, redaction } = await reviewInBatches(llm, batching.batches, input, {
+    budgetCap: Number(process.env.NEURON_PROMPT_TOKENS || 0) || undefined,
+    redactor: createRedactor(cfg.redaction)
+  });
+  const result = {
+    base: local.base,
+    head: local.head,
+    llm: { provider: llm.name, model: llm.model, diag, calls, usage },
+    coverage,
+    context,
+    redaction,
+    analyzers: analysis.diags,
+    sarif_sources: sarifImport.sources,
+    config_errors: configErrors,
+    comments: [],
+    tests: [],
+    tests_written: [],
+    suggestions_dropped: []
+  };
+  // Same filters as the PR pipeline; dismissed findings in .neuron/baseline.json stay hidden
+  const baseline = readBaseline(workdir);
+  const keptAnalyzer = opts.mode === "tests" ? [] : analyzerComments.filter(c => !isDismissed(baseline, c));
+  if (!plan) {
+    result.comments = keptAnalyzer;
+    return result;
+  }
+  const ranked = opts.mode === "tests"
+    ? []
+    : annotateFingerprints(workdir, validateCitations(plan.comments || [], business))
+      .filter(c => severityOk(c) && isPathIncluded(c.path, cfg) && !isDismissed(baseline, c))
+      .slice(0, cfg.max_inline_comments);
+  // workdir holds the head's files, so suggestions are checked against it directly
+  const { comments: llmComments, dropped } = checkSuggestions(workdir, ranked, changedRaw);
+  result.suggestions_dropped = dropped;
+  result.comments = mergeFindings(llmComments, keptAnalyzer);
+  result.tests = opts.mode === "review" ? [] : (plan.tests || []).slice(0, cfg.max_tests);
+
+  if (opts.write && result.tests.length) {
+    const applied = await applyPlan(local.root, { comments: [], tests: result.tests }, {
+      outputDir: cfg.tests.output_dir,
+      defaultPathFor: language => defaultTestPath(testSetup, language,
+        changed.find(f => languageOfPath(f.path) === language)?.path)
+    });
+    result.tests_written = applied.tests_written;
+  }
+  result.fail_on = opts.failOn || cfg.check.fail_on;
+  return result;
+}
+
+/* =======================
+   Output
+======================= */
+
+function renderMarkdown(r) {
+  const { llm } = r;
+  const against = `${r.base.slice(0, 7)}…${/^[0-9a-f]{40}$/.test(r.head) ? r.head.slice(0, 7) : r.head.toLowerCase()}`;
+  let out = `# Neuron review (${against})\n\n`;
+  out += `- Files reviewed: ${r.coverage.reviewed.length} of ${r.coverage.total}\n`;
+  for (const s of r.coverage.skipped) out += `  - skipped \`${s.path}\` — ${s.reason}\n`;
+  out += `- LLM: ${llm.provider}:${llm.model} — ${llm.diag?.code || "unknown"}` +
+    ` (${llm.calls} call${llm.calls === 1 ? "" : "s"}, ${llm.usage.prompt_tokens} prompt + ${llm.usage.completion_tokens} completion tokens)\n`;
+  if (llm.diag?.detail) out += `  - ${llm.diag.detail}\n`;
+  for (const p of llm.diag?.unreviewed || []) out += `  - not reviewed: \`${p}\`\n`;
+  if (r.redaction.total) out += `- Redacted before the LLM: ${describeRedaction(r.redaction)}\n`;
+  for (const d of r.analyzers) {
+    out += `- ${d.name}: ${d.code === "OK" ? `ok, ${d.findings} finding(s) before the changed-lines filter` : d.code}` +
+      `${d.code !== "OK" && d.detail ? ` — ${d.detail.split("\n")[0]}` : ""}\n`;
+  }
+  for (const src of r.sarif_sources) out += `- SARIF \`${src.path}\`: ${src.results} result(s) from ${src.engines.join(", ") || "(no tool results)"}\n`;
+  if (r.context.omitted.length) {
+    out += `- Prompt context left out to fit the ${r.context.budget}-token budget: ${r.context.omitted.length} item(s)\n`;
+    for (const o of r.context.omitted.slice(0, 20)) out += `  - ${o.kind}: \`${o.label}\`\n`;
+  }
+  for (const e of r.config_errors) out += `- ⚠️ config: ${e}\n`;
+
+  out += `\n## Findings (${r.comments.length})\n\n`;
+  if (!r.comments.length) out += `_None._\n`;
+  for (const c of r.comments) {
+    out += `### ${c.severity} \`${c.path}:${c.line}\` — ${c.title}\n\n`;
+    out += `${c.engine && c.engine !== "llm" ? `_${c.engine}${c.rule_id ? ` \`${c.rule_id}\`` : ""}_\n\n` : ""}${c.body}\n\n`;
+    if (c.suggestion) out += `Suggested change (lines ${c.suggestion.start_line}-${c.suggestion.end_line}):\n\n${renderSuggestionDiff(c.suggestion)}\n\n`;
+    if (c.rule_ref) out += `Enforces \`${c.rule_ref}\`\n\n`;
+    out += `<sub>fingerprint \`${c.fingerprint}\`</sub>\n\n`;
+  }
+
+  out += `\n## Proposed tests (${r.tests.length})\n\n`;
+  if (!r.tests.length) out += `_None._\n`;
+  for (const t of r.tests) {
+    out += `### \`${t.path}\` (${t.language}/${t.framework})\n\n`;
+    out += "```" + (t.language || "") + "\n" + t.content.replace(/\n$/, "") + "\n```\n\n";
+  }
+  if (r.tests_written.length) {
+    out += `Written to the working tree:\n${r.tests_written.map(p => `- \`${p}\``).join("\n")}\n`;
+  }
+  return out;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (err) {
+    process.stderr.write(`neuron: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.command === "help") {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let result;
+  try {
+    result = await runReview(opts);
+  } catch (err) {
+    process.stderr.write(`neuron: ${err?.message || String(err)}\n`);
+    return 2;
+  }
+
+  process.stdout.write(opts.format === "json" ? `${JSON.stringify(result, null, 2)}\n` : renderMarkdown(result));
+  if (opts.sarifOut) {
+    const version = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")).version;
+    fs.writeFileSync(opts.sarifOut, JSON.stringify(buildSarifLog(result.comments.map(fromReviewComment), { version }), null, 2) + "\n", "utf8");
+  }
+  if (!/^OK/.test(result.llm.diag?.code || "")) return 2;
+  const { conclusion } = gateConclusion(result.comments, { failOn: result.fail_on, diagCode: result.llm.diag.code });
+  return conclusion === "failure" ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
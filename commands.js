@@ -0,0 +1,31 @@
+// commands.js
+// Parses `/neuron <command> [arg]` lines out of PR comments.
+// Execution lives in index.js (it needs the GitHub client and the pipeline).
+
+export const COMMANDS = {
+  review: { arg: false, help: "re-run the review (findings only)" },
+  tests: { arg: false, help: "re-run test generation only" },
+  ignore: { arg: true, help: "dismiss a finding by fingerprint, e.g. `/neuron ignore 3f9a1c2b7d4e`" },
+  explain: { arg: true, help: "explain a finding in more depth, by fingerprint" },
+  config: { arg: false, help: "show the effective neuron.config.yml" }
+};
+
+// First `/neuron ...` line wins; returns { name, arg } or { name: "help", error } / null.
+export function parseCommand(body) {
+  const line = String(body || "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .find(l => /^\/neuron\b/i.test(l));
+  if (!line) return null;
+
+  const [, name = "", arg = ""] = line.match(/^\/neuron\s*(\S*)\s*(.*)$/i) || [];
+  const cmd = name.toLowerCase();
+  if (!COMMANDS[cmd]) return { name: "help", error: cmd ? `unknown command \`${cmd}\`` : "" };
+  if (COMMANDS[cmd].arg && !arg.trim()) return { name: "help", error: `\`${cmd}\` needs an argument` };
+  return { name: cmd, arg: arg.trim() };
+}
+
+export function helpText(error = "") {
+  const lines = Object.entries(COMMANDS).map(([k, v]) => `- \`/neuron ${k}${v.arg ? " <fingerprint>" : ""}\` — ${v.help}`);
+  return `${error ? `⚠️ ${error}\n\n` : ""}**Neuron commands**\n\n${lines.join("\n")}`;
+}
@@ -0,0 +1,93 @@
+// commit.js
+// Writes a set of files to a branch as ONE commit through the Git Data API
+// (blobs -> tree -> commit -> ref). Either every file lands or none do.
+
+const TRANSIENT_RETRIES = 2;
+
+function isTransient(e) {
+  const status = Number(e?.status || 0);
+  return !status || status >= 500;
+}
+
+// 422 on updateRef = the branch moved under us (non-fast-forward)
+function isNonFastForward(e) {
+  return Number(e?.status) === 422 && /fast forward|fast-forward/i.test(String(e?.message || ""));
+}
+
+export function commitMessage({ files, baseSha, title = "chore(neuron): generated tests & updated baseline" }) {
+  const lines = [title, ""];
+  if (baseSha) lines.push(`Based on PR head ${baseSha}.`, "");
+  lines.push("Files:");
+  for (const f of files) lines.push(`- ${f.path}`);
+  return lines.join("\n");
+}
+
+async function createCommitOnce(gh, { owner, repo, branch, files, message, expectedHeadSha }) {
+  const { data: ref } = await gh.git.getRef({ owner, repo, ref: `heads/${branch}` });
+  const headSha = ref.object.sha;
+  if (expectedHeadSha && headSha !== expectedHeadSha) {
+    return { ok: false, reason: `head_moved (expected ${expectedHeadSha.slice(0, 7)}, found ${headSha.slice(0, 7)})` };
+  }
+
+  const { data: headCommit } = await gh.git.getCommit({ owner, repo, commit_sha: headSha });
+
+  const tree = [];
+  for (const f of files) {
+    const { data: blob } = await gh.git.createBlob({
+      owner,
+      repo,
+      content: Buffer.from(f.content, "utf8").toString("base64"),
+      encoding: "base64"
+    });
+    tree.push({ path: f.path, mode: "100644", type: "blob", sha: blob.sha });
+  }
+
+  const { data: newTree } = await gh.git.createTree({ owner, repo, base_tree: headCommit.tree.sha, tree });
+  const { data: commit } = await gh.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: newTree.sha,
+    parents: [headSha]
+  });
+
+  try {
+    await gh.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+  } catch (e) {
+    if (isNonFastForward(e)) return { ok: false, reason: "head_moved (non-fast-forward on update)" };
+    throw e;
+  }
+  return { ok: true, sha: commit.sha };
+}
+
+/**
+ * files: [{ path, content }]
+ * expectedHeadSha: the commit our clone was based on; if the branch moved since, we abort
+ *   instead of committing tests generated for code that is no longer there.
+ * Returns { written, failed, sha } — `failed` carries content so the PR comment can show it.
+ */
+export async function commitFiles(gh, { owner, repo, branch, files, message, expectedHeadSha }) {
+  const normalized = files.map(f => ({ path: f.path.replace(/\\/g, "/"), content: f.content }));
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= TRANSIENT_RETRIES; attempt++) {
+    try {
+      const res = await createCommitOnce(gh, { owner, repo, branch, files: normalized, message, expectedHeadSha });
+      if (!res.ok) return failAll(normalized, res.reason);
+      return { written: normalized.map(f => f.path), failed: [], sha: res.sha };
+    } catch (e) {
+      lastError = e;
+      if (!isTransient(e)) break;
+    }
+  }
+  const reason = (lastError && (lastError.status || lastError.message || String(lastError))) || "unknown";
+  return failAll(normalized, String(reason));
+}
+
+function failAll(files, reason) {
+  return {
+    written: [],
+    failed: files.map(f => ({ path: f.path, reason, content: f.content })),
+    sha: null
+  };
+}
@@ -0,0 +1,368 @@
+// config.js
+// neuron.config.yml: schema, defaults and glob matching. Validation runs with the
+// Ajv instance in index.js (compile CONFIG_SCHEMA there and pass the validator in).
+// Keys marked (base) are read from the base branch only (BASE_ONLY_SETTINGS below).
+//
+// neuron:
+//   include: ["src/**"]               # (base) only review files matching any of these (default: all)
+//   exclude: ["**/*.snap", "dist/**"] # (base) never review these
+//   max_inline_comments: 3            # findings from the LLM per run
+//   max_tests: 2                      # generated test files per run
+//   severity_floor: LOW               # (base) drop findings below this severity
+//   surfaces: { comment: true, review: true, check: true } # check: (base)
+//   tests:
+//     framework: { javascript: vitest } # override detection per language
+//     output_dir: test/neuron           # where generated tests go
+//   disabled_events: [synchronize]    # (base) pull_request actions or "issue_comment"
+//   baseline_ttl_days: 30
+//   check: { fail_on: HIGH }          # (base) LOW | MEDIUM | HIGH | CRITICAL | none
+//   business:                         # extra domain docs (business/rules.md and
+//     rules: [docs/payments-rules.md] # business/checklists.yaml are always read)
+//     checklists: [docs/release-checklist.yaml]
+//   sarif:
+//     import: [reports/eslint.sarif]  # other tools' SARIF in the checkout, merged into the report
+//     upload: true                    # send Neuron's findings to code scanning (needs security_events)
+//   analyzers:
+//     enabled: [semgrep, eslint]      # built-in engines (default: all of semgrep, eslint, npm-audit)
+//     timeout_ms: { eslint: 60000 }   # per engine, including custom ones
+//     custom:                         # (base) any command printing JSON findings on stdout;
+//                                     # only when NEURON_CUSTOM_ANALYZERS=true
+//       - name: bandit
+//         command: [bandit, -r, ., -f, sarif]
+//         format: sarif               # unified (default) | sarif | semgrep
+//         ok_exit_codes: [0, 1]
+//   redaction:                        # masked before anything reaches the LLM (secrets always are)
+//     pii: [email, phone]             # email | phone | credit_card | ssn | ipv4 (default: email, credit_card, ssn)
+//     patterns:                       # (base) extra in-house identifiers
+//       - { name: employee_id, regex: "EMP-\\d{6}" }
+
+import * as yaml from "js-yaml";
+import { PII_KINDS, DEFAULT_PII } from "./redact.js";
+
+const SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const REPO_PATH = "^(?!/)(?!.*\\.\\.)"; // relative, no ".."
+const ANALYZER_ENGINES = ["semgrep", "eslint", "npm-audit"];
+export const CONFIG_EVENTS = ["opened", "reopened", "synchronize", "ready_for_review", "issue_comment"];
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    include: { type: "array", items: { type: "string", minLength: 1 } },
+    exclude: { type: "array", items: { type: "string", minLength: 1 } },
+    max_inline_comments: { type: "integer", minimum: 0, maximum: 20 },
+    max_tests: { type: "integer", minimum: 0, maximum: 10 },
+    severity_floor: { type: "string", enum: SEVERITIES },
+    surfaces: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        comment: { type: "boolean" },
+        review: { type: "boolean" },
+        check: { type: "boolean" }
+      }
+    },
+    tests: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        framework: { type: "object", additionalProperties: { type: "string", minLength: 1 } },
+        output_dir: { type: "string", minLength: 1, pattern: REPO_PATH }
+      }
+    },
+    disabled_events: { type: "array", items: { type: "string", enum: CONFIG_EVENTS } },
+    baseline_ttl_days: { type: "integer", minimum: 0 },
+    check: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        fail_on: { type: "string", enum: [...SEVERITIES, "none"] }
+      }
+    },
+    business: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        rules: { type: "array", maxItems: 20, items: { type: "string", minLength: 1, pattern: REPO_PATH } },
+        checklists: { type: "array", maxItems: 20, items: { type: "string", minLength: 1, pattern: REPO_PATH } }
+      }
+    },
+    sarif: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        import: { type: "array", maxItems: 20, items: { type: "string", minLength: 1, pattern: REPO_PATH } },
+        upload: { type: "boolean" }
+      }
+    },
+    analyzers: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "array", items: { type: "string", enum: ANALYZER_ENGINES } },
+        timeout_ms: { type: "object", additionalProperties: { type: "integer", minimum: 1000, maximum: 600000 } },
+        custom: {
+          type: "array",
+          maxItems: 10,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["name", "command"],
+            properties: {
+              name: { type: "string", pattern: "^[a-z0-9][a-z0-9._-]*$", maxLength: 40, not: { enum: ANALYZER_ENGINES } },
+              command: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+              format: { type: "string", enum: ["unified", "sarif", "semgrep"] },
+              timeout_ms: { type: "integer", minimum: 1000, maximum: 600000 },
+              ok_exit_codes: { type: "array", minItems: 1, items: { type: "integer", minimum: 0, maximum: 255 } }
+            }
+          }
+        }
+      }
+    },
+    redaction: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        pii: { type: "array", items: { type: "string", enum: PII_KINDS } },
+        patterns: {
+          type: "array",
+          maxItems: 20,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["name", "regex"],
+            properties: {
+              name: { type: "string", pattern: "^[a-z0-9_]+$", maxLength: 40 },
+              regex: { type: "string", minLength: 1, maxLength: 200, format: "regex" }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+export const CONFIG_DEFAULTS = {
+  include: [],
+  exclude: [],
+  max_inline_comments: 3,
+  max_tests: 2,
+  severity_floor: "LOW",
+  surfaces: { comment: true, review: true, check: true },
+  tests: { framework: {}, output_dir: "" },
+  disabled_events: [],
+  baseline_ttl_days: null, // null -> server default (NEURON_BASELINE_TTL_DAYS)
+  check: { fail_on: "none" },
+  business: { rules: [], checklists: [] },
+  sarif: { import: [], upload: false },
+  analyzers: { enabled: ANALYZER_ENGINES, timeout_ms: {}, custom: [] },
+  redaction: { pii: DEFAULT_PII, patterns: [] }
+};
+
+function withDefaults(cfg) {
+  return {
+    ...CONFIG_DEFAULTS,
+    ...cfg,
+    surfaces: { ...CONFIG_DEFAULTS.surfaces, ...cfg.surfaces },
+    tests: {
+      ...CONFIG_DEFAULTS.tests,
+      ...cfg.tests,
+      framework: { ...CONFIG_DEFAULTS.tests.framework, ...cfg.tests?.framework }
+    },
+    check: { ...CONFIG_DEFAULTS.check, ...cfg.check },
+    business: { ...CONFIG_DEFAULTS.business, ...cfg.business },
+    sarif: { ...CONFIG_DEFAULTS.sarif, ...cfg.sarif },
+    analyzers: { ...CONFIG_DEFAULTS.analyzers, ...cfg.analyzers },
+    redaction: { ...CONFIG_DEFAULTS.redaction, ...cfg.redaction }
+  };
+}
+
+function describe(err) {
+  const where = err.instancePath ? err.instancePath.slice(1).replace(/\//g, ".") : "neuron";
+  if (err.keyword === "additionalProperties") return `${where}: unknown key \`${err.params.additionalProperty}\``;
+  if (err.keyword === "enum") return `${where}: must be one of ${err.params.allowedValues.join(", ")}`;
+  // only custom analyzer names use `not`: they may not shadow a built-in engine
+  if (err.keyword === "not") return `${where}: must not be a built-in analyzer name (${ANALYZER_ENGINES.join(", ")})`;
+  return `${where}: ${err.message}`;
+}
+
+// Top-level key an Ajv error belongs to, so we can drop just that key and keep the rest
+function topKey(err) {
+  if (err.instancePath) return err.instancePath.split("/")[1];
+  if (err.keyword === "additionalProperties") return err.params.additionalProperty;
+  return null;
+}
+
+/**
+ * text: raw neuron.config.yml (or "" when absent); validate: ajv.compile(CONFIG_SCHEMA)
+ * -> { config, errors: string[] }. Invalid keys are reported and fall back to defaults.
+ */
+export function resolveConfig(text, validate) {
+  if (!text) return { config: withDefaults({}), errors: [] };
+
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch (e) {
+    const mark = e.mark ? ` (line ${e.mark.line + 1})` : "";
+    return { config: withDefaults({}), errors: [`YAML parse error${mark}: ${e.reason || e.message}`] };
+  }
+  const raw = doc?.neuron;
+  if (raw === undefined || raw === null) {
+    return { config: withDefaults({}), errors: doc ? ["missing top-level `neuron:` key"] : [] };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { config: withDefaults({}), errors: ["`neuron:` must be a mapping"] };
+  }
+
+  const cfg = { ...raw };
+  const errors = [];
+  if (!validate(cfg)) {
+    errors.push(...validate.errors.map(describe));
+    for (const err of validate.errors) {
+      const key = topKey(err);
+      if (key) delete cfg[key];
+    }
+    if (!validate(cfg)) return { config: withDefaults({}), errors };
+  }
+  errors.push(...checkGlobs(cfg));
+  return { config: withDefaults(cfg), errors };
+}
+
+/* ---------- base-branch-only settings ---------- */
+
+// Settings a PR must not be able to change for its own run, so they always come from the base
+// branch's neuron.config.yml (a change in the PR takes effect once merged):
+//  - ones that make the server run something it didn't ship (commands, regexes evaluated on
+//    the main thread)
+//  - the merge gate and what it covers: a PR could otherwise exclude its own files, raise the
+//    severity floor, switch the check off or set fail_on: none and pass the gate it is held to
+export const BASE_ONLY_SETTINGS = [
+  ["analyzers", "custom"],
+  ["redaction", "patterns"],
+  ["check", "fail_on"],
+  ["surfaces", "check"],
+  ["include"],
+  ["exclude"],
+  ["severity_floor"],
+  ["disabled_events"]
+];
+
+function getPath(obj, keys) {
+  return keys.reduce((o, k) => o?.[k], obj);
+}
+
+function setPath(obj, keys, value) {
+  const parent = keys.slice(0, -1).reduce((o, k) => o[k], obj);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * head/base: resolved configs from the PR head and the base branch
+ * -> { config: head with every BASE_ONLY_SETTINGS value taken from base, overridden: ["analyzers.custom", ...] }
+ *    (`overridden` lists settings the PR changed; they take effect once merged)
+ */
+export function withBaseOnlySettings(head, base) {
+  const config = structuredClone(head);
+  const overridden = [];
+  for (const keys of BASE_ONLY_SETTINGS) {
+    const value = getPath(base, keys);
+    if (JSON.stringify(getPath(head, keys)) !== JSON.stringify(value)) overridden.push(keys.join("."));
+    setPath(config, keys, structuredClone(value));
+  }
+  return { config, overridden };
+}
+
+/* ---------- globs ---------- */
+
+// Supports **, *, ?, and {a,b} (alternatives are globs too, and may nest); matches against
+// forward-slash repo paths
+export function globToRegExp(glob) {
+  let re = globSource(glob);
+  // A bare directory pattern ("dist/") covers everything below it
+  if (glob.endsWith("/")) re += ".*";
+  return new RegExp(`^${re}$`);
+}
+
+function globSource(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        const slash = glob[i + 2] === "/";
+        re += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{") {
+      const end = closingBrace(glob, i);
+      if (end === -1) { re += "\\{"; continue; }
+      re += `(?:${splitAlternatives(glob.slice(i + 1, end)).map(globSource).join("|")})`;
+      i = end;
+    } else {
+      re += escapeRe(ch);
+    }
+  }
+  return re;
+}
+
+// Index of the "}" matching the "{" at `start`, or -1
+function closingBrace(glob, start) {
+  let depth = 0;
+  for (let i = start; i < glob.length; i++) {
+    if (glob[i] === "{") depth++;
+    else if (glob[i] === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// "a,{b,c},d" -> ["a", "{b,c}", "d"]: only top-level commas separate alternatives
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let from = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "{") depth++;
+    else if (body[i] === "}") depth--;
+    else if (body[i] === "," && depth === 0) {
+      parts.push(body.slice(from, i));
+      from = i + 1;
+    }
+  }
+  parts.push(body.slice(from));
+  return parts;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.+^$()|[\]{}\\]/g, "\\$&");
+}
+
+// include/exclude globs that don't compile are reported and dropped, so matching never throws
+// mid-run -> errors
+function checkGlobs(cfg) {
+  const errors = [];
+  for (const key of ["include", "exclude"]) {
+    if (!cfg[key]) continue;
+    cfg[key] = cfg[key].filter((glob, i) => {
+      try {
+        globToRegExp(glob);
+        return true;
+      } catch (e) {
+        errors.push(`${key}.${i}: invalid glob \`${glob}\` (${e.message})`);
+        return false;
+      }
+    });
+  }
+  return errors;
+}
+
+// -> true when the file should be reviewed under include/exclude
+export function isPathIncluded(filePath, { include = [], exclude = [] } = {}) {
+  const p = String(filePath).replace(/\\/g, "/");
+  if (include.length && !include.some(g => globToRegExp(g).test(p))) return false;
+  return !exclude.some(g => globToRegExp(g).test(p));
+}
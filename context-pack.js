@@ -0,0 +1,131 @@
+// context-pack.js
+// Fills the review prompt up to a model-specific token budget with whole units of
+// context, highest value first:
+//   1. changed hunks (+ analyzer findings on them)
+//   2. nearby source (code around the hunks, from the checkout)
+//   3. business rules / checklist items
+//   4. existing tests
+//   5. repo signals (deps, routes, README...)
+// A unit either goes in complete or not at all, so the prompt is always valid JSON and
+// nothing is cut mid-hunk. Whatever didn't fit is reported back for the PR comment.
+
+// Context windows (tokens) by model-name prefix; longest matching prefix wins
+const CONTEXT_WINDOWS = [
+  ["gpt-4.1", 1000000],
+  ["gpt-4o", 128000],
+  ["gpt-4-turbo", 128000],
+  ["gpt-4-32k", 32768],
+  ["gpt-4", 8192],
+  ["gpt-35-turbo-16k", 16384],
+  ["gpt-3.5-turbo-16k", 16384],
+  ["gpt-35-turbo", 16384],
+  ["gpt-3.5-turbo", 16384],
+  ["o1", 128000],
+  ["o3", 200000],
+  ["o4", 200000]
+];
+const DEFAULT_WINDOW = 16384;
+// Even with a huge window, a focused prompt reviews better and costs less
+const DEFAULT_PROMPT_CAP = 24000;
+
+export const PRIORITY = { hunk: 1, finding: 1, source: 2, business: 3, test: 4, signal: 5 };
+
+// Characters per token by model family. Code and JSON tokenize denser than prose, so
+// these sit below the usual "4 chars/token" to keep us under the real limit.
+// This is an estimate, not a tokenizer: no BPE vocabulary ships with the server and
+// compatible endpoints use their own. Text that tokenizes worse than this (minified code,
+// non-Latin scripts) can overshoot; the slack in promptBudget absorbs small misses, and a
+// batch the provider rejects for context length is split and retried (pipeline.js).
+function charsPerToken(model) {
+  const m = String(model || "").toLowerCase();
+  if (/^(gpt-4o|gpt-4\.1|o\d)/.test(m)) return 3.6; // o200k vocabulary
+  if (/^gpt-/.test(m)) return 3.2;                  // cl100k vocabulary
+  return 3;                                         // unknown/compatible models: be conservative
+}
+
+export function countTokens(text, model) {
+  return Math.ceil(String(text || "").length / charsPerToken(model));
+}
+
+// Inverse of countTokens: how many characters fit in `tokens`
+export function charsForTokens(tokens, model) {
+  return Math.floor(tokens * charsPerToken(model));
+}
+
+export function contextWindow(model) {
+  const m = String(model || "").toLowerCase();
+  let best = null;
+  for (const [prefix, size] of CONTEXT_WINDOWS) {
+    if (m.startsWith(prefix) && (!best || prefix.length > best[0].length)) best = [prefix, size];
+  }
+  return best ? best[1] : DEFAULT_WINDOW;
+}
+
+// Tokens available for the whole prompt: window minus the completion, capped by `cap`
+export function promptBudget(model, { maxOutputTokens = 1400, cap = DEFAULT_PROMPT_CAP } = {}) {
+  return Math.max(1000, Math.min(contextWindow(model) - maxOutputTokens - 200, cap || Infinity));
+}
+
+// System prompt, instructions, schema and repo sketch measure ~1.7k tokens; the rest is diff
+const FRAME_RESERVE = 2500;
+
+// Diff tokens one batch may carry and still fit next to the frame (planBatches' tokenBudget ceiling)
+export function diffBudget(model, { maxOutputTokens = 1400, cap = DEFAULT_PROMPT_CAP } = {}) {
+  return Math.max(500, promptBudget(model, { maxOutputTokens, cap }) - FRAME_RESERVE);
+}
+
+/**
+ * units: [{ kind, label, value }] where kind is a PRIORITY key and value is JSON-able.
+ * -> { included: units (in priority order), omitted: [{ kind, label, tokens }], used }
+ * Within a kind the caller's order is kept; a unit that doesn't fit is skipped and
+ * smaller later units may still go in.
+ */
+export function packUnits(units, budget, model) {
+  const ordered = units
+    .map((u, i) => ({ ...u, i, tokens: countTokens(JSON.stringify(u.value), model) + 2 }))
+    .sort((a, b) => PRIORITY[a.kind] - PRIORITY[b.kind] || a.i - b.i);
+  const included = [];
+  const omitted = [];
+  let used = 0;
+  for (const u of ordered) {
+    if (used + u.tokens <= budget) {
+      included.push(u);
+      used += u.tokens;
+    } else {
+      omitted.push({ kind: u.kind, label: u.label, tokens: u.tokens });
+    }
+  }
+  return { included, omitted, used };
+}
+
+/* ---------- units ---------- */
+
+// One unit per hunk; file metadata rides on each so a lone hunk still makes sense
+export function hunkUnits(changedFiles) {
+  const units = [];
+  for (const f of changedFiles || []) {
+    const hunks = String(f.patch || "").split(/\n(?=@@ )/).filter(Boolean);
+    hunks.forEach((hunk, n) => {
+      const header = /^@@ [^@]*@@/.exec(hunk)?.[0] || `hunk ${n + 1}`;
+      units.push({
+        kind: "hunk",
+        label: `${f.path} ${header}`,
+        value: { path: f.path, status: f.status, hunk, ...(n === 0 ? { additions: f.additions, deletions: f.deletions } : {}) }
+      });
+    });
+  }
+  return units;
+}
+
+// Regroup included hunk units into the changed_files shape the model already knows
+export function regroupHunks(included) {
+  const byPath = new Map();
+  for (const u of included.filter(x => x.kind === "hunk")) {
+    const { path, status, hunk, additions, deletions } = u.value;
+    if (!byPath.has(path)) byPath.set(path, { path, status, patch: [] });
+    const f = byPath.get(path);
+    if (additions !== undefined) Object.assign(f, { additions, deletions });
+    f.patch.push(hunk);
+  }
+  return [...byPath.values()].map(f => ({ ...f, patch: f.patch.join("\n") }));
+}
@@ -0,0 +1,71 @@
+// diff.js
+// Maps PR patches (as returned by pulls.listFiles) onto the lines GitHub accepts
+// for review comments: added or context lines on the RIGHT side of a hunk.
+
+const HUNK_RE = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Collect the new-file line numbers that are visible in the patch.
+export function rightSideLines(patch) {
+  const lines = new Set();
+  if (!patch) return lines;
+  let next = 0;
+  let inHunk = false;
+  for (const row of patch.split("\n")) {
+    const m = HUNK_RE.exec(row);
+    if (m) {
+      next = Number(m[1]);
+      inHunk = true;
+      continue;
+    }
+    if (!inHunk) continue;
+    if (row.startsWith("-")) continue;       // LEFT side only
+    if (row.startsWith("\\")) continue;      // "\ No newline at end of file"
+    // "+" (added) or " " (context) both live on the RIGHT side
+    lines.add(next);
+    next++;
+  }
+  return lines;
+}
+
+// Only the lines this PR added or modified ("+" rows) in the new file.
+export function addedLines(patch) {
+  const lines = new Set();
+  if (!patch) return lines;
+  let next = 0;
+  let inHunk = false;
+  for (const row of patch.split("\n")) {
+    const m = HUNK_RE.exec(row);
+    if (m) {
+      next = Number(m[1]);
+      inHunk = true;
+      continue;
+    }
+    if (!inHunk || row.startsWith("-") || row.startsWith("\\")) continue;
+    if (row.startsWith("+")) lines.add(next);
+    next++;
+  }
+  return lines;
+}
+
+// path -> Set(lines) for every changed file that has a patch
+export function buildDiffIndex(files) {
+  const index = new Map();
+  for (const f of files || []) {
+    const p = f.filename || f.path;
+    if (!p || !f.patch) continue;
+    index.set(p, rightSideLines(f.patch));
+  }
+  return index;
+}
+
+// Split findings into those we can anchor inline and those that must stay in the summary.
+export function partitionByDiff(comments, index) {
+  const inline = [];
+  const outside = [];
+  for (const c of comments || []) {
+    const lines = index.get(c.path);
+    if (lines && lines.has(c.line)) inline.push(c);
+    else outside.push(c);
+  }
+  return { inline, outside };
+}
@@ -0,0 +1,137 @@
+// github-auth.js
+// GitHub credentials for a run. Two modes:
+//  - app: sign a JWT with the App private key, exchange it for a short-lived installation
+//         token per repository; tokens are cached and refreshed before they expire
+//  - pat: one static GITHUB_TOKEN (handy for local runs)
+// Either way callers get { octokit, token } for a specific owner/repo, and login() names the
+// account Neuron posts as (the PAT's user, or "<app-slug>[bot]").
+// GITHUB_API_URL points the clients at GitHub Enterprise or a local stand-in (replay/).
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { Octokit } from "@octokit/rest";
+
+// Refresh installation tokens this long before GitHub expires them (they live 1h)
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// RS256 app JWT; iat is backdated 60s to absorb clock drift, GitHub caps exp at 10 minutes
+export function createAppJwt(appId, privateKey, now = Date.now()) {
+  const iat = Math.floor(now / 1000) - 60;
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+  const claims = base64url(JSON.stringify({ iat, exp: iat + 9 * 60, iss: String(appId) }));
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${claims}`), privateKey);
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+function readPrivateKey(env) {
+  if (env.GITHUB_APP_PRIVATE_KEY) return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, "\n");
+  if (env.GITHUB_APP_PRIVATE_KEY_PATH) return fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, "utf8");
+  return "";
+}
+
+export function resolveAuthMode(env = process.env) {
+  const forced = (env.GITHUB_AUTH_MODE || "").toLowerCase();
+  if (forced === "app" || forced === "pat") return forced;
+  if (env.GITHUB_APP_ID && (env.GITHUB_APP_PRIVATE_KEY || env.GITHUB_APP_PRIVATE_KEY_PATH)) return "app";
+  if (env.GITHUB_TOKEN) return "pat";
+  return "none";
+}
+
+// onRequestError(err, route, options) sees every failed API request (metrics); the error still propagates.
+// onResponse(response, options) sees every successful one (replay/recorder.js).
+export function createGitHubAuth(env = process.env, { onRequestError, onResponse } = {}) {
+  const mode = resolveAuthMode(env);
+  const baseUrl = (env.GITHUB_API_URL || "").replace(/\/+$/, "") || undefined;
+
+  function client(auth) {
+    const octokit = new Octokit({ auth, ...(baseUrl ? { baseUrl } : {}) });
+    if (onRequestError) {
+      octokit.hook.error("request", (err, options) => {
+        onRequestError(err, `${options.method} ${options.url}`, options);
+        throw err;
+      });
+    }
+    if (onResponse) octokit.hook.after("request", (response, options) => onResponse(response, options));
+    return octokit;
+  }
+
+  if (mode !== "app") {
+    const token = env.GITHUB_TOKEN || "";
+    const octokit = client(token || undefined);
+    let self = null;
+    return {
+      mode,
+      baseUrl: baseUrl || "https://api.github.com",
+      async forRepo() {
+        return { octokit, token };
+      },
+      login() {
+        self ||= octokit.users.getAuthenticated().then(r => r.data.login, err => { self = null; throw err; });
+        return self;
+      }
+    };
+  }
+
+  const appId = env.GITHUB_APP_ID;
+  const privateKey = readPrivateKey(env);
+  const installationIds = new Map(); // "owner/repo" -> installation id
+  const tokens = new Map();          // installation id -> { token, expiresAt, octokit }
+  let self = null;
+
+  function appOctokit() {
+    return client(createAppJwt(appId, privateKey));
+  }
+
+  async function installationFor(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (!installationIds.has(key)) {
+      const { data } = await appOctokit().apps.getRepoInstallation({ owner, repo });
+      installationIds.set(key, data.id);
+    }
+    return installationIds.get(key);
+  }
+
+  async function tokenFor(installationId) {
+    const cached = tokens.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > REFRESH_MARGIN_MS) return cached;
+    const { data } = await appOctokit().apps.createInstallationAccessToken({ installation_id: installationId });
+    const entry = {
+      token: data.token,
+      expiresAt: Date.parse(data.expires_at),
+      octokit: client(data.token)
+    };
+    tokens.set(installationId, entry);
+    return entry;
+  }
+
+  return {
+    mode,
+    baseUrl: baseUrl || "https://api.github.com",
+    // installationId is optional; webhook payloads carry it, otherwise we look it up
+    async forRepo(owner, repo, installationId) {
+      const id = installationId || await installationFor(owner, repo);
+      const { token, octokit } = await tokenFor(id);
+      return { octokit, token };
+    },
+    login() {
+      self ||= appOctokit().apps.getAuthenticated().then(r => `${r.data.slug}[bot]`, err => { self = null; throw err; });
+      return self;
+    }
+  };
+}
+
+// Env for git commands that need to authenticate over HTTPS. The token travels as an
+// extra header via GIT_CONFIG_* so it never appears in the clone URL, argv or logs.
+export function gitAuthEnv(token) {
+  if (!token) return {};
+  const basic = Buffer.from(`x-access-token:${token}`).toString("base64");
+  return {
+    GIT_CONFIG_COUNT: "1",
+    GIT_CONFIG_KEY_0: "http.extraHeader",
+    GIT_CONFIG_VALUE_0: `Authorization: Basic ${basic}`
+  };
+}
@@ -1,24 +1,62 @@
 import express from "express";
 import getRawBody from "raw-body";
 import crypto from "crypto";
-import { Octokit } from "@octokit/rest";
 import dotenv from "dotenv";
-import { execSync } from "node:child_process";
+import { execFile as execFileCb } from "node:child_process";
+import { promisify } from "node:util";
 import os from "node:os";
 import fs from "node:fs";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
 import Ajv from "ajv";
 import addFormats from "ajv-formats";
-import * as yaml from "js-yaml";
-import { OpenAIClient, AzureKeyCredential } from "@azure/openai";
 
-import { buildMessages } from "./prompts.js";
+import { buildRepairMessages, buildExplainMessages } from "./prompts.js";
 import {
   readBaseline, writeBaseline, ensureBaselineDir,
-  shouldSkipComment, recordComments
+  shouldSkipComment, recordComments,
+  BASELINE_PATH, parseBaseline, serializeBaseline,
+  annotateFingerprints, isDismissed, dismissFingerprint,
+  expireEntries, markFixed, DEFAULT_TTL_DAYS
 } from "./baseline.js";
+import { parseCommand, helpText } from "./commands.js";
+import { createGitHubAuth, gitAuthEnv } from "./github-auth.js";
+import { commitFiles, commitMessage } from "./commit.js";
+import { loadBusinessContext, selectRelevant, validateCitations } from "./business.js";
+import { detectTestSetup, frameworksOf, defaultTestPath } from "./test-detect.js";
+import { listAllPullFiles, planBatches } from "./batching.js";
+import { diffBudget } from "./context-pack.js";
+import { CONFIG_SCHEMA, resolveConfig, withBaseOnlySettings, isPathIncluded } from "./config.js";
+import { createCheckRun, startCheckRun, completeCheckRun, gateConclusion, SEVERITY_RANK } from "./checks.js";
+import { isOwnSummaryComment, parseSummaryState, diffFindings, renderSummary } from "./summary.js";
+import { createJobQueue, checkpoint, SupersededError } from "./queue.js";
+import { createRunStore } from "./runs.js";
+import {
+  createUsageLedger, resolveRates, resolveQuotas, readJsonSetting, withUsageMeter, unpricedQuotaWarning
+} from "./usage.js";
+import { createRegistry } from "./metrics.js";
+import { log, withLogContext, addLogContext } from "./logger.js";
+import { buildDiffIndex, partitionByDiff } from "./diff.js";
+import { createProvider, classifyLLMError } from "./providers/index.js";
+import {
+  scrubGitCredentials, installCommand, runLimited, normalizeFramework, runTestFile
+} from "./sandbox.js";
+import { filterToChangedLines, toReviewComment, mergeFindings } from "./analyzers/merge-findings.js";
+import { buildSarifLog, fromReviewComment, loadSarifFiles, uploadSarif } from "./analyzers/sarif.js";
+import { runAnalyzers } from "./analyzers/registry.js";
+import { createRedactor, describeRedaction } from "./redact.js";
+import { checkSuggestions, renderSuggestionBlock, renderSuggestionDiff, reviewCommentRange } from "./suggestions.js";
+import { createRecorder } from "./replay/recorder.js";
+import {
+  collectRepoSignals, languageOfPath, detectLanguages, detectPackageManager,
+  sampleExistingTests, collectNearbySource, testConventionsFor, reviewInBatches, extractFirstJsonObject,
+  applyPlan, writeTestEntry, rollbackTestEntry
+} from "./pipeline.js";
 
-dotenv.config();
+dotenv.config({ quiet: true }); // keep stdout pure JSON logs
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NEURON_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf8")).version;
 
 /* =======================
    Config / Globals
@@ -26,23 +64,121 @@ dotenv.config();
 
 const PORT = process.env.PORT || 3000;
 const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN || "";
 
 const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT || "";
 const AZURE_OPENAI_KEY = process.env.AZURE_OPENAI_KEY || "";
 const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || "";
 
+// Analyzer engines (analyzers/registry.js); a missing tool just disables its engine.
+// Custom engines run commands from neuron.config.yml on this host, so they are opt-in, and their
+// definitions are only ever read from the base branch (a PR can't add one for its own run).
+const SEMGREP_RULES = process.env.SEMGREP_RULES || path.join(__dirname, "rules/default.yml");
+const SEMGREP_TIMEOUT_MS = Number(process.env.SEMGREP_TIMEOUT_MS || 120000);
+const CUSTOM_ANALYZERS = (process.env.NEURON_CUSTOM_ANALYZERS || "false").toLowerCase() === "true";
+// Engines that need node_modules (ESLint) install the PR's dependencies and load its config,
+// i.e. run PR code even on review-only runs; opt-in, like custom engines.
+const ANALYZER_INSTALL = (process.env.NEURON_ANALYZER_INSTALL || "false").toLowerCase() === "true";
+
+// Generated tests are run in the workdir before commit; only tests that compile and run are kept
+const VERIFY_TESTS = (process.env.NEURON_VERIFY_TESTS || "true").toLowerCase() === "true";
+const TEST_TIMEOUT_MS = Number(process.env.NEURON_TEST_TIMEOUT_MS || 120000);
+const INSTALL_TIMEOUT_MS = Number(process.env.NEURON_INSTALL_TIMEOUT_MS || 300000);
+const TEST_MEMORY_MB = Number(process.env.NEURON_TEST_MEMORY_MB || 1024);
+const TEST_REPAIR_ROUNDS = Number(process.env.NEURON_TEST_REPAIR_ROUNDS || 2);
+
+// Check Runs need a GitHub App token; "auto" turns them on only in App mode
+const CHECK_RUNS = (process.env.NEURON_CHECK_RUNS || "auto").toLowerCase();
+
+// Posted suggestions stop suppressing repeats after this many days (neuron.config.yml: baseline_ttl_days)
+const BASELINE_TTL_DAYS = Number(process.env.NEURON_BASELINE_TTL_DAYS || DEFAULT_TTL_DAYS);
+// `/neuron ignore` re-reads the baseline this many times when the branch moves under it
+const IGNORE_ATTEMPTS = 3;
+
+// Large PRs: diff tokens per LLM call, and how many calls one run may make
+const BATCH_TOKENS = Number(process.env.NEURON_BATCH_TOKENS || 6000);
+const MAX_BATCHES = Number(process.env.NEURON_MAX_BATCHES || 6);
+// Upper bound on prompt tokens per call; the model's context window can only lower it
+const PROMPT_TOKENS = Number(process.env.NEURON_PROMPT_TOKENS || 0) || undefined;
+
 // Always post the combined comment (even when 0 findings/tests)
 const ALWAYS_COMMENT = (process.env.NEURON_ALWAYS_COMMENT || "true").toLowerCase() === "true";
 const DEBUG = (process.env.DEBUG_RENDER || "").toLowerCase() === "true";
 // When true, post a tiny trace comment even if something fails mid-run
 const DEBUG_COMMENTS = (process.env.NEURON_DEBUG_COMMENTS || "true").toLowerCase() === "true";
 
-const octokit = new Octokit({ auth: GITHUB_TOKEN });
-const openai =
-  AZURE_OPENAI_ENDPOINT && AZURE_OPENAI_KEY
-    ? new OpenAIClient(AZURE_OPENAI_ENDPOINT, new AzureKeyCredential(AZURE_OPENAI_KEY))
-    : null;
+// Local state (job queue, delivery dedupe) lives here; must survive restarts
+const DATA_DIR = process.env.NEURON_DATA_DIR || path.join(process.cwd(), ".neuron-data");
+const WORKERS = Math.max(1, Number(process.env.NEURON_WORKERS || 2));
+// /runs and /usage require `Authorization: Bearer <token>`; without a token they are off (404),
+// since they expose repo names, findings and spend
+const API_TOKEN = process.env.NEURON_API_TOKEN || "";
+// When set, each accepted delivery (payload, GitHub + LLM responses, cloned tree) is saved
+// here for offline replay (replay/replay.js)
+const RECORD_DIR = process.env.NEURON_RECORD_DIR || "";
+
+/* =======================
+   Metrics (GET /metrics, Prometheus text format)
+======================= */
+
+const metrics = createRegistry();
+const webhookCounter = metrics.counter("neuron_webhooks_total", "Webhook deliveries by event, action and outcome");
+const runCounter = metrics.counter("neuron_runs_total", "Pipeline runs by final status");
+const stageSeconds = metrics.histogram("neuron_stage_duration_seconds", "Pipeline stage latency in seconds");
+const llmOutcomes = metrics.counter("neuron_llm_requests_total", "LLM plan requests by provider and diag code");
+const llmTokens = metrics.counter("neuron_llm_tokens_total", "LLM tokens by provider and kind (prompt | completion)");
+const githubErrors = metrics.counter("neuron_github_api_errors_total", "Failed GitHub API requests by status");
+const testCounter = metrics.counter("neuron_generated_tests_total", "Generated tests by outcome (committed | blocked)");
+const analyzerRuns = metrics.counter("neuron_analyzer_runs_total", "Analyzer engine runs by engine and result code");
+const llmCost = metrics.counter("neuron_llm_cost_usd_total", "Priced LLM spend in USD by provider and model");
+
+const recorder = createRecorder({ dir: RECORD_DIR });
+
+// GitHub App (per-installation tokens) when GITHUB_APP_ID + key are set, else GITHUB_TOKEN.
+// GITHUB_API_URL points the clients elsewhere (GitHub Enterprise, replay/github-standin.js).
+const github = createGitHubAuth(process.env, {
+  onRequestError: (err, route, options) => {
+    githubErrors.inc({ status: err?.status || "network", route });
+    recorder.githubError(err, options);
+  },
+  onResponse: recorder.enabled ? recorder.githubResponse : undefined
+});
+// LLM_PROVIDER picks azure | openai | compatible | mock (see providers/index.js)
+const { provider: configuredLlm, diag: llmConfigDiag } = createProvider(process.env);
+const llm = recorder.wrapProvider(configuredLlm);
+
+const jobs = createJobQueue({
+  storePath: path.join(DATA_DIR, "queue.json"),
+  concurrency: WORKERS,
+  handler: handleJob
+});
+// Per-run history (timings, LLM diag/usage, findings, trace) behind GET /runs
+const runs = createRunStore({
+  file: path.join(DATA_DIR, "runs.jsonl"),
+  onStage: (stage, ms) => stageSeconds.observe({ stage }, ms / 1000)
+});
+
+// LLM spend ledger behind GET /usage. NEURON_LLM_RATES (USD per 1M tokens by model prefix)
+// and NEURON_QUOTAS (daily/monthly limits per org/repo) take inline JSON or a file path.
+const rateSetting = readJsonSetting(process.env.NEURON_LLM_RATES, "NEURON_LLM_RATES");
+const quotaSetting = readJsonSetting(process.env.NEURON_QUOTAS, "NEURON_QUOTAS");
+const { rates: llmRates, errors: rateErrors } = resolveRates(rateSetting.value);
+const { quotas, errors: quotaErrors } = resolveQuotas(quotaSetting.value);
+const usageSettingsErrors = [rateSetting.error, quotaSetting.error, ...rateErrors, ...quotaErrors].filter(Boolean);
+for (const error of usageSettingsErrors) log.warn("usage setting ignored", { error });
+const unpricedQuota = llm ? unpricedQuotaWarning(llmRates, quotas, llm.model) : null;
+if (unpricedQuota) {
+  usageSettingsErrors.push(unpricedQuota);
+  log.error("USD quotas are not enforced", { error: unpricedQuota, provider: llm.name, model: llm.model });
+}
+const usageLedger = createUsageLedger({ file: path.join(DATA_DIR, "usage.jsonl"), rates: llmRates, quotas });
+
+metrics.gauge("neuron_queue_jobs", "Jobs in the queue by state", () => {
+  const { concurrency, active, ...counts } = jobs.stats();
+  return [
+    { labels: { state: "active" }, value: active },
+    ...Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }))
+  ];
+});
 
 /* =======================
    Express Setup
@@ -59,91 +195,360 @@ app.get("/diag", (_req, res) => {
     ok: true,
     env: {
       WEBHOOK_SECRET: !!WEBHOOK_SECRET,
-      GITHUB_TOKEN: !!GITHUB_TOKEN,
+      GITHUB_AUTH_MODE: github.mode,
+      NEURON_API_TOKEN: !!API_TOKEN,
+      GITHUB_API_URL: github.baseUrl,
       AZURE_OPENAI_ENDPOINT: !!AZURE_OPENAI_ENDPOINT,
       AZURE_OPENAI_KEY: !!AZURE_OPENAI_KEY,
       AZURE_OPENAI_DEPLOYMENT: !!AZURE_OPENAI_DEPLOYMENT,
+      LLM_PROVIDER: llm ? `${llm.name}:${llm.model}` : llmConfigDiag.code,
+      SEMGREP_RULES,
+      CUSTOM_ANALYZERS,
+      ANALYZER_INSTALL,
+      VERIFY_TESTS,
+      CHECK_RUNS,
       ALWAYS_COMMENT,
       DEBUG,
-      DEBUG_COMMENTS
-    }
+      DEBUG_COMMENTS,
+      RECORDING: recorder.enabled
+    },
+    queue: jobs.stats(),
+    runs: runs.stats(),
+    usage: { settings_errors: usageSettingsErrors }
   });
 });
 
-app.post("/webhook", async (req, res) => {
-  // run-trace breadcrumbs; we’ll post these if anything fails
-  const trace = [];
-  let owner = "", repo = "", pull_number = 0;
+// Query params: repo=owner/name, pr, status (running|completed|failed|superseded|interrupted),
+// diag (LLM diag code prefix), since/until (ISO dates), limit
+function runFilter(query) {
+  const { repo, pr, status, diag, since, until, limit } = query;
+  return { repo, pr, status, diag, since, until, limit };
+}
+
+function requireApiToken(req, res, next) {
+  if (!API_TOKEN) return res.status(404).json({ error: "disabled (set NEURON_API_TOKEN)" });
+  const header = String(req.headers.authorization || "");
+  const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const a = Buffer.from(given);
+  const b = Buffer.from(API_TOKEN);
+  if (a.length === b.length && crypto.timingSafeEqual(a, b)) return next();
+  res.status(401).json({ error: "unauthorized" });
+}
+
+app.get("/metrics", (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+app.get("/runs", requireApiToken, (req, res) => {
+  res.json({ runs: runs.list(runFilter(req.query)) });
+});
+
+app.get("/runs/:id", requireApiToken, (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "run not found" });
+  res.json(run);
+});
+
+app.get("/repos/:owner/:repo/runs", requireApiToken, (req, res) => {
+  const repo = `${req.params.owner}/${req.params.repo}`;
+  res.json({ repo, runs: runs.list({ ...runFilter(req.query), repo }) });
+});
+
+// Query params: org, repo=owner/name, pr, since/until (ISO dates),
+// group_by (repo|org|pr|model|day|month), limit (groups)
+function usageFilter(query) {
+  const { org, repo, pr, since, until, group_by, limit } = query;
+  return { org, repo, pr, since, until, group_by, limit };
+}
 
+app.get("/usage", requireApiToken, (req, res) => {
+  res.json(usageLedger.summary(usageFilter(req.query)));
+});
+
+app.get("/repos/:owner/:repo/usage", requireApiToken, (req, res) => {
+  const { owner, repo } = req.params;
+  res.json({
+    repo: `${owner}/${repo}`,
+    ...usageLedger.summary({ ...usageFilter(req.query), org: undefined, repo: `${owner}/${repo}` }),
+    quotas: usageLedger.quotaStatus(owner, repo)
+  });
+});
+
+app.post("/webhook", async (req, res) => {
+  const event = req.headers["x-github-event"] || "unknown";
+  const deliveryId = req.headers["x-github-delivery"] || "";
+  let action = "";
+  // Every exit is counted once: outcome = accepted | noop | ignored | duplicate_delivery | ...
+  const reply = (status, text, outcome, fields = {}) => {
+    webhookCounter.inc({ event, action: action || "none", outcome });
+    log.info("webhook", { delivery: deliveryId, event, action, outcome, ...fields });
+    return res.status(status).send(text);
+  };
   try {
     const raw = await getRawBody(req);
     const sig = req.headers["x-hub-signature-256"];
-    const event = req.headers["x-github-event"];
-
-    trace.push("received");
 
     if (!verifySignature(sig, raw)) {
-      trace.push("signature_invalid");
-      return res.status(401).send("Invalid signature");
+      return reply(401, "Invalid signature", "invalid_signature");
     }
 
     const payload = JSON.parse(raw.toString("utf8"));
-    trace.push(`event=${event}`);
+    action = payload.action || "";
 
-    if (event !== "pull_request") {
-      trace.push("ignored_event");
-      return res.status(200).send("Ignored");
+    // Jobs sharing a key supersede each other (a new push cancels the older run)
+    let key = null;
+    if (event === "pull_request") {
+      if (!["opened", "reopened", "synchronize", "ready_for_review"].includes(action)) {
+        return reply(200, "No-op for this PR action", "noop");
+      }
+      key = `${payload.repository.full_name}#${payload.pull_request.number}`;
+    } else if (event === "issue_comment") {
+      // `/neuron <command>` on a PR conversation; ignore bots so we never answer ourselves
+      const command = payload.action === "created" && payload.issue?.pull_request && payload.sender?.type !== "Bot"
+        ? parseCommand(payload.comment?.body)
+        : null;
+      if (!command) return reply(200, "Ignored", "ignored");
+      if (command.name === "review" || command.name === "tests") {
+        key = `${payload.repository.full_name}#${payload.issue.number}`;
+      }
+    } else {
+      return reply(200, "Ignored", "ignored");
     }
-    const action = payload.action;
-    if (!["opened", "reopened", "synchronize", "ready_for_review"].includes(action)) {
-      trace.push(`ignored_action=${action}`);
-      return res.status(200).send("No-op for this PR action");
+
+    // Respond inside GitHub's delivery timeout; the worker pool does the real work
+    const queued = jobs.enqueue({ id: deliveryId, key, event, payload });
+    if (!queued.accepted) {
+      return reply(200, `Ignored (${queued.reason})`, queued.reason);
     }
+    recorder.saveDelivery(deliveryId, { event, payload });
+    reply(202, "Accepted", "accepted", { repo: payload.repository?.full_name, key });
+  } catch (err) {
+    log.error("webhook intake failed", { delivery: deliveryId, event, err });
+    webhookCounter.inc({ event, action: action || "none", outcome: "error" });
+    res.status(500).send("Error");
+  }
+});
 
+app.listen(PORT, () => {
+  log.info("listening", { port: Number(PORT) });
+  jobs.start();
+});
+
+/* =======================
+   Pull request pipeline (runs on the worker pool)
+======================= */
+
+// Every log line written while a job runs carries its delivery id and repo/PR;
+// with NEURON_RECORD_DIR set, its GitHub and LLM traffic is recorded under the delivery id
+async function handleJob(job, ctx) {
+  const p = job.payload;
+  const handle = () => (job.event === "issue_comment" ? handleCommandJob(job, ctx) : handlePullRequestJob(job, ctx));
+  return withLogContext({
+    delivery: job.id,
+    event: job.event,
+    repo: p.repository?.full_name,
+    pr: p.pull_request?.number || p.issue?.number
+  }, () => recorder.run(job.id, handle));
+}
+
+// Records the run in the history store around the actual pipeline
+async function handlePullRequestJob(job, ctx) {
+  const run = runs.begin({
+    delivery_id: job.id,
+    event: job.event,
+    mode: job.mode || "full",
+    owner: job.payload.repository?.owner?.login,
+    repo: job.payload.repository?.name,
+    pr: job.payload.pull_request?.number
+  });
+  try {
+    const result = await reviewPullRequest(job, ctx, run);
+    run.finish("completed", { result });
+    runCounter.inc({ status: "completed" });
+    return result;
+  } catch (err) {
+    const status = err instanceof SupersededError ? "superseded" : "failed";
+    run.finish(status, { error: err });
+    runCounter.inc({ status });
+    throw err;
+  }
+}
+
+// Runs one queued pull_request delivery end to end. `signal` fires when a newer
+// delivery for the same PR arrives; checkpoint() then stops us between stages.
+async function reviewPullRequest(job, { signal }, run) {
+  // run-trace breadcrumbs; we’ll post these if anything fails (and they land in the run record)
+  const trace = run.trace;
+  trace.push(`delivery=${job.id}`, `event=${job.event}`);
+  const payload = job.payload;
+  // full = findings + tests; `/neuron review` and `/neuron tests` narrow it
+  const mode = job.mode || "full";
+  let owner = "", repo = "", pull_number = 0;
+  let workdir = "";
+  let gh = null;
+  let check = null;
+
+  try {
     const pr = payload.pull_request;
     owner = payload.repository.owner.login;
     repo = payload.repository.name;
     pull_number = pr.number;
 
+    // Per-installation client (App mode) or the PAT client; token also authenticates the clone
+    const auth = await github.forRepo(owner, repo, payload.installation?.id);
+    gh = auth.octokit;
+    trace.push(`auth=${github.mode}`);
+
     // IMPORTANT: commit to PR HEAD repo/branch
     const headOwner = pr.head.repo.owner.login;
     const headRepo = pr.head.repo.name;
     const headRef = pr.head.ref;
 
-    console.log(`[info] Handling PR #${pull_number} @ ${owner}/${repo}`);
+    log.info("run started", { run: run.id, mode });
     trace.push("start_handle_pull_request");
+    if (mode !== "full") trace.push(`mode=${mode}`);
+
+    // neuron.config.yml from the PR head; invalid keys fall back to defaults and are reported.
+    // Settings that run commands on this host or decide the merge gate come from the base branch.
+    const headConfig = await loadRepoConfig(gh, headOwner, headRepo, headRef);
+    const { config: baseCfg } = await loadRepoConfig(gh, owner, repo, pr.base.ref);
+    const { config: cfg, overridden } = withBaseOnlySettings(headConfig.config, baseCfg);
+    const configErrors = headConfig.errors;
+    if (configErrors.length) trace.push(`config_errors=${configErrors.length}`);
+    if (overridden.length) {
+      trace.push(`base_only_settings=${overridden.join(",")}`);
+      log.info("PR changes base-only settings; using the base branch's", { settings: overridden, base: pr.base.ref });
+    }
+    // Slash-command reruns were already checked against "issue_comment"
+    if (mode === "full" && cfg.disabled_events.includes(payload.action)) {
+      log.info("event disabled by neuron.config.yml", { action: payload.action });
+      return "disabled_event";
+    }
 
-    if (!openai || !AZURE_OPENAI_DEPLOYMENT) {
-      trace.push("azure_missing");
-      await postIssueComment(owner, repo, pull_number,
-        "⚠️ Neuron could not generate a plan — **AZURE_CONFIG_MISSING** (endpoint/key/deployment not set).");
-      return res.status(200).send("OK");
+    if (cfg.surfaces.check && (CHECK_RUNS === "true" || (CHECK_RUNS === "auto" && github.mode === "app"))) {
+      check = await createCheckRun(gh, { owner, repo, head_sha: pr.head.sha, details_url: pr.html_url });
+      trace.push(check ? "check_queued" : "check_unavailable");
     }
 
+    if (!llm) {
+      trace.push("llm_missing");
+      llmOutcomes.inc({ provider: "none", code: llmConfigDiag.code });
+      const msg = `⚠️ Neuron could not generate a plan — **${llmConfigDiag.code}** (${llmConfigDiag.detail}).`;
+      await postIssueComment(gh, owner, repo, pull_number, msg);
+      await completeCheckRun(gh, {
+        owner, repo, check,
+        conclusion: "action_required",
+        title: `LLM not configured (${llmConfigDiag.code})`,
+        summary: msg
+      });
+      return "llm_missing";
+    }
+
+    // Daily/monthly budgets (NEURON_QUOTAS) are checked before any tokens are spent
+    const exhausted = usageLedger.checkQuota(owner, repo);
+    if (exhausted) {
+      trace.push(`budget_exhausted=${exhausted.scope}:${exhausted.period}:${exhausted.unit}`);
+      log.info("LLM budget exhausted", { quota: exhausted });
+      const msg = renderBudgetExhausted(exhausted);
+      await postBudgetNote(gh, owner, repo, pull_number, exhausted, msg);
+      await completeCheckRun(gh, {
+        owner, repo, check,
+        conclusion: "neutral",
+        title: `LLM budget exhausted (${exhausted.scope} ${exhausted.period})`,
+        summary: msg
+      });
+      return "budget_exhausted";
+    }
+    // Every completion in this run (plan, test repair) is recorded against the repo/PR
+    let runCost = 0;
+    const meteredLlm = withUsageMeter(llm, call => {
+      const entry = usageLedger.record({ owner, repo, pr: pull_number, run_id: run.id }, call);
+      llmCost.inc({ provider: call.provider, model: call.model || "unknown" }, entry.cost_usd);
+      runCost = Math.round((runCost + entry.cost_usd) * 1e6) / 1e6;
+      run.set({ cost_usd: runCost });
+    });
+
+    await startCheckRun(gh, { owner, repo, check });
+
     // Workdir & clone (local FS is easiest for analysis)
-    const cloneUrl = pr.head.repo.clone_url.replace("https://", `https://x-access-token:${GITHUB_TOKEN}@`);
-    const workdir = tmpDir("neuron-");
-    console.log("[info] workdir:", workdir);
-    exec(`git clone --depth=50 --branch "${headRef}" "${cloneUrl}" "${workdir}"`);
+    const cloneUrl = pr.head.repo.clone_url;
+    workdir = tmpDir("neuron-");
+    log.debug("workdir", { workdir });
+    const cloneSha = await run.stage("clone", async () => {
+      // Branch names and clone URLs come from the PR; `--` keeps them from being read as options
+      await exec("git", ["clone", "--depth=50", "--branch", headRef, "--", cloneUrl, workdir], {
+        env: { ...process.env, ...gitAuthEnv(auth.token) }
+      });
+      // Everything we generate is based on this commit; the commit step refuses if the branch moved
+      return (await exec("git", ["rev-parse", "HEAD"], { cwd: workdir })).trim();
+    });
+    run.set({ head_sha: cloneSha });
+    await recorder.snapshotRepo(workdir);
+    addLogContext({ head_sha: cloneSha.slice(0, 12) });
     trace.push("cloned");
-
-    // Changed files (cap + trim patches)
-    const filesResp = await octokit.pulls.listFiles({ owner, repo, pull_number, per_page: 100 });
-    const changedRaw = filesResp.data || [];
-    const changed = trimChangedFiles(changedRaw);
-    trace.push(`changed=${changed.length}`);
+    checkpoint(signal);
+
+    // Changed files (every page; include/exclude from config), packed into token-bounded batches
+    const allChanged = await run.stage("list_files", () => listAllPullFiles(gh, { owner, repo, pull_number }));
+    const changedRaw = allChanged.filter(f => isPathIncluded(f.filename, cfg));
+    const batching = planBatches(changedRaw, {
+      tokenBudget: Math.min(BATCH_TOKENS, diffBudget(llm?.model, { cap: PROMPT_TOKENS })),
+      maxBatches: MAX_BATCHES,
+      model: llm?.model
+    });
+    const changed = batching.batches.flat();
+    const fileCoverage = {
+      total: allChanged.length,
+      reviewed: batching.reviewed,
+      skipped: [
+        ...allChanged.filter(f => !changedRaw.includes(f))
+          .map(f => ({ path: f.filename, reason: "excluded by neuron.config.yml" })),
+        ...batching.skipped
+      ]
+    };
+    trace.push(`changed=${allChanged.length},batches=${batching.batches.length},skipped=${fileCoverage.skipped.length}`);
+    checkpoint(signal);
 
     // Signals (auto-detected repo hints)
     const signals = collectRepoSignals(workdir);
 
-    // Languages / frameworks
+    // Languages / test frameworks / test layout (manifests + existing tests; config overrides win)
     const languages = detectLanguages(changed, workdir);
-    const testFrameworks = frameworkMap(languages);
+    const { setup: testSetup, testFiles } = detectTestSetup(workdir, languages);
+    const testFrameworks = { ...frameworksOf(testSetup), ...cfg.tests.framework };
+    trace.push(`test_frameworks=${Object.entries(testFrameworks).map(([l, f]) => `${l}:${f}`).join(",") || "none"}`);
 
     // Existing test snippets (capped)
-    const existingTests = sampleExistingTests(workdir);
-
-    const cfg = readNeuronConfig(workdir);
+    const existingTests = sampleExistingTests(workdir, testFiles, changed);
+
+    // Business rules/checklists from the repo, narrowed to what this PR touches
+    const businessDocs = loadBusinessContext(workdir, cfg.business);
+    const business = selectRelevant(businessDocs, changedRaw.map(f => f.filename));
+    if (businessDocs.errors.length) configErrors.push(...businessDocs.errors.map(e => `business: ${e}`));
+    trace.push(`business_rules=${business.rules.length},checklist=${business.checklist.length}`);
+
+    // Deterministic analyzers (Semgrep, ESLint, npm audit, custom) plus SARIF from other tools,
+    // scoped to the lines this PR touched. Repo code runs from here on: drop the clone token first.
+    scrubGitCredentials(workdir);
+    const installDeps = dependencyInstaller(workdir, detectPackageManager(workdir));
+    const analysis = await run.stage("analyzers", () => runAnalyzers(workdir, {
+      config: cfg.analyzers,
+      changedPaths: changedRaw.map(f => f.filename),
+      settings: analyzerSettings(),
+      prepare: installDeps
+    }));
+    for (const d of analysis.diags) {
+      analyzerRuns.inc({ engine: d.name, code: d.code });
+      trace.push(`analyzer_${d.name}=${d.code}${d.code === "OK" ? `,findings=${d.findings}` : ""}`);
+      if (d.code !== "OK" && d.code !== "SKIPPED") log.warn("analyzer failed", { engine: d.name, code: d.code, detail: d.detail });
+    }
+    const sarifImport = loadSarifFiles(workdir, cfg.sarif.import);
+    if (sarifImport.errors.length) configErrors.push(...sarifImport.errors.map(e => `sarif: ${e}`));
+    if (cfg.sarif.import.length) trace.push(`sarif_imported=${sarifImport.findings.length}`);
+    const analyzerComments = annotateFingerprints(workdir,
+      mergeFindings([], filterToChangedLines([...analysis.findings, ...sarifImport.findings], changedRaw).map(toReviewComment)))
+      .filter(c => meetsSeverityFloor(c, cfg.severity_floor));
+    trace.push(`analyzer_findings=${analyzerComments.length}`);
 
     const input = {
       repo_meta: {
@@ -151,106 +556,248 @@ app.post("/webhook", async (req, res) => {
         headRef,
         languages,
         test_frameworks: testFrameworks,
+        test_conventions: testConventionsFor(testSetup, languages, changed),
         package_manager: detectPackageManager(workdir)
       },
       signals,
-      changed_files: changed,
+      changed_files: [],
+      nearby_source: collectNearbySource(workdir, changed),
       existing_tests: existingTests,
+      analyzer_findings: analyzerComments,
+      business_context: business,
       requirements: {
-        max_comments: cfg.max_inline_comments ?? 3
+        max_comments: mode === "tests" ? 0 : cfg.max_inline_comments,
+        max_tests: mode === "review" ? 0 : cfg.max_tests,
+        severity_floor: cfg.severity_floor,
+        test_output_dir: cfg.tests.output_dir || undefined
       }
     };
 
-    // Build messages with compact context
-    const messages = buildMessages(input, JSON.stringify(JSON_SCHEMA));
-
-    // Get plan (JSON mode first, then fallback)
+    // One LLM call per batch (JSON mode first, then fallback), merged into one ranked plan.
+    // Secrets/PII are masked first; the same redactor covers the test repair prompts below.
+    checkpoint(signal);
     trace.push("llm_request");
-    const { plan, diag } = await getLLMPlanWithFallback(messages);
+    const redactor = createRedactor(cfg.redaction);
+    const { plan, diag, usage, calls, context, redaction } = await run.stage("llm", () => reviewInBatches(meteredLlm, batching.batches, input, {
+      signal,
+      budgetCap: PROMPT_TOKENS,
+      redactor,
+      onBatch: ({ diag, usage }) => {
+        llmOutcomes.inc({ provider: llm.name, code: diag.code });
+        llmTokens.inc({ provider: llm.name, kind: "prompt" }, usage.prompt_tokens);
+        llmTokens.inc({ provider: llm.name, kind: "completion" }, usage.completion_tokens);
+      }
+    }));
+    trace.push(`redacted=${describeRedaction(redaction)}`);
     trace.push(`llm=${diag?.code || "unknown"}`);
+    if (context.omitted.length) trace.push(`context_omitted=${context.omitted.length}`);
+    run.set({
+      llm: {
+        provider: llm.name, model: llm.model, diag_code: diag?.code || null, diag_detail: diag?.detail || null,
+        calls, usage, context_omitted: context.omitted.length, redacted: redaction.kinds
+      }
+    });
+    checkpoint(signal);
 
     if (!plan) {
-      await postCombined(owner, repo, pull_number, { comments: [], tests: [] }, { tests_written: [] }, {
+      const fallbackPlan = { comments: analyzerComments, tests: [] };
+      const fallbackMeta = {
         languages,
         changedCount: changed.length,
-        diagCode: diag?.code || "ERROR"
-      }, trace, { failedSnippets: [] });
-      return res.status(200).send("OK");
+        diagCode: diag?.code || "ERROR",
+        analyzers: analysis.diags,
+        sarifSources: sarifImport.sources,
+        headSha: pr.head.sha,
+        reportedIds: analyzerComments.map(c => c.fingerprint),
+        configErrors,
+        fileCoverage,
+        business: businessSummary(businessDocs, business),
+        context
+      };
+      const summary = cfg.surfaces.comment
+        ? await postCombined(gh, owner, repo, pull_number, fallbackPlan, { tests_written: [] }, fallbackMeta, trace, { failedSnippets: [] })
+        : buildCombinedBody(fallbackPlan, { tests_written: [] }, fallbackMeta, trace, { failedSnippets: [] });
+      await finishCheck(gh, { owner, repo, check, findings: analyzerComments, diagCode: diag?.code || "ERROR", failOn: cfg.check.fail_on, configErrors, summary });
+      return diag?.code || "ERROR";
     }
 
-    // Baseline: avoid repeats
+    // Baseline: avoid repeats (context fingerprints, TTL expiry, fixed detection)
     ensureBaselineDir(workdir);
     const baseline = readBaseline(workdir);
-    const filteredComments = (plan.comments || []).filter(c => !shouldSkipComment(workdir, baseline, c)).slice(0, 3);
-    const filteredPlan = { ...plan, comments: filteredComments };
+    const expired = expireEntries(baseline, { ttlDays: cfg.baseline_ttl_days ?? BASELINE_TTL_DAYS });
+    const llmComments = annotateFingerprints(workdir, validateCitations(plan.comments || [], business));
+    const fixed = markFixed(workdir, baseline, {
+      changedPaths: changedRaw.map(f => f.filename),
+      seenIds: [...llmComments, ...analyzerComments].map(c => c.fingerprint),
+      pr: pull_number
+    });
+    trace.push(`baseline_expired=${expired},fixed=${fixed}`);
+    const ranked = mode === "tests"
+      ? []
+      : llmComments
+        .filter(c => meetsSeverityFloor(c, cfg.severity_floor) && isPathIncluded(c.path, cfg))
+        .filter(c => !shouldSkipComment(workdir, baseline, c))
+        .slice(0, cfg.max_inline_comments);
+    // Fix suggestions must apply to the checked-out head; stale/overlapping ones are stripped
+    const { comments: filteredComments, dropped: droppedSuggestions } = checkSuggestions(workdir, ranked, changedRaw);
+    const suggested = filteredComments.filter(c => c.suggestion).length;
+    if (suggested || droppedSuggestions.length) trace.push(`suggestions=${suggested},dropped=${droppedSuggestions.length}`);
+    for (const d of droppedSuggestions) log.debug("suggestion dropped", d);
+    const filteredTests = mode === "review" ? [] : (plan.tests || []).slice(0, cfg.max_tests);
+    const filteredPlan = { ...plan, comments: filteredComments, tests: filteredTests };
     trace.push(`comments_after_baseline=${filteredComments.length}`);
 
     // Apply plan (write tests only; no comment posting here)
-    const applied = await applyPlan(workdir, filteredPlan);
+    const applied = await run.stage("apply", () => applyPlan(workdir, filteredPlan, {
+      outputDir: cfg.tests.output_dir,
+      defaultPathFor: language => defaultTestPath(testSetup, language,
+        changed.find(f => languageOfPath(f.path) === language)?.path)
+    }));
     trace.push(`tests_written=${applied.tests_written.length}`);
 
+    // Run the generated tests; repair or drop the ones that don't compile/run
+    if (VERIFY_TESTS && applied.entries.length) {
+      const verified = await run.stage("verify", () => verifyGeneratedTests(meteredLlm, workdir, applied, {
+        installDeps,
+        redactor,
+        testFrameworks,
+        frameworkOverrides: cfg.tests.framework
+      }));
+      trace.push(`tests_verified=${verified.filter(v => v.committable).length}/${verified.length}`);
+    }
+
     // Update baseline with posted comments (only the ones we actually keep)
-    const baselineChanged = recordComments(workdir, baseline, filteredComments);
+    const recorded = recordComments(workdir, baseline, filteredComments, { pr: pull_number });
+    const baselineChanged = recorded || expired > 0 || fixed > 0;
     if (baselineChanged) {
       writeBaseline(workdir, baseline);
     }
 
-    // Collect files to commit via API (NOT git push)
+    // Last chance to bail before we write to the contributor's branch
+    checkpoint(signal);
+
+    // One atomic commit via the Git Data API (NOT git push)
     const filesToCommit = [...(applied.tests_written || [])];
-    if (baselineChanged) filesToCommit.push(".neuron/baseline.json");
+    if (baselineChanged) filesToCommit.push(BASELINE_PATH);
 
     let commitResult = { written: [], failed: [] };
     if (filesToCommit.length) {
-      const params = filesToCommit.map(rel => {
-        const abs = path.join(workdir, rel);
-        const content = fs.readFileSync(abs, "utf8");
-        return {
-          owner: headOwner,
-          repo: headRepo,
-          branch: headRef,
-          filepath: rel.replace(/\\/g, "/"),
-          message: "chore(neuron): generated tests & updated baseline",
-          content
-        };
-      });
-      commitResult = await tryCommitFilesViaAPI(params);
-      trace.push(`committed_via_api=${commitResult.written.length},failed=${commitResult.failed.length}`);
+      const files = filesToCommit.map(rel => ({
+        path: rel,
+        content: fs.readFileSync(path.join(workdir, rel), "utf8")
+      }));
+      commitResult = await run.stage("commit", () => commitFiles(gh, {
+        owner: headOwner,
+        repo: headRepo,
+        branch: headRef,
+        files,
+        expectedHeadSha: cloneSha,
+        message: commitMessage({ files, baseSha: cloneSha })
+      }));
+      trace.push(commitResult.sha
+        ? `committed=${commitResult.sha.slice(0, 7)},files=${commitResult.written.length}`
+        : `commit_failed=${commitResult.failed[0]?.reason}`);
     } else {
       trace.push("nothing_to_commit");
     }
+    const isTest = p => p !== BASELINE_PATH;
+    testCounter.inc({ outcome: "committed" }, commitResult.written.filter(isTest).length);
+    testCounter.inc({ outcome: "blocked" },
+      (applied.verification || []).filter(v => !v.committable).length + commitResult.failed.filter(f => isTest(f.path)).length);
+
+    // LLM + analyzer findings, duplicates collapsed, engines labeled
+    const keptAnalyzer = mode === "tests" ? [] : analyzerComments.filter(c => !isDismissed(baseline, c));
+    const findings = mergeFindings(filteredComments, keptAnalyzer);
+    const reportPlan = { ...filteredPlan, comments: findings };
+    run.set({
+      findings: findings.map(c => ({
+        path: c.path, line: c.line, severity: c.severity, title: c.title,
+        engine: c.engine || "llm", fingerprint: c.fingerprint, ...(c.rule_ref ? { rule_ref: c.rule_ref } : {})
+      })),
+      files_written: commitResult.written
+    });
 
-    // Post one combined comment (summary at top; findings/tests below if present)
-    if (ALWAYS_COMMENT) {
-      await postCombined(
-        owner,
-        repo,
-        pull_number,
-        filteredPlan,
-        applied,
-        { languages, changedCount: changed.length, diagCode: diag?.code || "OK" },
-        trace,
-        { failedSnippets: commitResult.failed }
-      );
-    }
+    // Inline review, summary comment and check run all count as "publish"
+    await run.stage("publish", async () => {
+      // Inline review for findings that land on diff lines; the rest stay in the summary
+      const review = cfg.surfaces.review
+        ? await postReview(gh, owner, repo, pull_number, pr.head.sha, findings, changedRaw)
+        : { url: null, inline: [], outside: findings };
+      trace.push(review.inline.length ? `review_inline=${review.inline.length}` : "review_skipped");
 
-    res.status(200).send("OK");
+      // Post one combined comment (summary at top; findings/tests below if present)
+      const summaryMeta = {
+        languages,
+        changedCount: changed.length,
+        diagCode: diag?.code || "OK",
+        analyzers: analysis.diags,
+        sarifSources: sarifImport.sources,
+        headSha: pr.head.sha,
+        // suppressed-by-baseline findings are still open, just not re-posted
+        reportedIds: [...llmComments, ...keptAnalyzer].map(c => c.fingerprint),
+        stateOf: id => baseline.entries.find(e => e.id === id)?.state,
+        configErrors,
+        fileCoverage,
+        business: businessSummary(businessDocs, business),
+        context
+      };
+      const summaryExtras = { failedSnippets: commitResult.failed, review };
+      const summary = ALWAYS_COMMENT && cfg.surfaces.comment
+        ? await postCombined(gh, owner, repo, pull_number, reportPlan, applied, summaryMeta, trace, summaryExtras)
+        : buildCombinedBody(reportPlan, applied, summaryMeta, trace, summaryExtras);
+
+      await finishCheck(gh, {
+        owner, repo, check, findings, diagCode: diag?.code || "OK", failOn: cfg.check.fail_on, configErrors,
+        unreviewed: diag?.unreviewed, summary
+      });
+      trace.push(check ? "check_completed" : "check_skipped");
+
+      // Same findings as a SARIF log in the repo's code scanning view
+      if (cfg.sarif.upload) {
+        const upload = await uploadSarif(gh, {
+          owner, repo,
+          commit_sha: pr.head.sha,
+          ref: `refs/pull/${pull_number}/head`,
+          log: buildSarifLog(findings.map(fromReviewComment), { version: NEURON_VERSION })
+        });
+        if (upload.error) log.warn("SARIF upload failed", { error: upload.error });
+        trace.push(upload.error ? "sarif_upload_failed" : `sarif_uploaded=${upload.id}`);
+      }
+    });
+
+    return diag?.code || "OK";
   } catch (err) {
-    console.error("[error] webhook handler failed:", err);
+    if (err instanceof SupersededError) {
+      log.info("run superseded", { run: run.id });
+      await completeCheckRun(gh, {
+        owner, repo, check,
+        conclusion: "cancelled",
+        title: "Superseded by a newer run",
+        summary: "A newer push to this PR started another Neuron run."
+      });
+      throw err;
+    }
+    log.error("run failed", { run: run.id, trace: trace.join(" "), err });
+    await completeCheckRun(gh, {
+      owner, repo, check,
+      conclusion: "neutral",
+      title: "Neuron run failed",
+      summary: `Trace: ${trace.map(t => `\`${t}\``).join(" · ")}\n\nError: \`${String(err?.message || err).slice(0, 300)}\``
+    });
     // Fallback: post a tiny trace so the PR never goes silent
-    if (DEBUG_COMMENTS && owner && repo && pull_number) {
+    if (DEBUG_COMMENTS && gh && owner && repo && pull_number) {
       const msg = (err && (err.message || String(err))) || "unknown";
       try {
-        await postIssueComment(owner, repo, pull_number,
+        await postIssueComment(gh, owner, repo, pull_number,
           `⚠️ Neuron run failed early.\n\nTrace: ${trace.map(t => `\`${t}\``).join(" · ")}\n\nError: \`${msg.slice(0, 300)}\``);
       } catch {}
     }
-    res.status(500).send("Error");
+    throw err;
+  } finally {
+    if (workdir) fs.rmSync(workdir, { recursive: true, force: true });
   }
-});
+}
 
-app.listen(PORT, () => {
-  console.log(`Neuron webhook listening on :${PORT}`);
-});
 
 /* =======================
    Utilities
@@ -268,383 +815,612 @@ function tmpDir(prefix) {
   return p;
 }
 
-function exec(cmd, opts = {}) {
-  DEBUG && console.log("[exec]", cmd);
-  return execSync(cmd, { stdio: DEBUG ? "inherit" : "ignore", ...opts });
-}
+const execFileAsync = promisify(execFileCb);
 
-function readFileIfExists(p) {
-  try { return fs.readFileSync(p, "utf8"); } catch { return ""; }
+// Async so clones don't stall webhook intake while a worker is busy. No shell: arguments are
+// passed as-is, so PR-controlled values can't inject commands.
+async function exec(file, args, opts = {}) {
+  const cmd = [file, ...args].join(" ");
+  log.debug("exec", { cmd });
+  const { stdout, stderr } = await execFileAsync(file, args, { maxBuffer: 10 * 1024 * 1024, ...opts });
+  if (DEBUG) log.debug("exec output", { cmd, stdout: stdout.slice(-2000), stderr: stderr.slice(-2000) });
+  return stdout;
 }
 
-/* =======================
-   JSON Schema for LLM Plan
-======================= */
-
-const JSON_SCHEMA = {
-  type: "object",
-  required: ["comments", "tests"],
-  properties: {
-    comments: {
-      type: "array",
-      maxItems: 3,
-      items: {
-        type: "object",
-        required: ["path", "line", "severity", "title", "body"],
-        properties: {
-          path: { type: "string" },
-          line: { type: "integer", minimum: 1 },
-          severity: { type: "string", enum: ["LOW", "MEDIUM", "HIGH", "CRITICAL"] },
-          title: { type: "string", maxLength: 120 },
-          body: { type: "string", maxLength: 2000 }
-        }
-      }
-    },
-    tests: {
-      type: "array",
-      maxItems: 2,
-      items: {
-        type: "object",
-        required: ["language", "framework", "path", "mode", "content"],
-        properties: {
-          language: { type: "string" },
-          framework: { type: "string" },
-          path: { type: "string" },
-          mode: { type: "string", enum: ["create", "append_or_create", "replace"] },
-          content: { type: "string", minLength: 1 }
-        }
-      }
-    }
-  }
-};
-
 const ajv = new Ajv({ allErrors: true, strict: false });
 addFormats(ajv);
-const validatePlan = ajv.compile(JSON_SCHEMA);
+const validateConfig = ajv.compile(CONFIG_SCHEMA);
 
 /* =======================
    PR Handler helpers
 ======================= */
 
-function trimChangedFiles(files) {
-  const MAX_FILES = 25;
-  const MAX_PATCH_CHARS_PER_FILE = 5000;
-  const out = [];
-  for (const f of files.slice(0, MAX_FILES)) {
-    let patch = f.patch || "";
-    if (patch.length > MAX_PATCH_CHARS_PER_FILE) {
-      patch = patch.slice(0, MAX_PATCH_CHARS_PER_FILE) + "\n@@ ...patch truncated by Neuron @@";
-    }
-    out.push({
-      path: f.filename,
-      patch,
-      status: f.status,
-      additions: f.additions,
-      deletions: f.deletions,
-      changes: f.changes
-    });
-  }
-  return out;
+// -> { config, errors, text }; config always has every default filled in
+async function loadRepoConfig(gh, owner, repo, ref) {
+  const text = await getFileText(gh, owner, repo, "neuron.config.yml", ref) || "";
+  return { ...resolveConfig(text, validateConfig), text };
 }
 
-function collectRepoSignals(workdir) {
-  const pkg = readJsonSafe(path.join(workdir, "package.json"));
-  const deps = pkg ? { ...pkg.dependencies, ...pkg.devDependencies } : {};
-  const depsList = Object.keys(deps || {}).slice(0, 40);
-  const envExample = readFileIfExists(path.join(workdir, ".env")).slice(0, 2000);
-  const readme = readFileIfExists(path.join(workdir, "README.md")).slice(0, 2000);
+function meetsSeverityFloor(c, floor) {
+  return (SEVERITY_RANK[c.severity] || 0) >= (SEVERITY_RANK[floor] || 0);
+}
 
-  const routes = findFiles(workdir, ["pages", "routes", "api"], [".js", ".ts", ".tsx"]).slice(0, 30);
-  const schema = findFiles(workdir, ["schema", "prisma", "migrations", "db"], [".sql", ".prisma", ".ts"]).slice(0, 30);
-  const testNames = findFiles(workdir, ["__tests__", "tests", "src/test"], [".test.js", ".spec.js", ".test.ts", ".java", ".py"]).slice(0, 30);
+function renderConfigErrors(errors) {
+  let out = `⚠️ **\`neuron.config.yml\` has errors** — the affected settings fell back to defaults:\n`;
+  out += errors.slice(0, 10).map(e => `- ${e}`).join("\n") + "\n";
+  return out;
+}
 
+/* =======================
+   Static analyzers / dependency install
+======================= */
+
+function analyzerSettings() {
   return {
-    deps: depsList,
-    stack_hints: {
-      react: !!deps["react"] || !!deps["next"],
-      nextjs: !!deps["next"],
-      express: !!deps["express"],
-      stripe: !!deps["stripe"] || !!deps["@stripe/stripe-js"],
-      prisma: !!deps["@prisma/client"],
-      graphql: !!deps["graphql"] || !!deps["@apollo/client"] || !!deps["@apollo/server"],
-      axios: !!deps["axios"]
-    },
-    env_snippet: envExample,
-    readme_snippet: readme,
-    route_files: routes,
-    schema_files: schema,
-    test_files: testNames
+    semgrepRules: SEMGREP_RULES,
+    timeouts: { semgrep: SEMGREP_TIMEOUT_MS },
+    memoryMb: TEST_MEMORY_MB,
+    allowCustom: CUSTOM_ANALYZERS,
+    allowInstall: ANALYZER_INSTALL
   };
 }
 
-function findFiles(root, folders, exts) {
+// One install per run, shared by analyzers that need node_modules (ESLint) and test verification.
+// -> async () => { ok, detail }
+function dependencyInstaller(workdir, packageManager) {
+  let pending = null;
+  return () => pending ||= (async () => {
+    const argv = installCommand(workdir, packageManager);
+    if (!argv) return { ok: true, detail: "" };
+    const res = await runLimited(argv, { cwd: workdir, timeoutMs: INSTALL_TIMEOUT_MS, memoryMb: TEST_MEMORY_MB });
+    return res.code === 0 ? { ok: true, detail: "" } : { ok: false, detail: `dependency install failed (${argv.slice(0, 2).join(" ")})` };
+  })();
+}
+
+/* =======================
+   Generated test verification (sandbox run + bounded repair)
+======================= */
+
+const REPAIR_SCHEMA = {
+  type: "object",
+  required: ["content"],
+  properties: { content: { type: "string", minLength: 1 } }
+};
+const validateRepair = ajv.compile(REPAIR_SCHEMA);
+
+// Runner output can echo env values and fixtures; it is redacted like every other prompt input
+async function requestTestRepair(llm, { test, framework, output, attempt, redactor }) {
+  try {
+    const resp = await llm.complete(buildRepairMessages({ test, framework, output: redactor.text(output), attempt }), {
+      temperature: 0.1,
+      maxTokens: 1400,
+      jsonMode: true
+    });
+    const candidate = extractFirstJsonObject(resp.content || "");
+    const fix = candidate ? JSON.parse(candidate) : null;
+    return fix && validateRepair(fix) ? fix.content : null;
+  } catch (err) {
+    log.debug("test repair failed", { error: err?.message || String(err) });
+    return null;
+  }
+}
+
+// Mutates `applied`: tests_written keeps only committable files, verification gets one row per test.
+// status: passed | repaired | failing (runs, assertions fail) | broken (never ran; not committed)
+async function verifyGeneratedTests(llm, workdir, applied, { installDeps, redactor, testFrameworks, frameworkOverrides = {} }) {
+  const limits = { timeoutMs: TEST_TIMEOUT_MS, memoryMb: TEST_MEMORY_MB };
+
+  const needsNode = applied.entries.some(e =>
+    ["jest", "vitest", "mocha", "ava"].includes(normalizeFramework(frameworkOverrides[e.test.language] || e.test.framework, e.test.language)));
+  let installNote = "";
+  if (needsNode) {
+    const res = await installDeps();
+    if (!res.ok) installNote = res.detail;
+  }
+
   const results = [];
-  function walk(dir, depth = 0) {
-    if (depth > 3) return;
-    let list = [];
-    try { list = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
-    for (const entry of list) {
-      const p = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        if (depth === 0 || folders.some(f => p.includes(`/${f}`))) walk(p, depth + 1);
-      } else {
-        const lower = entry.name.toLowerCase();
-        if (exts.some(ext => lower.endsWith(ext))) {
-          results.push(path.relative(root, p));
-        }
-      }
+  for (const entry of applied.entries) {
+    const lang = entry.test.language;
+    const framework = normalizeFramework(frameworkOverrides[lang] || entry.test.framework || testFrameworks[lang], lang);
+    let test = entry.test;
+    let run = await runTestFile(workdir, framework, entry.path, limits);
+    let rounds = 0;
+
+    while (run.status === "broken" && rounds < TEST_REPAIR_ROUNDS) {
+      rounds++;
+      const content = await requestTestRepair(llm, { test, framework, output: run.output, attempt: rounds, redactor });
+      if (!content) break;
+      test = { ...test, content };
+      writeTestEntry(workdir, entry, content);
+      run = await runTestFile(workdir, framework, entry.path, limits);
     }
+
+    const committable = run.status !== "broken";
+    if (!committable) rollbackTestEntry(workdir, entry);
+    const status = run.status === "passed" && rounds ? "repaired" : run.status;
+    results.push({
+      path: entry.path,
+      framework,
+      status,
+      rounds,
+      committable,
+      detail: committable ? "" : (installNote || run.output.split("\n").filter(Boolean).slice(-3).join(" ").slice(0, 300))
+    });
   }
-  walk(root, 0);
+
+  applied.tests_written = results.filter(r => r.committable).map(r => r.path);
+  applied.verification = results;
   return results;
 }
 
-function readJsonSafe(p) {
-  try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch { return null; }
-}
+/* =======================
+   Check Run (merge gate)
+======================= */
 
-function detectLanguages(changed, workdir) {
-  const set = new Set();
-  for (const f of changed) {
-    if (f.path.endsWith(".ts") || f.path.endsWith(".tsx")) set.add("typescript");
-    else if (f.path.endsWith(".js") || f.path.endsWith(".jsx")) set.add("javascript");
-    else if (f.path.endsWith(".java")) set.add("java");
-    else if (f.path.endsWith(".py")) set.add("python");
+// neuron.config.yml: check.fail_on = LOW | MEDIUM | HIGH | CRITICAL | none
+// unreviewed: files the model never saw (failed batch, or hunks that didn't fit; OK_*_PARTIAL); listed first in the summary
+async function finishCheck(gh, { owner, repo, check, findings, diagCode, failOn, configErrors = [], unreviewed = [], summary }) {
+  if (!check) return;
+  const { conclusion, blocking, partial } = gateConclusion(findings, { failOn: failOn || "none", diagCode, configErrors });
+  const notReviewed = `${unreviewed.length} file${unreviewed.length === 1 ? "" : "s"} not reviewed`;
+  if (unreviewed.length) {
+    summary = `**Not reviewed by the model** (its batch failed or didn't fit the prompt; \`${diagCode}\`):\n` +
+      unreviewed.slice(0, 50).map(p => `- \`${p}\``).join("\n") +
+      (unreviewed.length > 50 ? `\n- …and ${unreviewed.length - 50} more` : "") + `\n\n${summary || ""}`;
   }
-  if (fs.existsSync(path.join(workdir, "package.json"))) set.add("javascript");
-  return Array.from(set);
+  const title =
+    partial && !blocking ? `Partial review: ${notReviewed} (${diagCode})` :
+    conclusion === "failure" ? `${blocking} finding${blocking === 1 ? "" : "s"} at or above ${String(failOn).toUpperCase()}` :
+    conclusion === "action_required" && configErrors.length ? "neuron.config.yml has errors" :
+    conclusion === "action_required" ? `Configuration needed (${diagCode})` :
+    conclusion === "neutral" ? `LLM review incomplete (${diagCode})` :
+    `${findings.length} finding${findings.length === 1 ? "" : "s"}`;
+  await completeCheckRun(gh, { owner, repo, check, conclusion, title, summary, findings });
 }
 
-function frameworkMap(langs) {
-  const map = {};
-  for (const l of langs) {
-    if (l === "typescript" || l === "javascript") map[l] = "jest";
-    else if (l === "java") map[l] = "junit";
-    else if (l === "python") map[l] = "pytest";
-  }
-  return map;
+/* =======================
+   Inline PR Review (findings anchored to diff lines)
+======================= */
+
+function engineLabel(c) {
+  const engine = c.engine || "llm";
+  return c.rule_id ? `${engine} \`${c.rule_id}\`` : engine;
 }
 
-function detectPackageManager(workdir) {
-  if (fs.existsSync(path.join(workdir, "pnpm-lock.yaml"))) return "pnpm";
-  if (fs.existsSync(path.join(workdir, "yarn.lock"))) return "yarn";
-  if (fs.existsSync(path.join(workdir, "package-lock.json"))) return "npm";
-  return "unknown";
+function fingerprintNote(c) {
+  const id = c.fingerprint;
+  if (!id) return "";
+  return `<sub>fingerprint \`${id}\` · reply \`/neuron ignore ${id}\` to dismiss</sub>`;
 }
 
-function sampleExistingTests(workdir) {
-  const out = [];
-  function addDir(rel) {
-    const abs = path.join(workdir, rel);
-    if (fs.existsSync(abs) && fs.lstatSync(abs).isDirectory()) {
-      const files = fs.readdirSync(abs)
-        .filter(f => f.endsWith(".test.js") || f.endsWith(".spec.js") || f.endsWith(".test.ts") || f.endsWith(".java") || f.endsWith(".py"))
-        .slice(0, 8);
-      for (const f of files) {
-        const p = path.join(abs, f);
-        const txt = fs.readFileSync(p, "utf8");
-        out.push({ path: path.relative(workdir, p), snippet: txt.slice(0, 1000) });
-      }
-    }
-  }
-  addDir("__tests__");
-  addDir("tests");
-  addDir("src/test/java");
-  return out.slice(0, 20);
+function citationNote(c) {
+  return c.rule_ref ? `\n\n_Enforces \`${c.rule_ref}\`_` : "";
 }
 
-function readNeuronConfig(workdir) {
-  const p = path.join(workdir, "neuron.config.yml");
-  if (!fs.existsSync(p)) return {};
-  try { return (yaml.load(fs.readFileSync(p, "utf8"))?.neuron) || {}; } catch { return {}; }
+function formatInlineComment(c) {
+  const suggestion = c.suggestion ? `\n\n${renderSuggestionBlock(c.suggestion)}` : "";
+  return `**${c.severity}** · ${engineLabel(c)} — **${c.title}**\n\n${c.body}${suggestion}${citationNote(c)}\n\n${fingerprintNote(c)}`;
 }
 
-/* =======================
-   Azure LLM (JSON mode + fallback)
-======================= */
+// Post one review with every finding that maps onto the RIGHT side of a hunk.
+// Anything we can't anchor (or everything, if the review call fails) goes back to the summary.
+async function postReview(gh, owner, repo, pull_number, commit_id, comments, changedFiles) {
+  const { inline, outside } = partitionByDiff(comments, buildDiffIndex(changedFiles));
+  if (!inline.length) return { url: null, inline: [], outside };
 
-async function getLLMPlanWithFallback(messages) {
   try {
-    const resp = await openai.getChatCompletions(AZURE_OPENAI_DEPLOYMENT, messages, {
-      temperature: 0.2,
-      maxTokens: 1200,
-      responseFormat: { type: "json_object" }
+    const { data } = await gh.pulls.createReview({
+      owner,
+      repo,
+      pull_number,
+      commit_id,
+      event: "COMMENT",
+      body: `**Neuron — Inline findings** (${inline.length})\n\nSee the Neuron summary comment for the overview.`,
+      comments: inline.map(c => ({
+        path: c.path,
+        ...reviewCommentRange(c),
+        body: formatInlineComment(c)
+      }))
     });
-    const content = resp.choices?.[0]?.message?.content || "";
-    const plan = JSON.parse(content);
-    if (!validatePlan(plan)) {
-      return { plan: null, diag: { code: "SCHEMA_INVALID", detail: JSON.stringify(validatePlan.errors).slice(0, 500) } };
-    }
-    return { plan, diag: { code: "OK_JSON_MODE" } };
-  } catch (err) {
-    DEBUG && console.warn("[warn] JSON mode failed; falling back:", err?.message || err);
+    return { url: data?.html_url || null, inline, outside };
+  } catch (e) {
+    log.error("failed to post PR review", { err: e });
+    return { url: null, inline: [], outside: comments };
   }
+}
+
+/* =======================
+   Slash commands (`/neuron ...` in PR comments)
+======================= */
+
+async function handleCommandJob(job, ctx) {
+  const payload = job.payload;
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const pull_number = payload.issue.number;
+  const comment_id = payload.comment.id;
+  const user = payload.comment.user?.login || payload.sender?.login || "";
+  const command = parseCommand(payload.comment.body);
+  if (!command) return "no_command";
+  const { octokit: gh } = await github.forRepo(owner, repo, payload.installation?.id);
+
+  if (!(await hasWriteAccess(gh, owner, repo, user))) {
+    await reactToComment(gh, owner, repo, comment_id, "-1");
+    return "command_denied";
+  }
+  await reactToComment(gh, owner, repo, comment_id, "eyes");
+  log.info("command", { command: command.name, user });
+
+  // Past the 👀 the author is waiting on an answer: a failure gets a 😕 and a short note
   try {
-    const forced = [
-      ...messages,
-      { role: "system", content: "Return ONLY a JSON object with keys `comments` (array) and `tests` (array). No prose outside JSON." }
-    ];
-    const resp = await openai.getChatCompletions(AZURE_OPENAI_DEPLOYMENT, forced, {
-      temperature: 0.1,
-      maxTokens: 1400
-    });
-    const raw = resp.choices?.[0]?.message?.content || "";
-    const candidate = extractFirstJsonObject(raw);
-    if (!candidate) return { plan: null, diag: { code: "JSON_MISSING", detail: raw.slice(0, 350) } };
-    const plan = JSON.parse(candidate);
-    if (!validatePlan(plan)) {
-      return { plan: null, diag: { code: "SCHEMA_INVALID", detail: JSON.stringify(validatePlan.errors).slice(0, 500) } };
-    }
-    return { plan, diag: { code: "OK_FALLBACK" } };
-  } catch (err2) {
-    const msg = (err2 && (err2.message || String(err2))) || "unknown";
-    const code =
-      /quota|rate/i.test(msg) ? "AZURE_QUOTA" :
-      /unauthorized|401|forbidden|403/i.test(msg) ? "AZURE_AUTH" :
-      /model|deployment/i.test(msg) ? "AZURE_DEPLOYMENT" :
-      "MODEL_REJECT";
-    return { plan: null, diag: { code, detail: msg.slice(0, 400) } };
+    return await runCommand(job, ctx, { gh, owner, repo, pull_number, user, command });
+  } catch (err) {
+    if (err instanceof SupersededError) throw err;
+    log.error("command failed", { command: command.name, err });
+    await reactToComment(gh, owner, repo, comment_id, "confused");
+    try {
+      await postIssueComment(gh, owner, repo, pull_number,
+        `⚠️ \`/neuron ${command.name}\` failed: ${String(err?.message || err).split("\n")[0].slice(0, 200)}`);
+    } catch {}
+    throw err;
   }
 }
 
-function extractFirstJsonObject(text) {
-  const fence = text.indexOf("```");
-  if (fence !== -1) {
-    const fenceEnd = text.indexOf("```", fence + 3);
-    const inside = fenceEnd !== -1 ? text.slice(fence + 3, fenceEnd) : text.slice(0);
-    const s = inside.indexOf("{"), e = inside.lastIndexOf("}");
-    if (s !== -1 && e !== -1 && e > s) return inside.slice(s, e + 1);
+async function runCommand(job, ctx, { gh, owner, repo, pull_number, user, command }) {
+  const payload = job.payload;
+  if (command.name === "help") {
+    await postIssueComment(gh, owner, repo, pull_number, helpText(command.error));
+    return "command_help";
   }
-  const s = text.indexOf("{"), e = text.lastIndexOf("}");
-  if (s !== -1 && e !== -1 && e > s) return text.slice(s, e + 1);
-  return "";
-}
 
-/* =======================
-   Plan Application (no comment posting here)
-======================= */
+  const { data: pr } = await gh.pulls.get({ owner, repo, pull_number });
+  const head = { owner: pr.head.repo.owner.login, repo: pr.head.repo.name, ref: pr.head.ref };
 
-function ensureSafePath(root, rel, fallback) {
-  const abs = path.resolve(root, rel);
-  if (!abs.startsWith(path.resolve(root))) return path.join(root, fallback);
-  return abs;
-}
+  // `/neuron config` stays available so a repo can see why commands are off. disabled_events is
+  // base-only, so a PR can't switch commands back on for itself.
+  if (command.name !== "config") {
+    const { config } = await loadRepoConfig(gh, owner, repo, pr.base.ref);
+    if (config.disabled_events.includes("issue_comment")) return "disabled_event";
+  }
 
-function withChecksum(content) {
-  const h = crypto.createHash("sha256").update(content, "utf8").digest("hex");
-  return `// neuron:generated checksum=${h}\n${content}\n`;
+  switch (command.name) {
+    case "review":
+    case "tests":
+      return handlePullRequestJob({
+        ...job,
+        event: "pull_request",
+        mode: command.name,
+        payload: { action: "command", pull_request: pr, repository: payload.repository, installation: payload.installation }
+      }, ctx);
+    case "ignore":
+      return commandIgnore({ gh, owner, repo, pull_number, head, user, id: command.arg });
+    case "explain":
+      return commandExplain({ gh, owner, repo, pull_number, head, id: command.arg });
+    case "config":
+      return commandConfig({ gh, owner, repo, pull_number, head, baseRef: pr.base.ref });
+    default:
+      return "command_unknown";
+  }
 }
 
-function alreadyHasChecksum(content) {
-  return /neuron:generated checksum=([a-f0-9]{64})/.test(content);
-}
+// Persist a dismissal into .neuron/baseline.json on the PR head branch.
+// The baseline is read at a pinned head and committed only on top of it; if someone pushed in
+// between, re-read and try again rather than overwrite their baseline changes.
+async function commandIgnore({ gh, owner, repo, pull_number, head, user, id }) {
+  const fp = id.toLowerCase();
+  if (!/^[a-f0-9]{12}$/.test(fp)) {
+    await postIssueComment(gh, owner, repo, pull_number,
+      `⚠️ \`${id.slice(0, 40)}\` is not a Neuron fingerprint (expected 12 hex characters, as shown under each finding).`);
+    return "ignore_invalid";
+  }
 
-async function applyPlan(workdir, plan) {
-  const written = [];
+  let result = null;
+  for (let attempt = 1; attempt <= IGNORE_ATTEMPTS; attempt++) {
+    const { data: ref } = await gh.git.getRef({ owner: head.owner, repo: head.repo, ref: `heads/${head.ref}` });
+    const headSha = ref.object.sha;
+    // No checkout here: v1 files migrate with legacy ids and get re-fingerprinted on the next run
+    const baseline = parseBaseline(await getFileText(gh, head.owner, head.repo, BASELINE_PATH, headSha) || "{}");
+    if (!dismissFingerprint(baseline, fp, { by: user, pr: pull_number })) {
+      await postIssueComment(gh, owner, repo, pull_number, `Fingerprint \`${fp}\` was already dismissed.`);
+      return "ignore_noop";
+    }
 
-  // Tests
-  for (const t of plan.tests || []) {
-    const defaultPath = t.language === "java"
-      ? "src/test/java/NeuronGeneratedTest.java"
-      : "__tests__/neuron.generated.test.js";
-    const target = ensureSafePath(workdir, t.path, defaultPath);
-    const mode = t.mode || "append_or_create";
+    const files = [{ path: BASELINE_PATH, content: serializeBaseline(baseline) }];
+    result = await commitFiles(gh, {
+      owner: head.owner,
+      repo: head.repo,
+      branch: head.ref,
+      files,
+      message: commitMessage({ files, title: `chore(neuron): dismiss finding ${fp}` }),
+      expectedHeadSha: headSha
+    });
+    if (!result.failed.length || !/^head_moved/.test(result.failed[0].reason)) break;
+    log.info("head moved while recording a dismissal; retrying", { fingerprint: fp, attempt });
+  }
+  if (result.failed.length) {
+    await postIssueComment(gh, owner, repo, pull_number,
+      `⚠️ Could not record the dismissal of \`${fp}\` — commit blocked: ${result.failed[0].reason}`);
+    return "ignore_failed";
+  }
+  await postIssueComment(gh, owner, repo, pull_number,
+    `Dismissed \`${fp}\` (by @${user}). Neuron will not raise this finding again.`);
+  return "ignore_ok";
+}
 
-    let existing = "";
-    if (fs.existsSync(target)) {
-      existing = fs.readFileSync(target, "utf8");
-      if (alreadyHasChecksum(existing) && existing.includes(t.content)) {
-        console.log("[info] Skip unchanged test:", path.relative(workdir, target));
-        continue;
-      }
-    } else {
-      fs.mkdirSync(path.dirname(target), { recursive: true });
-    }
+// Find the posted finding by fingerprint, then ask the LLM to expand on it
+async function commandExplain({ gh, owner, repo, pull_number, head, id }) {
+  const fp = id.toLowerCase();
+  const found = await findPostedFinding(gh, owner, repo, pull_number, fp);
+  if (!found) {
+    await postIssueComment(gh, owner, repo, pull_number, `No Neuron finding with fingerprint \`${fp.slice(0, 40)}\` on this PR.`);
+    return "explain_not_found";
+  }
+  if (!llm) {
+    await postIssueComment(gh, owner, repo, pull_number,
+      `⚠️ Neuron cannot explain findings — **${llmConfigDiag.code}** (${llmConfigDiag.detail}).`);
+    return "llm_missing";
+  }
+  const exhausted = usageLedger.checkQuota(owner, repo);
+  if (exhausted) {
+    await postIssueComment(gh, owner, repo, pull_number, renderBudgetExhausted(exhausted));
+    return "budget_exhausted";
+  }
+  const meteredLlm = withUsageMeter(llm, call => {
+    const entry = usageLedger.record({ owner, repo, pr: pull_number }, call);
+    llmCost.inc({ provider: call.provider, model: call.model || "unknown" }, entry.cost_usd);
+  });
 
-    let next = t.content;
-    if (mode === "append_or_create" && existing) {
-      next = existing + "\n\n" + t.content;
-    }
-    const final = withChecksum(next);
-    fs.writeFileSync(target, final, "utf8");
-    written.push(path.relative(workdir, target));
+  // No repo config on this path: default redaction (secrets + default PII)
+  const redactor = createRedactor();
+  let excerpt = "";
+  if (found.path) {
+    const text = redactor.text(await getFileText(gh, head.owner, head.repo, found.path, head.ref) || "", { path: found.path });
+    const lines = text.split("\n");
+    const from = Math.max(0, (found.line || 1) - 40);
+    excerpt = lines.slice(from, from + 80).map((l, i) => `${from + i + 1}: ${l}`).join("\n");
   }
 
-  return { tests_written: written, comments_posted: (plan.comments || []).length };
+  try {
+    const resp = await meteredLlm.complete(buildExplainMessages({
+      fingerprint: fp,
+      finding_text: redactor.text(found.text),
+      file_path: found.path,
+      file_excerpt: excerpt
+    }), { temperature: 0.2, maxTokens: 800 });
+    await postIssueComment(gh, owner, repo, pull_number, `**Neuron — explain \`${fp}\`**\n\n${resp.content.trim()}`);
+    return "explain_ok";
+  } catch (err) {
+    const code = classifyLLMError(err);
+    await postIssueComment(gh, owner, repo, pull_number, `⚠️ Neuron could not explain \`${fp}\` — **${code}**.`);
+    return code;
+  }
 }
 
-/* =======================
-   GitHub Contents API commit + graceful fallback
-======================= */
+// Looks through Neuron's inline review comments first, then its summary comments.
+async function findPostedFinding(gh, owner, repo, pull_number, fp) {
+  const marker = `fingerprint \`${fp}\``;
+  const reviewComments = await gh.paginate(gh.pulls.listReviewComments, { owner, repo, pull_number, per_page: 100 });
+  const inline = reviewComments.find(c => (c.body || "").includes(marker));
+  if (inline) return { text: inline.body, path: inline.path, line: inline.line || inline.original_line };
+
+  const issueComments = await gh.paginate(gh.issues.listComments, { owner, repo, issue_number: pull_number, per_page: 100 });
+  const summary = issueComments.reverse().find(c => (c.body || "").includes(marker));
+  if (!summary) return null;
+  // The summary holds several findings; keep only the "- **SEV** ..." entry that carries the marker
+  const at = summary.body.indexOf(marker);
+  const start = summary.body.lastIndexOf("\n- **", at);
+  const text = summary.body.slice(start === -1 ? 0 : start, at + marker.length);
+  const loc = /`([^`\s]+):(\d+)`/.exec(text);
+  return { text, path: loc ? loc[1] : "", line: loc ? Number(loc[2]) : 0 };
+}
+
+async function commandConfig({ gh, owner, repo, pull_number, head, baseRef }) {
+  const { config: headCfg, errors, text } = await loadRepoConfig(gh, head.owner, head.repo, head.ref);
+  const { config: baseCfg } = await loadRepoConfig(gh, owner, repo, baseRef);
+  const { config, overridden } = withBaseOnlySettings(headCfg, baseCfg);
+  const effective = { ...config, baseline_ttl_days: config.baseline_ttl_days ?? BASELINE_TTL_DAYS };
+
+  let body = `**Neuron — config** (\`${head.ref}\`)\n\n`;
+  body += text
+    ? `\`neuron.config.yml\`:\n\n\`\`\`yaml\n${text.slice(0, 3000)}\n\`\`\`\n`
+    : `_No \`neuron.config.yml\` on this branch — defaults apply._\n`;
+  if (errors.length) body += `\n${renderConfigErrors(errors)}`;
+  if (overridden.length) {
+    body += `\nRead from \`${baseRef}\` instead (base branch only): ${overridden.map(k => `\`${k}\``).join(", ")}\n`;
+  }
+  body += `\nEffective settings:\n\n\`\`\`json\n${JSON.stringify(effective, null, 2)}\n\`\`\`\n`;
+  await postIssueComment(gh, owner, repo, pull_number, body);
+  return "config_ok";
+}
+
+async function hasWriteAccess(gh, owner, repo, username) {
+  if (!username) return false;
+  try {
+    const { data } = await gh.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+    // `permission` is the legacy admin/write/read view; `role_name` also covers "maintain"
+    return [data.permission, data.role_name].some(p => ["admin", "maintain", "write"].includes(p));
+  } catch {
+    return false;
+  }
+}
 
-async function upsertFileViaAPI({ owner, repo, branch, filepath, message, content }) {
-  // get sha if exists
-  let sha;
+async function reactToComment(gh, owner, repo, comment_id, content) {
   try {
-    const { data } = await octokit.repos.getContent({ owner, repo, path: filepath, ref: branch });
-    if (!Array.isArray(data) && data.sha) sha = data.sha;
+    await gh.reactions.createForIssueComment({ owner, repo, comment_id, content });
   } catch (e) {
-    if (e.status !== 404) throw e; // 404 = new file (fine)
-  }
-  await octokit.repos.createOrUpdateFileContents({
-    owner,
-    repo,
-    path: filepath,
-    message,
-    content: Buffer.from(content, "utf8").toString("base64"),
-    branch,
-    sha
-  });
+    log.debug("reaction failed", { error: e?.message || String(e) });
+  }
 }
 
-// Try to commit many files; collect failures with content for fallback display
-async function tryCommitFilesViaAPI(items) {
-  const written = [];
-  const failed = [];
-  for (const it of items) {
-    try {
-      await upsertFileViaAPI(it);
-      written.push(it.filepath);
-    } catch (e) {
-      const reason = (e && (e.status || e.message || String(e))) || "unknown";
-      failed.push({ path: it.filepath, reason: String(reason), content: it.content });
-    }
+// Text of a file on a branch via the Contents API; null when it doesn't exist.
+async function getFileText(gh, owner, repo, filepath, ref) {
+  try {
+    const { data } = await gh.repos.getContent({ owner, repo, path: filepath, ref });
+    if (Array.isArray(data) || !data.content) return null;
+    return Buffer.from(data.content, "base64").toString("utf8");
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
   }
-  return { written, failed };
 }
 
 /* =======================
    Combined Comment (summary + findings + tests)
 ======================= */
 
-async function postCombined(owner, repo, pull_number, plan, applied, meta, trace = [], extras = { failedSnippets: [] }) {
+async function postCombined(gh, owner, repo, pull_number, plan, applied, meta, trace = [], extras = { failedSnippets: [] }) {
+  const body = buildCombinedBody(plan, applied, meta, trace, extras);
+  await upsertSummaryComment(gh, owner, repo, pull_number, body, {
+    comments: plan.comments || [],
+    tests: (applied.tests_written || []).length,
+    diagCode: meta.diagCode,
+    headSha: meta.headSha,
+    reportedIds: meta.reportedIds,
+    stateOf: meta.stateOf
+  });
+  return body;
+}
+
+// Findings are counted after the changed-lines filter, so the numbers match what was posted
+function renderAnalyzerStatus(d, comments) {
+  if (d.code === "OK") {
+    const n = comments.filter(c => String(c.engine || "").split("+").includes(d.name)).length;
+    return `${d.name} ok (${n} on changed lines)`;
+  }
+  if (d.code === "SKIPPED") return `${d.name} skipped${d.detail ? ` (${d.detail})` : ""}`;
+  return `${d.name} unavailable — ${d.code}`;
+}
+
+const CONTEXT_KIND_LABELS = {
+  hunk: "diff hunks",
+  finding: "analyzer findings",
+  source: "nearby source excerpts",
+  business: "business rules/checklist items",
+  test: "existing test samples",
+  signal: "repo signals"
+};
+
+// Be upfront when the prompt budget forced context out; left-out hunks were not reviewed
+function renderContextOmissions({ budget, omitted }) {
+  const byKind = new Map();
+  for (const o of omitted) {
+    if (!byKind.has(o.kind)) byKind.set(o.kind, []);
+    byKind.get(o.kind).push(o);
+  }
+  const counts = [...byKind].map(([kind, list]) => `${list.length} ${CONTEXT_KIND_LABELS[kind] || kind}`);
+  let out = `- Prompt context left out to fit the ${budget}-token budget: ${counts.join(", ")}\n`;
+  const hunks = byKind.get("hunk") || [];
+  if (hunks.length) {
+    const files = [...new Set(hunks.map(h => h.label.split(" @@")[0]))];
+    out += `  - ⚠️ Only partially reviewed: ${files.slice(0, 10).map(f => `\`${f}\``).join(", ")}${files.length > 10 ? ` …and ${files.length - 10} more` : ""}\n`;
+  }
+  out += `\n<details><summary>Left-out context</summary>\n\n`;
+  out += omitted.slice(0, 60).map(o => `- ${o.kind}: \`${o.label}\` (~${o.tokens} tokens)`).join("\n") + "\n";
+  if (omitted.length > 60) out += `- …and ${omitted.length - 60} more\n`;
+  out += `\n</details>\n\n`;
+  return out;
+}
+
+function renderFileCoverage({ total, reviewed, skipped }) {
+  let out = `- Files reviewed: ${reviewed.length} of ${total}`;
+  const truncated = reviewed.filter(f => f.truncated).length;
+  if (truncated) out += ` (${truncated} with trimmed diffs)`;
+  out += "\n";
+  if (!skipped.length && total <= 10) return out;
+  out += `\n<details><summary>Reviewed ${reviewed.length} · skipped ${skipped.length}</summary>\n\n`;
+  if (reviewed.length) {
+    out += `Reviewed:\n`;
+    out += reviewed.slice(0, 100).map(f => `- \`${f.path}\`${f.truncated ? " _(diff trimmed)_" : ""}`).join("\n") + "\n";
+    if (reviewed.length > 100) out += `- …and ${reviewed.length - 100} more\n`;
+  }
+  if (skipped.length) {
+    out += `\nSkipped:\n`;
+    out += skipped.slice(0, 100).map(f => `- \`${f.path}\` — ${f.reason}`).join("\n") + "\n";
+    if (skipped.length > 100) out += `- …and ${skipped.length - 100} more\n`;
+  }
+  out += `\n</details>\n`;
+  return out;
+}
+
+// What the PR was checked against; kept small so it survives into the summary state
+function businessSummary(docs, selected) {
+  return {
+    sources: docs.sources,
+    rules: selected.rules.map(r => ({ id: r.id, title: r.title })),
+    checklist: selected.checklist.map(i => ({ id: i.id, text: i.text, checklist: i.checklist }))
+  };
+}
+
+function renderBusinessCheck(business, findings) {
+  const cited = new Set(findings.map(c => c.rule_ref).filter(Boolean));
+  let out = `\n**Business checks** (from ${business.sources.map(s => `\`${s}\``).join(", ")})\n`;
+  if (business.rules.length) {
+    out += `- Rules applied: ${business.rules.slice(0, 10).map(r => `\`${r.id}\``).join(", ")}`;
+    out += business.rules.length > 10 ? ` …and ${business.rules.length - 10} more\n` : "\n";
+  }
+  if (business.checklist.length) {
+    out += `\n<details><summary>Checklist items checked (${business.checklist.length}, ${cited.size} flagged)</summary>\n\n`;
+    for (const item of business.checklist.slice(0, 40)) {
+      out += `- ${cited.has(item.id) ? "⚠️" : "✓"} \`${item.id}\` ${item.text}\n`;
+    }
+    out += `\n</details>\n`;
+  }
+  return out;
+}
+
+function buildCombinedBody(plan, applied, meta, trace = [], extras = { failedSnippets: [] }) {
   const comments = plan.comments || [];
   const tests = plan.tests || [];
   const wrote = applied.tests_written || [];
   const failedSnippets = extras.failedSnippets || [];
+  const review = extras.review || { url: null, inline: [], outside: comments };
 
   let body = `**Neuron — Summary**\n\n`;
   body += `- Findings suggested: **${comments.length}**\n`;
+  if (review.inline.length) {
+    const link = review.url ? ` — [view review](${review.url})` : "";
+    body += `  - Inline on the diff: **${review.inline.length}**${link}\n`;
+  }
   body += `- Test artifacts suggested: **${tests.length}**\n`;
   body += `- Test files written: **${wrote.length}**\n`;
   if (wrote.length) {
     body += wrote.map(w => `  - \`${w}\``).join("\n") + "\n";
   }
 
+  if (meta.configErrors?.length) body += `\n${renderConfigErrors(meta.configErrors)}`;
+
   body += `\n**Context**\n`;
   body += `- Languages detected: ${meta.languages?.length ? meta.languages.join(", ") : "(none)"}\n`;
-  body += `- Changed files analyzed: ${meta.changedCount}\n`;
+  body += meta.fileCoverage
+    ? renderFileCoverage(meta.fileCoverage)
+    : `- Changed files analyzed: ${meta.changedCount}\n`;
+  if (meta.context?.omitted.length) body += renderContextOmissions(meta.context);
   body += `- LLM mode: ${meta.diagCode}\n`;
+  if (meta.analyzers?.length) body += `- Analyzers: ${meta.analyzers.map(d => renderAnalyzerStatus(d, comments)).join("; ")}\n`;
+  for (const src of meta.sarifSources || []) {
+    body += `- SARIF \`${src.path}\`: ${src.results} result${src.results === 1 ? "" : "s"} from ${src.engines.join(", ") || "(no tool results)"}\n`;
+  }
 
   if (comments.length === 0 && tests.length === 0) {
     body += `\n_No business-impact issues detected and no test cases proposed by the model._\n`;
-    body += `\n> Tip: add \`/business/rules.md\` or \`/business/checklists.yaml\` for stronger domain hints (optional).`;
+    if (!meta.business?.sources.length) {
+      body += `\n> Tip: add \`/business/rules.md\` or \`/business/checklists.yaml\` for stronger domain hints (optional).`;
+    }
+  }
+
+  if (meta.business?.checklist.length || meta.business?.rules.length) {
+    body += renderBusinessCheck(meta.business, comments);
   }
 
-  if (comments.length) {
+  if (review.outside.length) {
     body += `\n---\n\n**Neuron — Business-context review**\n\n`;
-    for (const c of comments) {
-      body += `- **${c.severity}** \`${c.path}:${c.line}\` — **${c.title}**\n\n  ${c.body}\n\n`;
+    if (review.inline.length) body += `_These findings point outside the diff, so they could not be posted inline._\n\n`;
+    for (const c of review.outside) {
+      body += `- **${c.severity}** [${engineLabel(c)}] \`${c.path}:${c.line}\` — **${c.title}**\n\n  ${c.body}${citationNote(c).replace(/\n\n/, "\n\n  ")}\n\n`;
+      if (c.suggestion) {
+        body += `  <details><summary>Suggested change</summary>\n\n${renderSuggestionDiff(c.suggestion).replace(/^/gm, "  ")}\n\n  </details>\n\n`;
+      }
+      body += `  ${fingerprintNote(c)}\n\n`;
     }
   }
 
@@ -657,9 +1433,25 @@ async function postCombined(owner, repo, pull_number, plan, applied, meta, trace
     }
   }
 
+  const verification = applied.verification || [];
+  if (verification.length) {
+    const label = {
+      passed: "✅ passed",
+      repaired: "🔧 repaired",
+      failing: "⚠️ runs, assertions fail (committed — may point at a real bug)",
+      broken: "❌ does not compile/run (not committed)"
+    };
+    body += `\n**Test verification:**\n`;
+    for (const v of verification) {
+      const rounds = v.rounds ? ` after ${v.rounds} repair round${v.rounds > 1 ? "s" : ""}` : "";
+      body += `- \`${v.path}\` (${v.framework || "unknown"}) — ${label[v.status] || v.status}${rounds}\n`;
+      if (v.detail) body += `  <sub>${v.detail}</sub>\n`;
+    }
+  }
+
   if (failedSnippets.length) {
-    body += `\n> ⚠️ Neuron could not write files due to repository permissions (e.g., fork PR or token lacks \`contents: write\`).\n`;
-    body += `> Copy these into your branch to apply now, or grant write permissions and rerun.\n`;
+    body += `\n> ⚠️ Neuron could not commit these files (e.g., fork PR, token lacks \`contents: write\`, or the branch moved during the run).\n`;
+    body += `> Copy these into your branch to apply now, or fix the cause and rerun.\n`;
     for (const f of failedSnippets) {
       body += `\n**${f.path}**\n`;
       // Don’t trim; test files are usually small. If you want, slice here.
@@ -672,13 +1464,80 @@ async function postCombined(owner, repo, pull_number, plan, applied, meta, trace
     body += `\n<sub>trace: ${trace.map(t => `\`${t}\``).join(" · ")}</sub>`;
   }
 
-  await postIssueComment(owner, repo, pull_number, body);
+  return body;
+}
+
+// Edit Neuron's earlier summary comment (found by its hidden marker and our own login) instead of
+// piling up new ones.
+async function upsertSummaryComment(gh, owner, repo, issue_number, body, runInfo) {
+  let existing = null;
+  try {
+    const self = await github.login().catch(e => {
+      log.warn("can't tell which account Neuron posts as; starting a new summary comment", { err: e });
+      return null;
+    });
+    const all = await gh.paginate(gh.issues.listComments, { owner, repo, issue_number, per_page: 100 });
+    existing = all.filter(c => isOwnSummaryComment(c, self)).pop() || null;
+  } catch (e) {
+    log.error("failed to list PR comments", { err: e });
+  }
+
+  const previous = parseSummaryState(existing?.body);
+  const delta = diffFindings(previous.findings, runInfo.comments.filter(c => c.fingerprint), {
+    reported: runInfo.reportedIds || [],
+    stateOf: runInfo.stateOf
+  });
+  const run = {
+    sha: runInfo.headSha || "",
+    at: new Date().toISOString().replace(/\.\d+Z$/, "Z"),
+    findings: runInfo.comments.length,
+    tests: runInfo.tests,
+    llm: runInfo.diagCode
+  };
+  const full = renderSummary(body, { previous, run, delta, hasPrevious: previous.runs.length > 0 });
+
+  if (existing) {
+    try {
+      await gh.issues.updateComment({ owner, repo, comment_id: existing.id, body: full });
+      return;
+    } catch (e) {
+      log.error("failed to update summary comment; posting a new one", { err: e });
+    }
+  }
+  await postIssueComment(gh, owner, repo, issue_number, full);
+}
+
+function renderBudgetExhausted(q) {
+  const scope = q.scope === "org" ? `organization \`${q.key}\`` : `repository \`${q.key}\``;
+  const amount = v => (q.unit === "usd" ? `$${v.toFixed(2)}` : `${v.toLocaleString("en-US")} tokens`);
+  return [
+    `⏸️ **Neuron — LLM budget exhausted**`,
+    ``,
+    `The ${q.period} LLM budget for the ${scope} is used up (${amount(q.spent)} of ${amount(q.limit)}), ` +
+      `so this push was not reviewed and no tests were generated.`,
+    ``,
+    `- Budget resets: ${q.resets_at.replace(/\.\d+Z$/, "Z")} (UTC)`,
+    `- After that, push again or comment \`/neuron review\` to run the review.`,
+    `- Budgets are set by the Neuron operator (\`NEURON_QUOTAS\`).`
+  ].join("\n");
+}
+
+// One note per PR per exhausted period, however many pushes arrive meanwhile
+async function postBudgetNote(gh, owner, repo, issue_number, q, msg) {
+  const marker = `<!-- neuron:budget ${q.scope}:${q.key}:${q.period}:${q.resets_at} -->`;
+  try {
+    const all = await gh.paginate(gh.issues.listComments, { owner, repo, issue_number, per_page: 100 });
+    if (all.some(c => (c.body || "").includes(marker))) return;
+  } catch (e) {
+    log.error("failed to list PR comments", { err: e });
+  }
+  await postIssueComment(gh, owner, repo, issue_number, `${marker}\n${msg}`);
 }
 
-async function postIssueComment(owner, repo, issue_number, body) {
+async function postIssueComment(gh, owner, repo, issue_number, body) {
   try {
-    await octokit.issues.createComment({ owner, repo, issue_number, body });
+    await gh.issues.createComment({ owner, repo, issue_number, body });
   } catch (e) {
-    console.error("[error] Failed to post PR comment:", e);
+    log.error("failed to post PR comment", { err: e });
   }
 }
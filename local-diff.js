@@ -0,0 +1,129 @@
+// local-diff.js
+// Changed files from a local git checkout, in the shape GitHub's pulls.listFiles returns
+// ({ filename, status, additions, deletions, changes, patch, previous_filename? }), so the
+// CLI feeds planBatches and the rest of the pipeline exactly like a PR.
+//   default:  merge-base(base, HEAD) -> working tree, plus untracked files
+//   staged:   merge-base(base, HEAD) -> index (pre-commit hooks)
+//   head:     merge-base(base, head) -> head (CI on a commit range); file contents then come
+//             from exportTree(), not the working tree
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+const MAX_UNTRACKED_BYTES = 512 * 1024; // GitHub also omits patches for very large files
+
+const STATUS = { A: "added", M: "modified", D: "removed", R: "renamed", C: "copied", T: "changed" };
+
+function git(cwd, args) {
+  return execFileSync("git", ["-c", "core.quotepath=off", ...args], {
+    cwd,
+    encoding: "utf8",
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+}
+
+export function repoRoot(cwd) {
+  return git(cwd, ["rev-parse", "--show-toplevel"]).trim();
+}
+
+// Fails with a readable message instead of git's usage dump
+export function mergeBase(cwd, base, head = "HEAD") {
+  try {
+    return git(cwd, ["merge-base", base, head]).trim();
+  } catch {
+    throw new Error(`cannot find a merge base between "${base}" and "${head}" (is the base branch fetched?)`);
+  }
+}
+
+// `git diff` output for one file -> the hunks only, like GitHub's `patch` field
+function hunksOf(diff) {
+  if (/^Binary files /m.test(diff)) return null;
+  const at = diff.search(/^@@ /m);
+  return at === -1 ? null : diff.slice(at).replace(/\n$/, "");
+}
+
+function countLines(patch) {
+  let additions = 0, deletions = 0;
+  for (const line of String(patch || "").split("\n")) {
+    if (line.startsWith("+")) additions++;
+    else if (line.startsWith("-")) deletions++;
+  }
+  return { additions, deletions };
+}
+
+function toEntry({ filename, status, previous_filename, patch }) {
+  const { additions, deletions } = countLines(patch);
+  return {
+    filename,
+    status,
+    ...(previous_filename ? { previous_filename } : {}),
+    additions,
+    deletions,
+    changes: additions + deletions,
+    ...(patch ? { patch } : {})
+  };
+}
+
+function untrackedEntry(root, rel) {
+  let buf;
+  try { buf = fs.readFileSync(path.join(root, rel)); } catch { return null; }
+  if (buf.length > MAX_UNTRACKED_BYTES || buf.includes(0)) return toEntry({ filename: rel, status: "added", patch: null });
+  const lines = buf.toString("utf8").replace(/\n$/, "").split("\n");
+  const patch = `@@ -0,0 +1,${lines.length} @@\n${lines.map(l => `+${l}`).join("\n")}`;
+  return toEntry({ filename: rel, status: "added", patch });
+}
+
+// The files of `rev` (as `git show <rev>:<path>` has them) in a new temp dir; the caller removes it
+export function exportTree(root, rev) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-head-"));
+  const tar = path.join(dir, ".neuron-head.tar");
+  git(root, ["archive", "--format=tar", "-o", tar, rev]);
+  execFileSync("tar", ["-xf", tar, "-C", dir]);
+  fs.rmSync(tar);
+  return dir;
+}
+
+/**
+ * cwd: any directory inside the repo; base: branch/ref the change will merge into.
+ * -> { root, base: sha, head: sha | "WORKTREE" | "INDEX", files: [listFiles-like entries] }
+ */
+export function listLocalChanges(cwd, { base = "main", head = "", staged = false, untracked = true } = {}) {
+  const root = repoRoot(cwd);
+  const baseSha = mergeBase(root, base, head || "HEAD");
+  const range = head ? [baseSha, head] : staged ? ["--cached", baseSha] : [baseSha];
+
+  const files = [];
+  const fields = git(root, ["diff", "--name-status", "-M", "-z", ...range]).split("\0").filter(Boolean);
+  for (let i = 0; i < fields.length;) {
+    const code = fields[i++];
+    const kind = code[0];
+    const previous = kind === "R" || kind === "C" ? fields[i++] : null;
+    const filename = fields[i++];
+    const paths = previous ? [previous, filename] : [filename];
+    const diff = git(root, ["diff", "-M", "--no-color", "--no-ext-diff", "-U3", ...range, "--", ...paths]);
+    files.push(toEntry({
+      filename,
+      status: STATUS[kind] || "modified",
+      previous_filename: previous,
+      patch: hunksOf(diff)
+    }));
+  }
+
+  if (untracked && !head && !staged) {
+    const others = git(root, ["ls-files", "--others", "--exclude-standard", "-z"]).split("\0").filter(Boolean);
+    for (const rel of others) {
+      const entry = untrackedEntry(root, rel);
+      if (entry) files.push(entry);
+    }
+  }
+
+  return {
+    root,
+    base: baseSha,
+    head: head ? git(root, ["rev-parse", head]).trim() : staged ? "INDEX" : "WORKTREE",
+    files
+  };
+}
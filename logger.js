@@ -0,0 +1,56 @@
+// logger.js
+// Structured JSON logs, one object per line: { ts, level, msg, ...context, ...fields }.
+// Per-run context (delivery id, repo, PR) rides along in AsyncLocalStorage, so helpers
+// deep in the pipeline log with it without having it passed in.
+//   withLogContext({ delivery, repo, pr }, () => handle(job))
+//   log.info("cloned", { ms: 1234 })
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || "").toLowerCase();
+  if (LEVELS[level]) return LEVELS[level];
+  return (process.env.DEBUG_RENDER || "").toLowerCase() === "true" ? LEVELS.debug : LEVELS.info;
+}
+
+// Errors don't JSON.stringify; keep what helps debugging
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status ? { status: err.status } : {}),
+    ...(err.code ? { code: err.code } : {}),
+    stack: err.stack?.split("\n").slice(0, 6).join("\n")
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = { ts: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [k, v] of Object.entries(fields)) entry[k] = serializeError(v);
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+// Run fn with extra context merged into every log line written inside it (sync or async)
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Add fields to the current context once they are known (e.g. the head SHA after the clone)
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
@@ -0,0 +1,93 @@
+// metrics.js
+// Minimal Prometheus registry (counters, gauges, histograms) rendered in the text
+// exposition format for GET /metrics. Label values are escaped; label sets are keyed
+// by their sorted JSON so { a, b } and { b, a } are one series.
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function renderLabels(pairs) {
+  if (!pairs.length) return "";
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isInteger(n) ? String(n) : n.toFixed(6).replace(/0+$/, "").replace(/\.$/, "");
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    const m = {
+      inc(labels = {}, by = 1) {
+        const key = labelKey(labels);
+        series.set(key, (series.get(key) || 0) + by);
+      },
+      render() {
+        const out = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const [key, v] of series) out.push(`${name}${renderLabels(JSON.parse(key))} ${formatNumber(v)}`);
+        return out.join("\n");
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  // collect() is called at scrape time and returns [{ labels, value }]
+  function gauge(name, help, collect) {
+    const m = {
+      render() {
+        const out = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        for (const { labels = {}, value } of collect()) {
+          out.push(`${name}${renderLabels(JSON.parse(labelKey(labels)))} ${formatNumber(value)}`);
+        }
+        return out.join("\n");
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { counts[], sum, count }
+    const m = {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(key);
+        buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+      render() {
+        const out = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const [key, s] of series) {
+          const pairs = JSON.parse(key);
+          buckets.forEach((b, i) => out.push(`${name}_bucket${renderLabels([...pairs, ["le", formatNumber(b)]])} ${s.counts[i]}`));
+          out.push(`${name}_bucket${renderLabels([...pairs, ["le", "+Inf"]])} ${s.count}`);
+          out.push(`${name}_sum${renderLabels(pairs)} ${formatNumber(s.sum)}`);
+          out.push(`${name}_count${renderLabels(pairs)} ${s.count}`);
+        }
+        return out.join("\n");
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function render() {
+    return metrics.map(m => m.render()).join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,449 @@
+// pipeline.js
+// The GitHub-independent half of a review: repo signals and language/test detection
+// from a checkout, the plan schema + validation, the batched LLM plan request and
+// writing generated tests into a working tree. The webhook (index.js) and the local
+// CLI (cli.js) both build on these.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+import { buildMessages } from "./prompts.js";
+import { createRedactor } from "./redact.js";
+import { mergePlans } from "./batching.js";
+import { isTestPath, defaultTestPath } from "./test-detect.js";
+import { checkpoint } from "./queue.js";
+import { classifyLLMError } from "./providers/index.js";
+import { log } from "./logger.js";
+
+export function readFileIfExists(p) {
+  try { return fs.readFileSync(p, "utf8"); } catch { return ""; }
+}
+
+/* =======================
+   JSON Schema for LLM Plan
+======================= */
+
+export const JSON_SCHEMA = {
+  type: "object",
+  required: ["comments", "tests"],
+  properties: {
+    comments: {
+      type: "array",
+      maxItems: 20, // per-repo cap (max_inline_comments) is applied after validation
+      items: {
+        type: "object",
+        required: ["path", "line", "severity", "title", "body"],
+        properties: {
+          path: { type: "string" },
+          line: { type: "integer", minimum: 1 },
+          severity: { type: "string", enum: ["LOW", "MEDIUM", "HIGH", "CRITICAL"] },
+          title: { type: "string", maxLength: 120 },
+          body: { type: "string", maxLength: 2000 },
+          rule_ref: { type: "string", maxLength: 80 }, // business rule / checklist item id it enforces
+          // one-click fix; checked against the checkout by suggestions.js before it is posted
+          suggestion: {
+            type: "object",
+            required: ["start_line", "end_line", "original", "replacement"],
+            properties: {
+              start_line: { type: "integer", minimum: 1 },
+              end_line: { type: "integer", minimum: 1 },
+              original: { type: "string", maxLength: 4000 },
+              replacement: { type: "string", maxLength: 4000 }
+            }
+          }
+        }
+      }
+    },
+    tests: {
+      type: "array",
+      maxItems: 10, // per-repo cap (max_tests) is applied after validation
+      items: {
+        type: "object",
+        required: ["language", "framework", "path", "mode", "content"],
+        properties: {
+          language: { type: "string" },
+          framework: { type: "string" },
+          path: { type: "string" },
+          mode: { type: "string", enum: ["create", "append_or_create", "replace"] },
+          content: { type: "string", minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+export const validatePlan = ajv.compile(JSON_SCHEMA);
+
+/* =======================
+   Repo context (from a checkout)
+======================= */
+
+const ENV_CANDIDATES = [".env.example", ".env.sample", ".env.template", ".env.dist", ".env"];
+
+export function collectRepoSignals(workdir) {
+  const pkg = readJsonSafe(path.join(workdir, "package.json"));
+  const deps = pkg ? { ...pkg.dependencies, ...pkg.devDependencies } : {};
+  const depsList = Object.keys(deps || {}).slice(0, 40);
+  // A template documents the settings; a real .env is only read for its keys (redact.js masks the values)
+  const envFile = ENV_CANDIDATES.find(f => fs.existsSync(path.join(workdir, f))) || "";
+  const envSnippet = envFile ? readFileIfExists(path.join(workdir, envFile)).slice(0, 2000) : "";
+  const readme = readFileIfExists(path.join(workdir, "README.md")).slice(0, 2000);
+
+  const routes = findFiles(workdir, ["pages", "routes", "api"], [".js", ".ts", ".tsx"]).slice(0, 30);
+  const schema = findFiles(workdir, ["schema", "prisma", "migrations", "db"], [".sql", ".prisma", ".ts"]).slice(0, 30);
+  const testNames = findFiles(workdir, ["__tests__", "tests", "src/test"], [".test.js", ".spec.js", ".test.ts", ".java", ".py"]).slice(0, 30);
+
+  return {
+    deps: depsList,
+    stack_hints: {
+      react: !!deps["react"] || !!deps["next"],
+      nextjs: !!deps["next"],
+      express: !!deps["express"],
+      stripe: !!deps["stripe"] || !!deps["@stripe/stripe-js"],
+      prisma: !!deps["@prisma/client"],
+      graphql: !!deps["graphql"] || !!deps["@apollo/client"] || !!deps["@apollo/server"],
+      axios: !!deps["axios"]
+    },
+    env_file: envFile,
+    env_snippet: envSnippet,
+    readme_snippet: readme,
+    route_files: routes,
+    schema_files: schema,
+    test_files: testNames
+  };
+}
+
+function findFiles(root, folders, exts) {
+  const results = [];
+  function walk(dir, depth = 0) {
+    if (depth > 3) return;
+    let list = [];
+    try { list = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const entry of list) {
+      const p = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth === 0 || folders.some(f => p.includes(`/${f}`))) walk(p, depth + 1);
+      } else {
+        const lower = entry.name.toLowerCase();
+        if (exts.some(ext => lower.endsWith(ext))) {
+          results.push(path.relative(root, p));
+        }
+      }
+    }
+  }
+  walk(root, 0);
+  return results;
+}
+
+function readJsonSafe(p) {
+  try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch { return null; }
+}
+
+export function languageOfPath(p) {
+  if (/\.tsx?$/.test(p)) return "typescript";
+  if (/\.[cm]?jsx?$/.test(p)) return "javascript";
+  if (p.endsWith(".java")) return "java";
+  if (p.endsWith(".py")) return "python";
+  if (p.endsWith(".go")) return "go";
+  return null;
+}
+
+export function detectLanguages(changed, workdir) {
+  const set = new Set();
+  for (const f of changed) {
+    const lang = languageOfPath(f.path);
+    if (lang) set.add(lang);
+  }
+  if (fs.existsSync(path.join(workdir, "package.json"))) set.add("javascript");
+  return Array.from(set);
+}
+
+export function detectPackageManager(workdir) {
+  if (fs.existsSync(path.join(workdir, "pnpm-lock.yaml"))) return "pnpm";
+  if (fs.existsSync(path.join(workdir, "yarn.lock"))) return "yarn";
+  if (fs.existsSync(path.join(workdir, "package-lock.json"))) return "npm";
+  return "unknown";
+}
+
+// repo_meta.test_conventions: detected layout per language plus where a test for this change would go
+export function testConventionsFor(testSetup, languages, changed) {
+  return Object.fromEntries(languages.filter(l => testSetup[l]).map(l => [l, {
+    ...testSetup[l].conventions,
+    example_path: defaultTestPath(testSetup, l, changed.find(f => languageOfPath(f.path) === l)?.path)
+  }]));
+}
+
+// Tests nearest to the changed files first: they show the imports/fixtures the model should reuse
+export function sampleExistingTests(workdir, testFiles, changed) {
+  const dirs = changed.map(f => path.posix.dirname(f.path));
+  const closeness = t => Math.max(0, ...dirs.map(d => sharedPrefix(d, path.posix.dirname(t))));
+  return [...testFiles]
+    .sort((a, b) => closeness(b) - closeness(a))
+    .slice(0, 8)
+    .map(rel => ({ path: rel, snippet: readFileIfExists(path.join(workdir, rel)).slice(0, 1000) }));
+}
+
+// Current code around each hunk (new side), so the model sees what the diff lands in
+export function collectNearbySource(workdir, changed, { radius = 15, maxLines = 120 } = {}) {
+  const out = [];
+  for (const f of changed) {
+    if (f.status === "removed") continue;
+    const text = readFileIfExists(path.join(workdir, f.path));
+    if (!text) continue;
+    const lines = text.split(/\r?\n/);
+    for (const m of String(f.patch || "").matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+      const from = Math.max(1, Number(m[1]) - radius);
+      const to = Math.min(lines.length, Number(m[1]) + Number(m[2] ?? 1) + radius, from + maxLines - 1);
+      if (to < from) continue;
+      out.push({ path: f.path, start: from, end: to, code: lines.slice(from - 1, to).join("\n") });
+    }
+  }
+  return out;
+}
+
+function sharedPrefix(a, b) {
+  const x = a.split("/"), y = b.split("/");
+  let n = 0;
+  while (n < x.length && n < y.length && x[n] === y[n]) n++;
+  return n;
+}
+
+/* =======================
+   LLM plan (JSON mode + fallback, any provider)
+======================= */
+
+// -> { plan, diag, calls, usage }; usage sums both attempts when JSON mode falls back.
+// A timed-out JSON-mode call still gets the fallback; a superseded job (`signal`) throws SupersededError.
+export async function getLLMPlanWithFallback(llm, messages, { signal } = {}) {
+  const spent = { calls: 0, usage: { prompt_tokens: 0, completion_tokens: 0 } };
+  const track = resp => {
+    spent.calls++;
+    spent.usage.prompt_tokens += resp?.usage?.prompt_tokens || 0;
+    spent.usage.completion_tokens += resp?.usage?.completion_tokens || 0;
+    return resp;
+  };
+  try {
+    const resp = track(await llm.complete(messages, {
+      temperature: 0.2,
+      maxTokens: 1200,
+      jsonMode: true,
+      signal
+    }));
+    const plan = JSON.parse(resp.content);
+    if (!validatePlan(plan)) {
+      return { ...spent, plan: null, diag: { code: "SCHEMA_INVALID", detail: JSON.stringify(validatePlan.errors).slice(0, 500) } };
+    }
+    return { ...spent, plan, diag: { code: "OK_JSON_MODE" } };
+  } catch (err) {
+    checkpoint(signal);
+    const msg = (err && (err.message || String(err))) || "unknown";
+    // The fallback prompt is longer still; let the caller shrink the batch instead
+    if (classifyLLMError(err) === "CONTEXT_LENGTH") return { ...spent, plan: null, diag: { code: "CONTEXT_LENGTH", detail: msg.slice(0, 400) } };
+    log.debug("JSON mode failed; falling back", { provider: llm.name, error: msg });
+  }
+  try {
+    const forced = [
+      ...messages,
+      { role: "system", content: "Return ONLY a JSON object with keys `comments` (array) and `tests` (array). No prose outside JSON." }
+    ];
+    const resp = track(await llm.complete(forced, {
+      temperature: 0.1,
+      maxTokens: 1400,
+      signal
+    }));
+    const raw = resp.content || "";
+    const candidate = extractFirstJsonObject(raw);
+    if (!candidate) return { ...spent, plan: null, diag: { code: "JSON_MISSING", detail: raw.slice(0, 350) } };
+    const plan = JSON.parse(candidate);
+    if (!validatePlan(plan)) {
+      return { ...spent, plan: null, diag: { code: "SCHEMA_INVALID", detail: JSON.stringify(validatePlan.errors).slice(0, 500) } };
+    }
+    return { ...spent, plan, diag: { code: "OK_FALLBACK" } };
+  } catch (err2) {
+    checkpoint(signal);
+    const msg = (err2 && (err2.message || String(err2))) || "unknown";
+    return { ...spent, plan: null, diag: { code: classifyLLMError(err2), detail: msg.slice(0, 400) } };
+  }
+}
+
+/**
+ * Map: review each batch on its own. Reduce: merge + rank the per-batch plans.
+ * Token counts are estimates (context-pack.js), so a batch the provider rejects for context length
+ * is split in half and both halves are retried; a single file gets one more try in a prompt half the
+ * size (packing drops context and trims hunks to fit), then counts as failed.
+ * A failed batch doesn't sink the run; diag is the first success, suffixed _PARTIAL when some batches
+ * failed or some file's hunks didn't fit the prompt, with the files the model never saw in diag.unreviewed.
+ * budgetCap: prompt token ceiling; onBatch({ diag, calls, usage }) fires after every batch (metrics).
+ * Everything goes through `redactor` (redact.js) before a prompt is built; redaction reports what it masked.
+ */
+export async function reviewInBatches(llm, rawBatches, rawInput, { signal, budgetCap, onBatch = () => {}, redactor = createRedactor() } = {}) {
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  const context = { budget: 0, omitted: [] };
+  let calls = 0;
+  const input = redactor.value(rawInput);
+  const batches = rawBatches.map(b => redactor.value(b));
+  const redaction = redactor.report();
+  if (!batches.length) {
+    return { plan: { comments: [], tests: [], context }, diag: { code: "OK_NO_DIFF" }, usage, calls, context, redaction };
+  }
+  const plans = [];
+  const diags = [];
+  const unreviewed = [];
+  const queue = batches.map(files => ({ files, cap: budgetCap }));
+  for (let i = 0; queue.length; i++) {
+    checkpoint(signal);
+    const { files: batch, cap, shrunk } = queue.shift();
+    const paths = new Set(batch.map(f => f.path));
+    const { messages, packing } = buildMessages(
+      {
+        ...input,
+        changed_files: batch,
+        nearby_source: (input.nearby_source || []).filter(s => paths.has(s.path)),
+        batch: { index: i + 1, total: i + 1 + queue.length }
+      },
+      JSON.stringify(JSON_SCHEMA),
+      { model: llm.model, maxOutputTokens: 1400, budgetCap: cap }
+    );
+    context.budget = packing.budget;
+    // Repo-wide units (signals, tests, rules) repeat per batch; report each once
+    for (const o of packing.omitted) {
+      if (!context.omitted.some(x => x.kind === o.kind && x.label === o.label)) context.omitted.push(o);
+    }
+    const { plan, diag, ...spent } = await getLLMPlanWithFallback(llm, messages, { signal });
+    onBatch({ diag, ...spent });
+    calls += spent.calls;
+    usage.prompt_tokens += spent.usage.prompt_tokens;
+    usage.completion_tokens += spent.usage.completion_tokens;
+    if (diag.code === "CONTEXT_LENGTH" && (batch.length > 1 || !shrunk)) {
+      const half = Math.ceil(batch.length / 2);
+      queue.unshift(...(batch.length > 1
+        ? [{ files: batch.slice(0, half), cap }, { files: batch.slice(half), cap }]
+        : [{ files: batch, cap: Math.floor(packing.budget / 2), shrunk: true }]));
+      log.info("prompt over the model's context; retrying smaller", { files: batch.length, provider: llm.name });
+      continue;
+    }
+    diags.push(diag);
+    if (plan) {
+      plans.push(plan);
+      unreviewed.push(...packing.unreviewed);
+    } else {
+      unreviewed.push(...paths);
+    }
+  }
+  if (!plans.length) return { plan: null, diag: diags[0], usage, calls, context, redaction };
+  const ok = diags.find(d => /^OK/.test(d.code));
+  const failed = diags.length - plans.length;
+  const why = [
+    failed ? `${failed}/${diags.length} batches failed (${diags.find(d => !/^OK/.test(d.code)).code})` : "",
+    unreviewed.length ? `${unreviewed.length} file(s) not reviewed` : ""
+  ].filter(Boolean).join("; ");
+  return {
+    plan: { ...mergePlans(plans), context },
+    diag: unreviewed.length
+      ? { code: `${ok.code}_PARTIAL`, detail: why, unreviewed }
+      : ok,
+    usage,
+    calls,
+    context,
+    redaction
+  };
+}
+
+export function extractFirstJsonObject(text) {
+  const fence = text.indexOf("```");
+  if (fence !== -1) {
+    const fenceEnd = text.indexOf("```", fence + 3);
+    const inside = fenceEnd !== -1 ? text.slice(fence + 3, fenceEnd) : text.slice(0);
+    const s = inside.indexOf("{"), e = inside.lastIndexOf("}");
+    if (s !== -1 && e !== -1 && e > s) return inside.slice(s, e + 1);
+  }
+  const s = text.indexOf("{"), e = text.lastIndexOf("}");
+  if (s !== -1 && e !== -1 && e > s) return text.slice(s, e + 1);
+  return "";
+}
+
+/* =======================
+   Plan Application (no comment posting here)
+======================= */
+
+function ensureSafePath(root, rel, fallback) {
+  const abs = path.resolve(root, rel);
+  if (!abs.startsWith(path.resolve(root))) return path.join(root, fallback);
+  return abs;
+}
+
+export function withChecksum(content, filePath = "") {
+  const h = crypto.createHash("sha256").update(content, "utf8").digest("hex");
+  const marker = filePath.endsWith(".py") ? "#" : "//";
+  return `${marker} neuron:generated checksum=${h}\n${content}\n`;
+}
+
+function alreadyHasChecksum(content) {
+  return /neuron:generated checksum=([a-f0-9]{64})/.test(content);
+}
+
+// outputDir (tests.output_dir) moves every generated test under that directory.
+// defaultPathFor(language) follows the repo's own test layout (test-detect.js); it replaces
+// model paths the project's runner would not pick up.
+export async function applyPlan(workdir, plan, { outputDir = "", defaultPathFor = () => "" } = {}) {
+  const written = [];
+  const entries = []; // { path, previous, test } so a test can be repaired or rolled back later
+
+  // Tests
+  for (const t of plan.tests || []) {
+    const defaultPath = defaultPathFor(t.language) || (t.language === "java"
+      ? "src/test/java/NeuronGeneratedTest.java"
+      : "__tests__/neuron.generated.test.js");
+    const wanted = t.path && isTestPath(t.language, t.path) ? t.path : defaultPath;
+    const target = outputDir
+      ? ensureSafePath(workdir, relocateTestPath(wanted, outputDir), path.join(outputDir, path.basename(defaultPath)))
+      : ensureSafePath(workdir, wanted, defaultPath);
+    const mode = t.mode || "append_or_create";
+
+    let existing = "";
+    if (fs.existsSync(target)) {
+      existing = fs.readFileSync(target, "utf8");
+      if (alreadyHasChecksum(existing) && existing.includes(t.content)) {
+        log.info("skip unchanged test", { path: path.relative(workdir, target) });
+        continue;
+      }
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+    }
+
+    let next = t.content;
+    if (mode === "append_or_create" && existing) {
+      next = existing + "\n\n" + t.content;
+    }
+    const final = withChecksum(next, target);
+    fs.writeFileSync(target, final, "utf8");
+    written.push(path.relative(workdir, target));
+    entries.push({ path: path.relative(workdir, target), previous: existing || null, mode, test: t });
+  }
+
+  return { tests_written: written, entries, verification: [], comments_posted: (plan.comments || []).length };
+}
+
+function relocateTestPath(rel, outputDir) {
+  const dir = outputDir.replace(/\\/g, "/").replace(/\/+$/, "");
+  const p = String(rel).replace(/\\/g, "/");
+  return p.startsWith(`${dir}/`) ? p : `${dir}/${path.posix.basename(p)}`;
+}
+
+export function writeTestEntry(workdir, entry, content) {
+  const next = entry.mode === "append_or_create" && entry.previous
+    ? entry.previous + "\n\n" + content
+    : content;
+  fs.writeFileSync(path.join(workdir, entry.path), withChecksum(next, entry.path), "utf8");
+}
+
+export function rollbackTestEntry(workdir, entry) {
+  const abs = path.join(workdir, entry.path);
+  if (entry.previous !== null) fs.writeFileSync(abs, entry.previous, "utf8");
+  else fs.rmSync(abs, { force: true });
+}
@@ -2,23 +2,67 @@
 // Builds the chat messages for the LLM. "Rules-free": we DO NOT require a rules file.
 // We give the model small, precise context and demand a strict JSON plan output.
 
-export function buildMessages(input, jsonSchema) {
-  const { repo_meta, signals, changed_files, existing_tests, requirements } = input;
+import { countTokens, charsForTokens, promptBudget, packUnits, hunkUnits, regroupHunks } from "./context-pack.js";
+import { trimPatch } from "./batching.js";
+
+// Cheapest signals first: they are the first thing to go when the budget is tight
+const SIGNAL_ORDER = ["stack_hints", "deps", "route_files", "schema_files", "readme_snippet", "env_snippet", "test_files"];
+
+// A hunk bigger than the whole diff room is cut on a line boundary rather than dropped
+function fitHunk(unit, room, model) {
+  if (unit.kind !== "hunk") return unit;
+  let value = unit.value;
+  let max = charsForTokens(room, model);
+  while (max > 0 && countTokens(JSON.stringify(value), model) + 2 > room) {
+    max = Math.floor(max * 0.9);
+    value = { ...unit.value, hunk: trimPatch(unit.value.hunk, max).patch, truncated: true };
+  }
+  return value === unit.value ? unit : { ...unit, value };
+}
+
+/**
+ * -> { messages, packing: { budget, used, omitted: [{ kind, label, tokens }], unreviewed: [path] } }
+ * model/maxOutputTokens pick the token budget (context-pack.js); budgetCap overrides the default cap.
+ * packing.unreviewed: changed files none of whose hunks made it into the prompt.
+ */
+export function buildMessages(input, jsonSchema, { model = "", maxOutputTokens = 1400, budgetCap } = {}) {
+  const {
+    repo_meta, signals, changed_files, nearby_source, existing_tests, analyzer_findings, business_context, requirements
+  } = input;
+  // The repo's max_inline_comments / max_tests (0 when a /neuron tests or review run skips that half)
+  const maxComments = requirements.max_comments ?? 3;
+  const maxTests = requirements.max_tests ?? 2;
 
   const system = [
     "You are Neuron, a senior software reviewer.",
     "Goal: infer product intent and business logic directly from repository signals and the PR diff.",
     "Then produce:",
-    "  (1) Up to 3 high-impact REVIEW COMMENTS tied to specific changed lines, framed in business terms (who breaks, why).",
-    "  (2) Up to 2 RUNNABLE TESTS in the detected framework that validate the risky behavior or guard against regression.",
+    maxComments
+      ? `  (1) Up to ${maxComments} high-impact REVIEW COMMENTS tied to specific changed lines, framed in business terms (who breaks, why).`
+      : "  (1) No review comments: return an empty 'comments' array.",
+    maxTests
+      ? `  (2) Up to ${maxTests} RUNNABLE TESTS in the detected framework that validate the risky behavior or guard against regression.`
+      : "  (2) No tests: return an empty 'tests' array.",
     "Constraints:",
     "- Return ONLY valid JSON that matches the provided schema.",
     "- Prefer precision over breadth—do NOT exceed the caps.",
     "- If you cannot produce a runnable test with the detected framework, return an empty 'tests' array.",
+    "- Name and place test files following 'test_layout' so the project's own runner picks them up.",
     "- For each comment, cite exact reasoning based on DIFF HUNKS and repository signals; avoid generic claims.",
+    "- 'nearby_source' is the current code around the hunks (new side); use it to understand the change, but",
+    "  only comment on lines the diff changed.",
     "- Avoid repeats: do not suggest the same fix multiple ways; merge them into one best suggestion.",
     "- Optimization is allowed (e.g., slow payment window, blocking IO, missing timeout/circuit breaker/idempotency).",
-    "- When suggesting code, target the actual stack and imports present in the changed files; do not invent foreign APIs."
+    "- When suggesting code, target the actual stack and imports present in the changed files; do not invent foreign APIs.",
+    "- When the fix is a small local edit, add 'suggestion': the new-file line range it replaces (start_line..end_line,",
+    "  containing 'line', at most 30 lines, only lines shown in the diff hunk), 'original' = those lines exactly as they",
+    "  are now, and 'replacement' = the code that replaces them (same indentation). Omit it for design-level advice.",
+    "- 'analyzer_findings' are deterministic static-analysis hits on changed lines. They are already reported;",
+    "  use them as context (e.g. for tests or business impact) but do NOT restate them as comments.",
+    "- 'business_context' holds the team's own rules and checklist items for the touched code. Check the diff",
+    "  against them; when a comment enforces one, set 'rule_ref' to its exact id. Never invent ids.",
+    "- '[REDACTED:<kind>]' marks a secret or personal value masked before you saw it. Do not guess it,",
+    "  copy it into tests, or report the placeholder itself; a hardcoded secret is still worth flagging."
   ].join("\n");
 
   // A tiny few-shot to anchor tone/shape (keeps it compact)
@@ -32,7 +76,13 @@ export function buildMessages(input, jsonSchema) {
         body:
           "Checkout users can hang when the gateway is slow: three sequential network calls without timeouts.\n" +
           "Suggested remediation: set per-call 2s timeout, execute customer lookup + tokenization in parallel, and use gateway idempotency keys.\n" +
-          "Business impact: higher cart abandonment during spikes."
+          "Business impact: higher cart abandonment during spikes.",
+        suggestion: {
+          start_line: 87,
+          end_line: 87,
+          original: "  const charge = await gateway.charge(token, amount);",
+          replacement: "  const charge = await gateway.charge(token, amount, { timeout: 2000, idempotencyKey: orderId });"
+        }
       }
     ],
     tests: [
@@ -60,28 +110,137 @@ export function buildMessages(input, jsonSchema) {
     `repo: ${repo_meta.owner}/${repo_meta.repo} @ ${repo_meta.headRef}`,
     `languages: ${repo_meta.languages.join(", ") || "(unknown)"}`,
     `tests: ${Object.entries(repo_meta.test_frameworks).map(([k,v]) => `${k}:${v}`).join(", ") || "(unknown)"}`,
+    ...Object.entries(repo_meta.test_conventions || {}).map(([lang, c]) =>
+      `test_layout(${lang}): ${c.naming}${c.dir ? ` in ${c.kind === "nested" ? `<module>/${c.dir}` : c.dir}` : " next to the code"}` +
+      ` -> put new ${lang} tests at e.g. ${c.example_path}`),
     `package_manager: ${repo_meta.package_manager}`
   ].join("\n");
 
-  const signalsBlock = JSON.stringify(signals).slice(0, 5000); // keep compact
-  const changedCompact = JSON.stringify(changed_files).slice(0, 12000);
-  const testsCompact = JSON.stringify(existing_tests).slice(0, 4000);
+  // Everything below the fixed frame competes for the remaining token budget
+  const units = [
+    ...hunkUnits(changed_files),
+    ...((analyzer_findings || []).length
+      ? [{
+          kind: "finding",
+          label: `analyzer findings (${analyzer_findings.length})`,
+          value: analyzer_findings.map(f => ({
+            engine: f.engine, rule_id: f.rule_id, severity: f.severity, path: f.path, line: f.line, title: f.title
+          }))
+        }]
+      : []),
+    ...(nearby_source || []).map(s => ({ kind: "source", label: `${s.path}:${s.start}-${s.end}`, value: s })),
+    ...(business_context?.rules || []).map(r => ({
+      kind: "business", label: `rule ${r.id}`, value: { type: "rule", id: r.id, title: r.title, text: r.text }
+    })),
+    ...(business_context?.checklist || []).map(i => ({
+      kind: "business", label: `checklist ${i.id}`,
+      value: { type: "checklist", id: i.id, text: i.text, ...(i.severity ? { severity: i.severity } : {}) }
+    })),
+    ...(existing_tests || []).map(t => ({ kind: "test", label: t.path, value: t })),
+    ...SIGNAL_ORDER.filter(k => signals?.[k] !== undefined && String(signals[k]).length)
+      .map(k => ({ kind: "signal", label: `signals.${k}`, value: { [k]: signals[k] } }))
+  ];
 
-  const userPayload = {
+  const frame = {
     instructions: {
       format: "Return ONLY JSON. Do not include prose outside of JSON.",
-      caps: { max_comments: requirements.max_comments ?? 3, max_tests: 2 },
+      caps: { max_comments: maxComments, max_tests: maxTests },
+      ...(requirements.severity_floor && requirements.severity_floor !== "LOW"
+        ? { severity_floor: `Only report findings of severity ${requirements.severity_floor} or higher.` }
+        : {}),
+      ...(requirements.test_output_dir
+        ? { test_output_dir: `Place every test file under ${requirements.test_output_dir}/.` }
+        : {}),
       json_schema: jsonSchema
     },
     repo_sketch: repoSketch,
-    repo_signals: signalsBlock,
-    changed_files: changedCompact,
-    existing_tests: testsCompact,
+    ...(input.batch && input.batch.total > 1
+      ? { batch: `Files ${input.batch.index} of ${input.batch.total} batches of this PR; review only these files.` }
+      : {}),
     example
   };
 
+  const budget = promptBudget(model, { maxOutputTokens, cap: budgetCap });
+  const fixed = countTokens(system, model) + countTokens(JSON.stringify(frame), model);
+  const room = budget - fixed;
+  const { included, omitted, used } = packUnits(units.map(u => fitHunk(u, room, model)), room, model);
+  const pick = kind => included.filter(u => u.kind === kind).map(u => u.value);
+  const seen = new Set(pick("hunk").map(h => h.path));
+  const unreviewed = [...new Set(units.filter(u => u.kind === "hunk").map(u => u.value.path))].filter(p => !seen.has(p));
+
+  const business = pick("business");
+  const userPayload = {
+    instructions: frame.instructions,
+    repo_sketch: frame.repo_sketch,
+    ...(frame.batch ? { batch: frame.batch } : {}),
+    changed_files: regroupHunks(included),
+    analyzer_findings: pick("finding").flat(),
+    nearby_source: pick("source"),
+    ...(business.length
+      ? {
+          business_context: {
+            rules: business.filter(b => b.type === "rule").map(({ type, ...r }) => r),
+            checklist: business.filter(b => b.type === "checklist").map(({ type, ...i }) => i)
+          }
+        }
+      : {}),
+    existing_tests: pick("test"),
+    repo_signals: Object.assign({}, ...pick("signal")),
+    example
+  };
+
+  return {
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: JSON.stringify(userPayload) }
+    ],
+    packing: { budget, used: fixed + used, omitted, unreviewed }
+  };
+}
+
+// Repair round for a generated test that did not compile/run in the sandbox.
+// We only send the test, the runner output and the framework; the model returns the full file.
+export function buildRepairMessages({ test, framework, output, attempt }) {
+  const system = [
+    "You are Neuron, fixing a test you generated earlier.",
+    `The test failed to compile or run with ${framework}. Fix imports, syntax and setup so it runs.`,
+    "Keep the intent of the test. Do NOT delete assertions or weaken them just to make it pass.",
+    "Return ONLY a JSON object: {\"content\": \"<full corrected test file>\"}."
+  ].join("\n");
+
+  const user = {
+    attempt,
+    path: test.path,
+    language: test.language,
+    framework,
+    test_content: test.content,
+    runner_output: String(output || "").slice(-3000)
+  };
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: JSON.stringify(user) }
+  ];
+}
+
+// `/neuron explain <id>`: plain-text deep dive on one finding we already posted.
+export function buildExplainMessages({ fingerprint, finding_text, file_path, file_excerpt }) {
+  const system = [
+    "You are Neuron, a senior software reviewer, answering a follow-up about one of your findings.",
+    "Explain in plain Markdown (no JSON): what the problem is, who is affected and how, and a concrete fix.",
+    "Ground the answer in the file excerpt; if the excerpt no longer shows the problem, say so.",
+    "Keep it under 250 words."
+  ].join("\n");
+
+  const user = {
+    fingerprint,
+    finding: String(finding_text || "").slice(0, 4000),
+    file_path,
+    file_excerpt: String(file_excerpt || "").slice(0, 6000)
+  };
+
   return [
     { role: "system", content: system },
-    { role: "user", content: JSON.stringify(userPayload) }
+    { role: "user", content: JSON.stringify(user) }
   ];
 }
@@ -0,0 +1,31 @@
+// providers/azure.js
+// Azure OpenAI adapter (deployment-based, via @azure/openai).
+// Deployment names are arbitrary ("reviewer-prod"), so `model` is the underlying model
+// (AZURE_OPENAI_MODEL) when known: pricing and the prompt budget key on it.
+
+import { OpenAIClient, AzureKeyCredential } from "@azure/openai";
+
+export function createAzureProvider({ endpoint, key, deployment, model, timeoutMs = 120000 }) {
+  const client = new OpenAIClient(endpoint, new AzureKeyCredential(key));
+  return {
+    name: "azure",
+    model: model || deployment,
+    deployment,
+    async complete(messages, { temperature, maxTokens, jsonMode, signal } = {}) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const resp = await client.getChatCompletions(deployment, messages, {
+        abortSignal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        temperature,
+        maxTokens,
+        ...(jsonMode ? { responseFormat: { type: "json_object" } } : {})
+      });
+      return {
+        content: resp.choices?.[0]?.message?.content || "",
+        usage: {
+          prompt_tokens: resp.usage?.promptTokens || 0,
+          completion_tokens: resp.usage?.completionTokens || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,95 @@
+// providers/index.js
+// Picks the LLM provider from env and maps provider errors onto Neuron's diag codes.
+//
+// Every provider exposes the same shape:
+//   { name, model, complete(messages, { temperature, maxTokens, jsonMode, signal }) -> { content, usage } }
+// so JSON mode, the fallback extraction and diag codes behave identically across them.
+// Network providers give up after NEURON_LLM_TIMEOUT_MS (default 120s) or when `signal` aborts.
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createAzureProvider } from "./azure.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// LLM_PROVIDER = azure | openai | compatible | mock
+// When unset: azure if its env is complete, else openai if OPENAI_API_KEY is set.
+export function resolveProviderName(env = process.env) {
+  const explicit = (env.LLM_PROVIDER || "").toLowerCase();
+  if (explicit) return explicit;
+  if (env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_KEY) return "azure";
+  if (env.OPENAI_API_KEY) return "openai";
+  return "azure";
+}
+
+// Returns { provider, diag }; provider is null (with a *_CONFIG_MISSING diag) when env is incomplete.
+export function createProvider(env = process.env) {
+  const name = resolveProviderName(env);
+  const timeoutMs = Number(env.NEURON_LLM_TIMEOUT_MS) || 120000;
+  try {
+    if (name === "azure") {
+      const { AZURE_OPENAI_ENDPOINT: endpoint, AZURE_OPENAI_KEY: key, AZURE_OPENAI_DEPLOYMENT: deployment } = env;
+      if (!endpoint || !key || !deployment) {
+        return missing("AZURE_CONFIG_MISSING", "endpoint/key/deployment not set");
+      }
+      const model = env.AZURE_OPENAI_MODEL || "";
+      return { provider: createAzureProvider({ endpoint, key, deployment, model, timeoutMs }), diag: { code: "OK" } };
+    }
+    if (name === "openai") {
+      if (!env.OPENAI_API_KEY) return missing("OPENAI_CONFIG_MISSING", "OPENAI_API_KEY not set");
+      return {
+        provider: createOpenAIProvider({
+          name: "openai",
+          baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+          apiKey: env.OPENAI_API_KEY,
+          model: env.OPENAI_MODEL || "gpt-4o-mini",
+          timeoutMs
+        }),
+        diag: { code: "OK" }
+      };
+    }
+    if (name === "compatible") {
+      if (!env.LLM_BASE_URL || !env.LLM_MODEL) return missing("LLM_CONFIG_MISSING", "LLM_BASE_URL/LLM_MODEL not set");
+      return {
+        provider: createOpenAIProvider({
+          name: "compatible",
+          baseUrl: env.LLM_BASE_URL,
+          apiKey: env.LLM_API_KEY || "",
+          model: env.LLM_MODEL,
+          timeoutMs
+        }),
+        diag: { code: "OK" }
+      };
+    }
+    if (name === "mock") {
+      const fixturePath = env.NEURON_MOCK_FIXTURE || path.join(__dirname, "fixtures/plan.json");
+      return { provider: createMockProvider({ fixturePath }), diag: { code: "OK" } };
+    }
+    return missing("LLM_CONFIG_MISSING", `unknown LLM_PROVIDER "${name}"`);
+  } catch (err) {
+    return missing("LLM_CONFIG_MISSING", (err?.message || String(err)).slice(0, 300));
+  }
+}
+
+function missing(code, detail) {
+  return { provider: null, diag: { code, detail } };
+}
+
+// Same mapping for every provider; the AZURE_* names are kept because dashboards and
+// PR comments already key on them.
+export function classifyLLMError(err) {
+  const status = Number(err?.status || err?.statusCode || 0);
+  const msg = (err && (err.message || String(err))) || "unknown";
+  // Checked first: "The operation was aborted" would otherwise read as a rate limit
+  if (err?.name === "TimeoutError" || err?.name === "AbortError") return "LLM_TIMEOUT";
+  // Also before the /model/ test: "This model's maximum context length is ..."
+  if (err?.code === "context_length_exceeded" || /context[_ ]length|maximum context|too many tokens|prompt is too long/i.test(msg)) {
+    return "CONTEXT_LENGTH";
+  }
+  if (status === 429 || /quota|rate/i.test(msg)) return "AZURE_QUOTA";
+  if (status === 401 || status === 403 || /unauthorized|401|forbidden|403/i.test(msg)) return "AZURE_AUTH";
+  if (status === 404 || /model|deployment/i.test(msg)) return "AZURE_DEPLOYMENT";
+  return "MODEL_REJECT";
+}
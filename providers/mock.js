@@ -0,0 +1,46 @@
+// providers/mock.js
+// Deterministic, fixture-backed provider for running the full pipeline offline.
+//
+// Fixture shapes (JSON file):
+//  - a plan ({ comments, tests }) -> returned for every call
+//  - { json_mode, fallback }      -> per-call-type responses; each entry is a plan object,
+//                                    a raw string (exercises fallback extraction) or
+//                                    { error, status, name? } (exercises diag code mapping;
+//                                    name "TimeoutError" plays back a timeout)
+//  - { sequence: [...] }          -> recorded completions (replay/recorder.js llm.jsonl), returned
+//                                    in call order; each is { content, usage } or { error, status, name? }
+//                                    and the last one repeats once the sequence runs out
+
+import fs from "node:fs";
+
+function respond(entry) {
+  if (entry && typeof entry === "object" && entry.error) {
+    const err = new Error(String(entry.error));
+    if (entry.status) err.status = entry.status;
+    if (entry.name) err.name = entry.name;
+    throw err;
+  }
+  const content = typeof entry === "string" ? entry : JSON.stringify(entry ?? {});
+  // Rough token estimate keeps usage deterministic without a tokenizer
+  return { content, usage: { prompt_tokens: 0, completion_tokens: Math.ceil(content.length / 4) } };
+}
+
+export function createMockProvider({ fixturePath }) {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+  const split = "json_mode" in fixture || "fallback" in fixture;
+  const sequence = Array.isArray(fixture.sequence) ? fixture.sequence : null;
+  let calls = 0;
+  return {
+    name: "mock",
+    model: "mock",
+    async complete(_messages, { jsonMode } = {}) {
+      if (sequence) {
+        const entry = sequence[Math.min(calls++, sequence.length - 1)] || {};
+        if (entry.error || typeof entry.content !== "string") return respond(entry);
+        return { content: entry.content, usage: entry.usage || respond(entry.content).usage };
+      }
+      if (!split) return respond(fixture);
+      return respond(jsonMode ? fixture.json_mode : fixture.fallback);
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// providers/openai.js
+// Plain OpenAI API and any OpenAI-compatible endpoint (vLLM, Ollama, LM Studio, ...).
+// Talks to /chat/completions directly with fetch so we don't need a second SDK.
+
+export function createOpenAIProvider({ name = "openai", baseUrl, apiKey, model, timeoutMs = 120000 }) {
+  const url = `${String(baseUrl).replace(/\/+$/, "")}/chat/completions`;
+  return {
+    name,
+    model,
+    async complete(messages, { temperature, maxTokens, jsonMode, signal } = {}) {
+      // A stalled endpoint must not hold the worker forever; `signal` also ends the call when the job is superseded
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const res = await fetch(url, {
+        method: "POST",
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        headers: {
+          "content-type": "application/json",
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(jsonMode ? { response_format: { type: "json_object" } } : {})
+        })
+      });
+      const text = await res.text();
+      if (!res.ok) {
+        // Status goes first in the message so classifyLLMError sees it like the Azure SDK errors
+        const err = new Error(`${res.status} ${text.slice(0, 300)}`);
+        err.status = res.status;
+        throw err;
+      }
+      const json = JSON.parse(text);
+      return {
+        content: json.choices?.[0]?.message?.content || "",
+        usage: {
+          prompt_tokens: json.usage?.prompt_tokens || 0,
+          completion_tokens: json.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
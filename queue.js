@@ -0,0 +1,149 @@
+// queue.js
+// Small persistent job queue for webhook deliveries.
+//  - jobs are written to a local JSON store so a restart picks up where it left off
+//  - X-GitHub-Delivery ids are remembered so a redelivery never runs twice
+//  - a newer job for the same key (owner/repo#pr) supersedes older ones: queued jobs are
+//    skipped, the running one gets its AbortSignal fired and stops at the next checkpoint
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+
+const MAX_SEEN_DELIVERIES = 5000;
+const MAX_FINISHED_JOBS = 500;
+
+export class SupersededError extends Error {
+  constructor(message = "superseded by a newer run") {
+    super(message);
+    this.name = "SupersededError";
+  }
+}
+
+// Throw if the run was superseded; call between pipeline stages.
+export function checkpoint(signal) {
+  if (signal?.aborted) throw new SupersededError();
+}
+
+function loadStore(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+      jobs: Array.isArray(json.jobs) ? json.jobs : [],
+      seen: Array.isArray(json.seen) ? json.seen : []
+    };
+  } catch {
+    return { jobs: [], seen: [] };
+  }
+}
+
+export function createJobQueue({ storePath, concurrency = 2, handler }) {
+  const store = loadStore(storePath);
+  const seen = new Set(store.seen);
+  const controllers = new Map(); // job id -> AbortController (running jobs only)
+  let active = 0;
+
+  // Anything that was mid-run when we died goes back in line
+  for (const job of store.jobs) {
+    if (job.status === "running") job.status = "queued";
+  }
+
+  function persist() {
+    const finished = store.jobs.filter(j => j.status !== "queued" && j.status !== "running");
+    const overflow = finished.length - MAX_FINISHED_JOBS;
+    if (overflow > 0) {
+      const drop = new Set(finished.slice(0, overflow).map(j => j.id));
+      store.jobs = store.jobs.filter(j => !drop.has(j.id));
+    }
+    store.seen = Array.from(seen).slice(-MAX_SEEN_DELIVERIES);
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmp = `${storePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store), "utf8");
+    fs.renameSync(tmp, storePath);
+  }
+
+  // A failed write (disk full, EACCES) costs restart durability, never the in-memory queue:
+  // run() must always reach `active--` or the pool wedges
+  function trySave() {
+    try {
+      persist();
+    } catch (err) {
+      log.error("job queue not persisted", { store: storePath, err });
+    }
+  }
+
+  function finish(job, status, detail) {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    if (detail) job.detail = String(detail).slice(0, 300);
+    delete job.payload; // payloads are large; nothing reads them after the run
+  }
+
+  function supersede(key, newerId) {
+    for (const job of store.jobs) {
+      if (job.key !== key || job.id === newerId) continue;
+      if (job.status === "queued") finish(job, "superseded", `by ${newerId}`);
+      else if (job.status === "running") controllers.get(job.id)?.abort();
+    }
+  }
+
+  function pump() {
+    while (active < concurrency) {
+      const job = store.jobs.find(j => j.status === "queued");
+      if (!job) return;
+      run(job).catch(err => log.error("job runner failed", { job: job.id, err }));
+    }
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+    active++;
+    trySave();
+    try {
+      const result = await handler(job, { signal: controller.signal });
+      finish(job, "done", result);
+    } catch (err) {
+      if (err instanceof SupersededError) finish(job, "superseded", err.message);
+      else finish(job, "failed", err?.message || String(err));
+    } finally {
+      controllers.delete(job.id);
+      active--;
+      trySave();
+      pump();
+    }
+  }
+
+  return {
+    // -> { accepted: boolean, reason? }
+    enqueue({ id, key, event, payload }) {
+      if (id && seen.has(id)) return { accepted: false, reason: "duplicate_delivery" };
+      const jobId = id || `local-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+      seen.add(jobId);
+      store.jobs.push({
+        id: jobId,
+        key,
+        event,
+        payload,
+        status: "queued",
+        enqueued_at: new Date().toISOString()
+      });
+      if (key) supersede(key, jobId);
+      trySave();
+      pump();
+      return { accepted: true, id: jobId };
+    },
+
+    start() {
+      trySave();
+      pump();
+    },
+
+    stats() {
+      const counts = {};
+      for (const j of store.jobs) counts[j.status] = (counts[j.status] || 0) + 1;
+      return { concurrency, active, ...counts };
+    }
+  };
+}
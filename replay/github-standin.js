@@ -0,0 +1,338 @@
+// replay/github-standin.js
+// A local stand-in for the slice of the GitHub REST API Neuron uses, so a recorded run can
+// be replayed with GITHUB_API_URL pointing here and no network at all.
+//  - Repository content and commits are live, backed by a local bare repo: contents
+//    (getContent, createOrUpdateFileContents) and the Git Data API (refs, commits, blobs, trees).
+//  - Conversation state is live and kept in memory for assertions: issue comments, reviews,
+//    check runs, SARIF uploads. Issue comments start from what the recording saw.
+//  - Any other GET is answered from the recording (github.jsonl), pages concatenated; pulls.get
+//    falls back to the webhook payload and pulls.listFiles to files.json (or the whole head tree
+//    as added files).
+// Routes it doesn't know get a 404 and are listed in state.unhandled.
+
+import express from "express";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+const BOT = { login: "neuron-replay[bot]", type: "Bot" };
+// Fixed identity and clock so replayed commits are reproducible
+export const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: "Neuron Replay", GIT_AUTHOR_EMAIL: "replay@localhost",
+  GIT_COMMITTER_NAME: "Neuron Replay", GIT_COMMITTER_EMAIL: "replay@localhost",
+  GIT_AUTHOR_DATE: "2000-01-01T00:00:00Z", GIT_COMMITTER_DATE: "2000-01-01T00:00:00Z"
+};
+
+// A handler result with a status other than 200
+class Reply {
+  constructor(status, data) {
+    this.status = status;
+    this.data = data;
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* ===== Bare repo access ===== */
+
+function gitIn(bareDir) {
+  return (args, { input, env } = {}) => execFileSync("git", ["--git-dir", bareDir, ...args], {
+    input,
+    stdio: ["pipe", "pipe", "pipe"],
+    env: { ...process.env, ...GIT_IDENTITY, ...env },
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+function tryGit(git, args) {
+  try { return git(args).toString("utf8").trim(); } catch { return null; }
+}
+
+function readCommit(git, sha) {
+  const raw = tryGit(git, ["cat-file", "commit", sha]);
+  if (raw === null) throw new HttpError(404, "Not Found");
+  const [head, ...body] = raw.split("\n\n");
+  const fields = head.split("\n");
+  return {
+    sha,
+    tree: { sha: fields.find(l => l.startsWith("tree ")).slice(5) },
+    parents: fields.filter(l => l.startsWith("parent ")).map(l => ({ sha: l.slice(7) })),
+    message: body.join("\n\n")
+  };
+}
+
+// tree entries [{ path, mode, sha (null = delete) }] on top of baseTree -> new tree sha
+function writeTree(git, baseTree, entries) {
+  const index = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "neuron-standin-")), "index");
+  const env = { GIT_INDEX_FILE: index };
+  try {
+    git(baseTree ? ["read-tree", baseTree] : ["read-tree", "--empty"], { env });
+    for (const e of entries) {
+      if (e.sha) git(["update-index", "--add", "--cacheinfo", `${e.mode || "100644"},${e.sha},${e.path}`], { env });
+      else git(["update-index", "--force-remove", e.path], { env });
+    }
+    return git(["write-tree"], { env }).toString("utf8").trim();
+  } finally {
+    fs.rmSync(path.dirname(index), { recursive: true, force: true });
+  }
+}
+
+// Every file in a tree as an added file, in pulls.listFiles shape
+function treeAsAddedFiles(git, ref) {
+  const names = tryGit(git, ["ls-tree", "-r", "--name-only", ref]);
+  if (!names) return [];
+  return names.split("\n").flatMap(filename => {
+    const buf = git(["show", `${ref}:${filename}`]);
+    if (buf.includes(0)) return [];
+    const lines = buf.toString("utf8").replace(/\n$/, "").split("\n");
+    return [{
+      filename,
+      status: "added",
+      additions: lines.length,
+      deletions: 0,
+      changes: lines.length,
+      patch: `@@ -0,0 +1,${lines.length} @@\n${lines.map(l => `+${l}`).join("\n")}`
+    }];
+  });
+}
+
+/* ===== Recorded responses ===== */
+
+// pathname -> data (list endpoints: every recorded page concatenated, duplicates by id dropped)
+function indexRecorded(entries) {
+  const byPath = new Map();
+  for (const e of entries) {
+    if (e.method !== "GET" || e.error || !e.path) continue;
+    const key = decodeURIComponent(e.path.split("?")[0]);
+    const prev = byPath.get(key);
+    if (Array.isArray(prev) && Array.isArray(e.data)) {
+      const ids = new Set(prev.map(x => x?.id ?? x?.filename).filter(v => v != null));
+      byPath.set(key, [...prev, ...e.data.filter(x => (x?.id ?? x?.filename) == null || !ids.has(x?.id ?? x?.filename))]);
+    } else if (prev === undefined) {
+      byPath.set(key, e.data);
+    }
+  }
+  return byPath;
+}
+
+/* ===== Stand-in ===== */
+
+/**
+ * bareDir: bare repo holding the PR head branch
+ * recording: { payload, github (github.jsonl entries), files (files.json) }
+ * cloneUrl: replaces clone_url in pulls.get responses so the clone hits the bare repo
+ * -> { app, state, listen(port) -> Promise<server> }
+ */
+export function createGitHubStandIn({ bareDir, recording = {}, cloneUrl = `file://${bareDir}` }) {
+  const git = gitIn(bareDir);
+  const recorded = indexRecorded(recording.github || []);
+  // Who Neuron posts as; the recorded login keeps recorded summary comments recognisable
+  const self = recorded.get("/user") || BOT;
+  const pr = recording.payload?.pull_request || null;
+  let nextId = 1000;
+
+  const state = {
+    requests: [],      // "METHOD /path status"
+    unhandled: [],
+    comments: new Map(), // issue number -> [comment]
+    posted: [],        // ids of comments created or edited during the run, in order
+    reviews: [],
+    checkRuns: new Map(),
+    commits: [],       // [{ branch, sha, message, files }]
+    sarifs: []
+  };
+
+  function commentsFor(owner, repo, number) {
+    if (!state.comments.has(number)) {
+      const seeded = recorded.get(`/repos/${owner}/${repo}/issues/${number}/comments`);
+      state.comments.set(number, Array.isArray(seeded) ? seeded.map(c => ({ ...c })) : []);
+    }
+    return state.comments.get(number);
+  }
+
+  function refSha(branch) {
+    const sha = tryGit(git, ["rev-parse", "--verify", "--quiet", `refs/heads/${branch}^{commit}`]);
+    if (!sha) throw new HttpError(404, "Not Found");
+    return sha;
+  }
+
+  function moveBranch(branch, from, to, message) {
+    git(["update-ref", `refs/heads/${branch}`, to, from]);
+    const files = tryGit(git, ["diff", "--name-only", from, to]);
+    state.commits.push({ branch, sha: to, message, files: files ? files.split("\n") : [] });
+  }
+
+  function withCloneUrl(pull) {
+    if (!pull?.head?.repo) return pull;
+    return { ...pull, head: { ...pull.head, repo: { ...pull.head.repo, clone_url: cloneUrl } } };
+  }
+
+  function pullsGet(owner, repo, number) {
+    const data = recorded.get(`/repos/${owner}/${repo}/pulls/${number}`) || (pr?.number === number ? pr : null);
+    if (!data) throw new HttpError(404, "Not Found");
+    return withCloneUrl(data);
+  }
+
+  function listFiles(owner, repo, number) {
+    const data = recorded.get(`/repos/${owner}/${repo}/pulls/${number}/files`) || recording.files;
+    if (data) return data;
+    if (pr?.number !== number) throw new HttpError(404, "Not Found");
+    return treeAsAddedFiles(git, `refs/heads/${pr.head.ref}`);
+  }
+
+  function getContent(filePath, ref) {
+    const rev = ref || "HEAD";
+    const type = tryGit(git, ["cat-file", "-t", `${rev}:${filePath}`]);
+    if (type === "tree") {
+      const listing = tryGit(git, ["ls-tree", `${rev}:${filePath}`]) || "";
+      return listing.split("\n").filter(Boolean).map(line => {
+        const [meta, name] = line.split("\t");
+        const [, kind, sha] = meta.split(" ");
+        return { type: kind === "tree" ? "dir" : "file", name, path: path.posix.join(filePath, name), sha };
+      });
+    }
+    if (type !== "blob") throw new HttpError(404, "Not Found");
+    const sha = tryGit(git, ["rev-parse", `${rev}:${filePath}`]);
+    const buf = git(["cat-file", "blob", sha]);
+    return { type: "file", encoding: "base64", name: path.posix.basename(filePath), path: filePath, sha, size: buf.length, content: buf.toString("base64") };
+  }
+
+  // PUT contents: one commit writing one file, like GitHub's createOrUpdateFileContents
+  function putContent(filePath, body) {
+    const branch = body.branch || pr?.head?.ref;
+    const head = refSha(branch);
+    const current = tryGit(git, ["rev-parse", "--verify", "--quiet", `${head}:${filePath}`]);
+    if (current && body.sha !== current) throw new HttpError(409, `${filePath} does not match ${body.sha || "(no sha)"}`);
+    if (!current && body.sha) throw new HttpError(404, "Not Found");
+    const blob = git(["hash-object", "-w", "--stdin"], { input: Buffer.from(body.content || "", "base64") }).toString("utf8").trim();
+    const tree = writeTree(git, readCommit(git, head).tree.sha, [{ path: filePath, sha: blob }]);
+    const sha = git(["commit-tree", tree, "-p", head, "-m", body.message || `Update ${filePath}`]).toString("utf8").trim();
+    moveBranch(branch, head, sha, body.message || "");
+    return { content: getContent(filePath, sha), commit: readCommit(git, sha) };
+  }
+
+  function updateRef(branch, { sha, force }) {
+    const head = refSha(branch);
+    if (!force && head !== sha && tryGit(git, ["merge-base", "--is-ancestor", head, sha]) === null) {
+      throw new HttpError(422, "Update is not a fast forward");
+    }
+    moveBranch(branch, head, sha, readCommit(git, sha).message);
+    return { ref: `refs/heads/${branch}`, object: { sha, type: "commit" } };
+  }
+
+  function createComment(number, owner, repo, body) {
+    const c = {
+      id: nextId++,
+      body,
+      user: self,
+      html_url: `https://github.invalid/${owner}/${repo}/pull/${number}#issuecomment-${nextId - 1}`,
+      created_at: new Date().toISOString()
+    };
+    commentsFor(owner, repo, number).push(c);
+    state.posted.push(c.id);
+    return c;
+  }
+
+  function findComment(id) {
+    for (const list of state.comments.values()) {
+      const c = list.find(x => x.id === id);
+      if (c) return c;
+    }
+    throw new HttpError(404, "Not Found");
+  }
+
+  // [method, pattern over the decoded pathname, handler(match, req) -> data | Reply]
+  const R = "^/repos/([^/]+)/([^/]+)";
+  const routes = [
+    ["GET", `${R}/pulls/(\\d+)$`, m => pullsGet(m[1], m[2], Number(m[3]))],
+    ["GET", `${R}/pulls/(\\d+)/files$`, m => listFiles(m[1], m[2], Number(m[3]))],
+    ["GET", `${R}/contents/(.+)$`, (m, req) => getContent(m[3], req.query.ref)],
+    ["PUT", `${R}/contents/(.+)$`, (m, req) => new Reply(201, putContent(m[3], req.body))],
+    ["GET", `${R}/git/ref/heads/(.+)$`, m => ({ ref: `refs/heads/${m[3]}`, object: { sha: refSha(m[3]), type: "commit" } })],
+    ["GET", `${R}/git/commits/([0-9a-f]+)$`, m => readCommit(git, m[3])],
+    ["POST", `${R}/git/blobs$`, (_m, req) => {
+      const input = Buffer.from(req.body.content || "", req.body.encoding === "base64" ? "base64" : "utf8");
+      return new Reply(201, { sha: git(["hash-object", "-w", "--stdin"], { input }).toString("utf8").trim() });
+    }],
+    ["POST", `${R}/git/trees$`, (_m, req) => new Reply(201, { sha: writeTree(git, req.body.base_tree, req.body.tree || []) })],
+    ["POST", `${R}/git/commits$`, (_m, req) => {
+      const parents = (req.body.parents || []).flatMap(p => ["-p", p]);
+      const sha = git(["commit-tree", req.body.tree, ...parents, "-m", req.body.message || ""]).toString("utf8").trim();
+      return new Reply(201, readCommit(git, sha));
+    }],
+    ["PATCH", `${R}/git/refs/heads/(.+)$`, (m, req) => updateRef(m[3], req.body)],
+    ["GET", `${R}/issues/(\\d+)/comments$`, m => commentsFor(m[1], m[2], Number(m[3]))],
+    ["POST", `${R}/issues/(\\d+)/comments$`, (m, req) => new Reply(201, createComment(Number(m[3]), m[1], m[2], req.body.body))],
+    ["PATCH", `${R}/issues/comments/(\\d+)$`, (m, req) => {
+      const c = Object.assign(findComment(Number(m[3])), { body: req.body.body });
+      if (!state.posted.includes(c.id)) state.posted.push(c.id);
+      return c;
+    }],
+    ["POST", `${R}/issues/comments/(\\d+)/reactions$`, (m, req) => new Reply(201, { id: nextId++, content: req.body.content })],
+    ["POST", `${R}/pulls/(\\d+)/reviews$`, (m, req) => {
+      const review = { id: nextId++, pull_number: Number(m[3]), ...req.body };
+      state.reviews.push(review);
+      return review;
+    }],
+    ["GET", `${R}/pulls/(\\d+)/comments$`, m => state.reviews
+      .filter(r => r.pull_number === Number(m[3]))
+      .flatMap(r => (r.comments || []).map(c => ({ id: nextId++, user: self, ...c })))],
+    ["POST", `${R}/check-runs$`, (_m, req) => {
+      const run = { id: nextId++, ...req.body };
+      state.checkRuns.set(run.id, run);
+      return new Reply(201, run);
+    }],
+    ["PATCH", `${R}/check-runs/(\\d+)$`, (m, req) => {
+      const run = state.checkRuns.get(Number(m[3]));
+      if (!run) throw new HttpError(404, "Not Found");
+      return Object.assign(run, req.body);
+    }],
+    ["GET", "^/user$", () => self],
+    ["GET", `${R}/collaborators/([^/]+)/permission$`, m =>
+      recorded.get(`/repos/${m[1]}/${m[2]}/collaborators/${m[3]}/permission`) || { permission: "admin", user: { login: m[3] } }],
+    ["POST", `${R}/code-scanning/sarifs$`, (_m, req) => {
+      const upload = { id: `replay-${nextId++}`, ...req.body };
+      state.sarifs.push(upload);
+      return new Reply(202, { id: upload.id, url: `https://github.invalid/sarifs/${upload.id}` });
+    }]
+  ].map(([method, pattern, handler]) => ({ method, re: new RegExp(pattern), handler }));
+
+  const app = express();
+  app.use(express.json({ limit: "50mb" }));
+  app.use((req, res) => {
+    const pathname = decodeURIComponent(req.path);
+    const send = (status, data) => {
+      state.requests.push(`${req.method} ${pathname} ${status}`);
+      res.status(status).json(data);
+    };
+    try {
+      for (const r of routes) {
+        const m = r.method === req.method && pathname.match(r.re);
+        if (!m) continue;
+        const out = r.handler(m, req);
+        return out instanceof Reply ? send(out.status, out.data) : send(200, out);
+      }
+      if (req.method === "GET" && recorded.has(pathname)) return send(200, recorded.get(pathname));
+      state.unhandled.push(`${req.method} ${pathname}`);
+      send(404, { message: "Not Found (replay stand-in)" });
+    } catch (e) {
+      send(e instanceof HttpError ? e.status : 500, { message: e.message });
+    }
+  });
+
+  return {
+    app,
+    state,
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, "127.0.0.1", err => (err ? reject(err) : resolve(server)));
+      });
+    }
+  };
+}
@@ -0,0 +1,132 @@
+// replay/recorder.js
+// Records what a webhook run saw so it can be replayed offline (replay/replay.js).
+// With NEURON_RECORD_DIR set, every accepted delivery gets its own folder:
+//   webhook.json   { event, delivery, payload }
+//   github.jsonl   one line per GitHub API response (or error) made during the run
+//   llm.jsonl      one line per LLM completion: { json_mode, content, usage } or { error, status }
+//   repo.tar       the cloned head tree (`git archive`; shallow clones can't be bundled)
+// Tokens never reach disk: auth headers aren't recorded and token fields are masked.
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const execFileAsync = promisify(execFile);
+
+// Request options Octokit adds that say nothing about the call itself
+const OPTION_NOISE = new Set(["headers", "request", "baseUrl", "mediaType", "method", "url", "data"]);
+const TOKEN_KEYS = /^(?:token|access_token|refresh_token|client_secret)$/;
+
+function maskTokens(value) {
+  if (Array.isArray(value)) return value.map(maskTokens);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+    [k, TOKEN_KEYS.test(k) && typeof v === "string" ? "[recorded-token]" : maskTokens(v)]));
+}
+
+function safeName(id) {
+  return String(id || "").replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 80) || "delivery";
+}
+
+/**
+ * dir: NEURON_RECORD_DIR (empty = recording off; every method is then a cheap no-op)
+ */
+export function createRecorder({ dir = "" } = {}) {
+  const enabled = !!dir;
+  const current = new AsyncLocalStorage();
+  const folders = new Map(); // delivery id -> folder
+
+  function folderFor(delivery) {
+    if (!folders.has(delivery)) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const folder = path.join(dir, `${stamp}-${safeName(delivery)}`);
+      fs.mkdirSync(folder, { recursive: true });
+      folders.set(delivery, folder);
+    }
+    return folders.get(delivery);
+  }
+
+  function append(file, entry) {
+    const folder = current.getStore();
+    if (!folder) return;
+    try {
+      fs.appendFileSync(path.join(folder, file), JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n");
+    } catch { /* recording is best effort */ }
+  }
+
+  function request(options) {
+    return {
+      method: options.method,
+      route: options.url,
+      params: maskTokens(Object.fromEntries(Object.entries(options).filter(([k]) => !OPTION_NOISE.has(k))))
+    };
+  }
+
+  return {
+    enabled,
+
+    // webhook intake, once the delivery is accepted
+    saveDelivery(delivery, { event, payload }) {
+      if (!enabled) return;
+      try {
+        fs.writeFileSync(path.join(folderFor(delivery), "webhook.json"), JSON.stringify({ event, delivery, payload }, null, 2) + "\n");
+      } catch { /* recording is best effort */ }
+    },
+
+    // Everything fn does (GitHub calls, LLM calls, clone snapshot) lands in the delivery's folder;
+    // the folder is forgotten once the run settles so a long-lived server doesn't keep every id
+    async run(delivery, fn) {
+      if (!enabled) return fn();
+      try {
+        return await current.run(folderFor(delivery), fn);
+      } finally {
+        folders.delete(delivery);
+      }
+    },
+
+    // createGitHubAuth hooks
+    githubResponse(response, options) {
+      if (!enabled) return;
+      const url = new URL(response.url);
+      append("github.jsonl", { ...request(options), path: url.pathname + url.search, status: response.status, data: maskTokens(response.data) });
+    },
+    githubError(err, options) {
+      if (!enabled || !options) return;
+      append("github.jsonl", { ...request(options), status: err?.status || 0, error: String(err?.message || err).slice(0, 500) });
+    },
+
+    // Same provider shape; every completion (or failure) is appended to llm.jsonl
+    wrapProvider(provider) {
+      if (!enabled || !provider) return provider;
+      return {
+        ...provider,
+        async complete(messages, opts = {}) {
+          try {
+            const res = await provider.complete(messages, opts);
+            append("llm.jsonl", { json_mode: !!opts.jsonMode, content: res.content, usage: res.usage });
+            return res;
+          } catch (err) {
+            append("llm.jsonl", {
+              json_mode: !!opts.jsonMode,
+              error: String(err?.message || err).slice(0, 500),
+              status: err?.status || err?.statusCode || 0,
+              ...(/^(Timeout|Abort)Error$/.test(err?.name) ? { name: err.name } : {})
+            });
+            throw err;
+          }
+        }
+      };
+    },
+
+    // The head tree exactly as cloned; replay serves it from a local bare repo
+    async snapshotRepo(workdir) {
+      const folder = enabled && current.getStore();
+      if (!folder) return;
+      try {
+        await execFileAsync("git", ["archive", "--format=tar", "-o", path.join(folder, "repo.tar"), "HEAD"], { cwd: workdir });
+      } catch { /* recording is best effort */ }
+    }
+  };
+}
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// replay/replay.js
+// Replays a recorded delivery against a real Neuron server, fully offline:
+// the PR head is served from a local bare repo, GitHub by replay/github-standin.js
+// (GITHUB_API_URL), and the LLM by the mock provider playing back the recorded completions.
+//   node replay/replay.js <recording-dir>                  # assert against <dir>/expect.json
+//   node replay/replay.js <recording-dir> --update         # (re)write expect.json from this run
+//
+// A recording dir (NEURON_RECORD_DIR writes these; hand-built ones work too):
+//   webhook.json   { event, delivery, payload }                       required
+//   repo.tar | repo/   the PR head tree                                required
+//   github.jsonl   recorded GitHub responses (GETs are served back)    optional
+//   llm.jsonl      recorded completions, or llm.json (any mock fixture) optional; default: empty plan
+//   files.json     pulls.listFiles result when github.jsonl has none   optional; default: every file added
+//   expect.json    { status, result, comments: [{ contains: [...] }], files_committed,
+//                    inline_comments, check_conclusion }; every key is optional
+// Exit codes: 0 expectations met, 1 expectations failed, 2 the replay itself could not run.
+// Checked-in recordings live in replay/recordings/; `npm run test:replay` replays them all.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import net from "node:net";
+import path from "node:path";
+import { spawn, execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createGitHubStandIn, GIT_IDENTITY } from "./github-standin.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, "..", "index.js");
+
+const USAGE = `Usage: node replay/replay.js <recording-dir> [options]
+
+Options:
+  --expect <file>     expectations (default: <recording-dir>/expect.json)
+  --update            write the expectations from this run instead of checking them
+  --keep              keep the temp dir (bare repo, server log, data dir)
+  --timeout <ms>      give up on the run after this long (default: 120000)
+  -h, --help          show this help`;
+
+class UsageError extends Error {}
+
+// Settings from the caller's shell that would send the server somewhere real
+const FOREIGN_ENV = /^(?:GITHUB_|AZURE_|OPENAI_|LLM_|NEURON_|WEBHOOK_SECRET$|PORT$)/;
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      expect: { type: "string", default: "" },
+      update: { type: "boolean", default: false },
+      keep: { type: "boolean", default: false },
+      timeout: { type: "string", default: "120000" },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError("expected one recording dir");
+  const timeoutMs = Number(values.timeout);
+  if (!(timeoutMs > 0)) throw new UsageError("--timeout must be a positive number of ms");
+  const dir = path.resolve(positionals[0]);
+  return {
+    dir,
+    expect: path.resolve(values.expect || path.join(dir, "expect.json")),
+    update: values.update,
+    keep: values.keep,
+    timeoutMs
+  };
+}
+
+/* =======================
+   Recording
+======================= */
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+}
+
+function loadRecording(dir) {
+  const webhook = readJson(path.join(dir, "webhook.json"));
+  if (!webhook?.event || !webhook.payload) throw new Error(`${dir}: webhook.json with { event, payload } is required`);
+  const tree = ["repo.tar", "repo"].map(f => path.join(dir, f)).find(f => fs.existsSync(f));
+  if (!tree) throw new Error(`${dir}: repo.tar or repo/ (the PR head tree) is required`);
+  return {
+    ...webhook,
+    delivery: webhook.delivery || `replay-${path.basename(dir)}`,
+    tree,
+    github: readJsonl(path.join(dir, "github.jsonl")),
+    llm: readJsonl(path.join(dir, "llm.jsonl")),
+    llmFixture: readJson(path.join(dir, "llm.json")),
+    files: readJson(path.join(dir, "files.json"))
+  };
+}
+
+// The PR's head/base branches; issue_comment payloads only carry them in the recorded pulls.get
+function branchesOf(rec) {
+  const repo = rec.payload.repository?.full_name;
+  const number = rec.payload.pull_request?.number || rec.payload.issue?.number;
+  const pr = rec.payload.pull_request ||
+    rec.github.find(e => e.method === "GET" && e.path?.split("?")[0] === `/repos/${repo}/pulls/${number}`)?.data;
+  return { head: pr?.head?.ref || "main", base: pr?.base?.ref || "" };
+}
+
+/* =======================
+   Offline world: bare repo, GitHub stand-in, LLM fixture
+======================= */
+
+function git(args, cwd) {
+  return execFileSync("git", args, {
+    cwd,
+    stdio: ["ignore", "pipe", "pipe"],
+    env: { ...process.env, ...GIT_IDENTITY }
+  }).toString("utf8").trim();
+}
+
+// One commit holding the recorded head tree, on the head branch (and the base branch, if different)
+function buildBareRepo(rec, root) {
+  const work = path.join(root, "work");
+  const bare = path.join(root, "origin.git");
+  fs.mkdirSync(work);
+  if (rec.tree.endsWith(".tar")) execFileSync("tar", ["-xf", rec.tree, "-C", work]);
+  else fs.cpSync(rec.tree, work, { recursive: true });
+  const { head, base } = branchesOf(rec);
+  git(["init", "-q"], work);
+  git(["checkout", "-q", "-b", head], work);
+  git(["add", "-A"], work);
+  git(["commit", "-q", "--allow-empty", "-m", `Recorded head of ${head}`], work);
+  if (base && base !== head) git(["branch", base], work);
+  git(["clone", "-q", "--bare", work, bare], root);
+  fs.rmSync(work, { recursive: true, force: true });
+  return bare;
+}
+
+function writeFixture(rec, root) {
+  const file = path.join(root, "llm-fixture.json");
+  const fixture = rec.llm.length ? { sequence: rec.llm } : rec.llmFixture || { comments: [], tests: [] };
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  return file;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+/* =======================
+   Run
+======================= */
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function poll(fn, { timeoutMs, what }) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn().catch(() => null);
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+    await sleep(250);
+  }
+}
+
+async function getJson(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  return res.ok ? res.json() : null;
+}
+
+async function replay(opts, root) {
+  const rec = loadRecording(opts.dir);
+  const bare = buildBareRepo(rec, root);
+  const cloneUrl = `file://${bare}`;
+  const standIn = createGitHubStandIn({ bareDir: bare, recording: rec, cloneUrl });
+  const apiServer = await standIn.listen(0);
+  const port = await freePort();
+  const logFile = path.join(root, "server.log");
+  const logFd = fs.openSync(logFile, "w");
+  const apiToken = crypto.randomBytes(16).toString("hex");
+  const env = Object.fromEntries(Object.entries(process.env).filter(([k]) => !FOREIGN_ENV.test(k)));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: root, // keeps the caller's .env out of the server
+    stdio: ["ignore", logFd, logFd],
+    env: {
+      ...env,
+      PORT: String(port),
+      GITHUB_API_URL: `http://127.0.0.1:${apiServer.address().port}`,
+      GITHUB_AUTH_MODE: "pat",
+      GITHUB_TOKEN: "replay",
+      LLM_PROVIDER: "mock",
+      NEURON_MOCK_FIXTURE: writeFixture(rec, root),
+      NEURON_DATA_DIR: path.join(root, "data"),
+      NEURON_API_TOKEN: apiToken,
+      NEURON_WORKERS: "1",
+      NEURON_CHECK_RUNS: "true",
+      NEURON_VERIFY_TESTS: "false"
+    }
+  });
+  const exited = new Promise(resolve => child.on("exit", code => resolve(code)));
+  const base = `http://127.0.0.1:${port}`;
+
+  try {
+    await Promise.race([
+      poll(() => getJson(`${base}/diag`), { timeoutMs: 15000, what: "the server to start" }),
+      exited.then(code => { throw new Error(`server exited early (code ${code})`); })
+    ]);
+
+    const payload = structuredClone(rec.payload);
+    if (payload.pull_request?.head?.repo) payload.pull_request.head.repo.clone_url = cloneUrl;
+    const res = await fetch(`${base}/webhook`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-github-event": rec.event, "x-github-delivery": rec.delivery },
+      body: JSON.stringify(payload)
+    });
+    const intake = `${res.status} ${await res.text()}`;
+
+    // Accepted deliveries are done when the queue drains; the run record (if any) has the outcome
+    if (res.status === 202) {
+      await poll(async () => {
+        const { queue } = await getJson(`${base}/diag`);
+        return !queue.active && !queue.queued && !queue.running;
+      }, { timeoutMs: opts.timeoutMs, what: "the run to finish" });
+    }
+    const { runs } = await getJson(`${base}/runs?limit=50`, { authorization: `Bearer ${apiToken}` });
+    const run = runs.find(r => r.delivery_id === rec.delivery) || null;
+    return { intake, run, state: standIn.state };
+  } finally {
+    child.kill();
+    await Promise.race([exited, sleep(5000)]);
+    await new Promise(resolve => apiServer.close(resolve));
+    fs.closeSync(logFd);
+  }
+}
+
+/* =======================
+   Expectations
+======================= */
+
+// What a replay produced, in expect.json terms
+function observe({ intake, run, state }) {
+  const touched = state.posted.map(id => [...state.comments.values()].flat().find(c => c.id === id)).filter(Boolean);
+  const checks = [...state.checkRuns.values()];
+  return {
+    intake,
+    status: run?.status || null,
+    result: run?.result || null,
+    comments: touched.map(c => c.body),
+    files_committed: [...new Set(state.commits.flatMap(c => c.files))].sort(),
+    inline_comments: state.reviews.reduce((n, r) => n + (r.comments?.length || 0), 0),
+    check_conclusion: checks.length ? checks[checks.length - 1].conclusion || null : null,
+    unhandled: state.unhandled
+  };
+}
+
+function check(expect, seen) {
+  const failures = [];
+  for (const key of ["status", "result", "inline_comments", "check_conclusion"]) {
+    if (key in expect && expect[key] !== seen[key]) failures.push(`${key}: expected ${JSON.stringify(expect[key])}, got ${JSON.stringify(seen[key])}`);
+  }
+  if ("files_committed" in expect) {
+    const want = [...expect.files_committed].sort();
+    if (JSON.stringify(want) !== JSON.stringify(seen.files_committed)) {
+      failures.push(`files_committed: expected ${JSON.stringify(want)}, got ${JSON.stringify(seen.files_committed)}`);
+    }
+  }
+  if ("comments" in expect) {
+    if (expect.comments.length !== seen.comments.length) {
+      failures.push(`comments: expected ${expect.comments.length}, got ${seen.comments.length}`);
+    }
+    expect.comments.forEach((c, i) => {
+      for (const text of c.contains || []) {
+        if (!String(seen.comments[i] ?? "").includes(text)) failures.push(`comments[${i}]: missing ${JSON.stringify(text)}`);
+      }
+    });
+  }
+  return failures;
+}
+
+// Stable parts only: a comment is pinned by its first visible line, not by timings or shas
+function expectationsFrom(seen) {
+  const headline = body => body.split("\n").find(l => l.trim() && !/^\s*<!--.*-->\s*$/.test(l)) || "";
+  return {
+    status: seen.status,
+    result: seen.result,
+    comments: seen.comments.map(body => ({ contains: [headline(body)] })),
+    files_committed: seen.files_committed,
+    inline_comments: seen.inline_comments,
+    check_conclusion: seen.check_conclusion
+  };
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (err) {
+    process.stderr.write(`replay: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  const expect = opts.update ? null : readJson(opts.expect);
+  if (!opts.update && !expect) {
+    process.stderr.write(`replay: ${opts.expect} not found (run with --update to create it)\n`);
+    return 2;
+  }
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-replay-"));
+  let seen;
+  try {
+    seen = observe(await replay(opts, root));
+  } catch (err) {
+    process.stderr.write(`replay: ${err?.message || String(err)}\n`);
+    const logFile = path.join(root, "server.log");
+    if (fs.existsSync(logFile)) process.stderr.write(fs.readFileSync(logFile, "utf8").split("\n").slice(-20).join("\n") + "\n");
+    return 2;
+  } finally {
+    if (opts.keep) process.stderr.write(`replay: kept ${root}\n`);
+    else fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  process.stdout.write(`webhook: ${seen.intake}\nrun: ${seen.status || "none"} (${seen.result || "-"})\n`);
+  process.stdout.write(`comments: ${seen.comments.length}, inline: ${seen.inline_comments}, files committed: ${seen.files_committed.length}, check: ${seen.check_conclusion || "-"}\n`);
+  if (seen.unhandled.length) process.stdout.write(`stand-in had no answer for:\n${seen.unhandled.map(u => `  ${u}`).join("\n")}\n`);
+
+  if (opts.update) {
+    fs.writeFileSync(opts.expect, JSON.stringify(expectationsFrom(seen), null, 2) + "\n", "utf8");
+    process.stdout.write(`wrote ${opts.expect}\n`);
+    return 0;
+  }
+  const failures = check(expect, seen);
+  process.stdout.write(failures.length ? `FAIL\n${failures.map(f => `  ${f}`).join("\n")}\n` : "PASS\n");
+  return failures.length ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
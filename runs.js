@@ -0,0 +1,178 @@
+// runs.js
+// Run history: one record per pipeline run (delivery id, PR, head SHA, per-stage timing,
+// LLM diag + token usage, findings, written files, trace), kept in an embedded
+// append-only JSON Lines file under NEURON_DATA_DIR so `/runs` can answer "what did
+// Neuron do on that PR?" without posting traces to GitHub.
+//  - every save appends the whole record; on load the last line per id wins
+//  - the file is compacted (rewritten via tmp + rename) once it holds ~2x maxRuns lines
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+
+const DEFAULT_MAX_RUNS = 2000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function loadRuns(file) {
+  const runs = new Map();
+  let lines = 0;
+  let text = "";
+  try { text = fs.readFileSync(file, "utf8"); } catch { return { runs, lines }; }
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const run = JSON.parse(line);
+      if (run?.id) {
+        runs.delete(run.id); // keep insertion order = last write
+        runs.set(run.id, run);
+      }
+    } catch { /* torn write from a crash; skip the line */ }
+  }
+  return { runs, lines };
+}
+
+// Fields returned by list endpoints; the full record comes from get()
+function summarize(run) {
+  const { findings, files_written, trace, ...rest } = run;
+  return {
+    ...rest,
+    findings: (findings || []).length,
+    files_written: (files_written || []).length
+  };
+}
+
+// onStage(name, ms) is called after every timed stage (metrics hook)
+export function createRunStore({ file, maxRuns = DEFAULT_MAX_RUNS, onStage = () => {} }) {
+  const { runs, lines: initialLines } = loadRuns(file);
+  let lines = initialLines;
+
+  // A run that was in flight when the process died will never finish
+  for (const run of runs.values()) {
+    if (run.status === "running") run.status = "interrupted";
+  }
+
+  function compact() {
+    const keep = Array.from(runs.values()).slice(-maxRuns);
+    runs.clear();
+    for (const r of keep) runs.set(r.id, r);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, keep.map(r => JSON.stringify(r)).join("\n") + (keep.length ? "\n" : ""), "utf8");
+    fs.renameSync(tmp, file);
+    lines = keep.length;
+  }
+
+  function save(run) {
+    runs.delete(run.id);
+    runs.set(run.id, run);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(run) + "\n", "utf8");
+      lines++;
+      if (lines > maxRuns * 2) compact();
+    } catch (e) {
+      // History is for debugging; never fail a review because it couldn't be written
+      log.warn("could not persist run", { error: e?.message || String(e) });
+    }
+  }
+
+  /**
+   * Start recording a run; returns a recorder the pipeline fills in as it goes.
+   * meta: { delivery_id, event, mode, owner, repo, pr }
+   */
+  function begin(meta) {
+    const started = Date.now();
+    const run = {
+      id: crypto.randomUUID(),
+      delivery_id: meta.delivery_id || null,
+      event: meta.event || null,
+      mode: meta.mode || "full",
+      repo: meta.owner && meta.repo ? `${meta.owner}/${meta.repo}` : null,
+      pr: meta.pr || null,
+      head_sha: null,
+      status: "running",
+      started_at: new Date(started).toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      stages: {},
+      llm: null,
+      findings: [],
+      files_written: [],
+      result: null,
+      error: null,
+      trace: []
+    };
+    save(run);
+
+    return {
+      id: run.id,
+      // The pipeline pushes its breadcrumbs straight into the record
+      trace: run.trace,
+      set(fields) {
+        Object.assign(run, fields);
+      },
+      // Time one pipeline stage; repeated stages (e.g. per LLM batch) accumulate
+      async stage(name, fn) {
+        const t0 = Date.now();
+        try {
+          return await fn();
+        } finally {
+          const ms = Date.now() - t0;
+          run.stages[name] = (run.stages[name] || 0) + ms;
+          onStage(name, ms);
+        }
+      },
+      finish(status, { result = null, error = null } = {}) {
+        const ended = Date.now();
+        Object.assign(run, {
+          status,
+          result,
+          error: error ? String(error?.message || error).slice(0, 1000) : null,
+          trace: run.trace.slice(0, 200),
+          finished_at: new Date(ended).toISOString(),
+          duration_ms: ended - started
+        });
+        save(run);
+      }
+    };
+  }
+
+  /**
+   * filter: { repo, pr, status, diag, since, until, limit }; newest first.
+   * `diag` matches a prefix of the LLM diag code (e.g. "OK" or "AZURE_").
+   */
+  function list(filter = {}) {
+    const limit = Math.min(Math.max(Number(filter.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const since = filter.since ? Date.parse(filter.since) : null;
+    const until = filter.until ? Date.parse(filter.until) : null;
+    const out = [];
+    const all = Array.from(runs.values());
+    for (let i = all.length - 1; i >= 0 && out.length < limit; i--) {
+      const r = all[i];
+      if (filter.repo && r.repo?.toLowerCase() !== String(filter.repo).toLowerCase()) continue;
+      if (filter.pr && Number(r.pr) !== Number(filter.pr)) continue;
+      if (filter.status && r.status !== filter.status) continue;
+      if (filter.diag && !String(r.llm?.diag_code || "").startsWith(String(filter.diag))) continue;
+      if (since && Date.parse(r.started_at) < since) continue;
+      if (until && Date.parse(r.started_at) > until) continue;
+      out.push(summarize(r));
+    }
+    return out;
+  }
+
+  function get(id) {
+    return runs.get(id) || null;
+  }
+
+  function stats() {
+    const all = Array.from(runs.values());
+    return {
+      stored: all.length,
+      running: all.filter(r => r.status === "running").length
+    };
+  }
+
+  return { begin, list, get, stats };
+}
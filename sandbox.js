@@ -0,0 +1,205 @@
+// sandbox.js
+// Runs generated test files (and analyzer engines) inside the cloned workdir before we commit.
+// "Sandbox" here means resource limits, not isolation: scrubbed env (no Neuron secrets), own
+// process group killed whole on timeout, ulimits on CPU time, address space and process count,
+// and no credentials left in the clone's git remote. The code still sees this host's files and
+// network; run Neuron in a container or VM when PRs come from people you don't trust.
+
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+
+const OUTPUT_TAIL = 4000;
+// Runtimes reserve far more address space than they touch (V8, the JVM), so the ulimit -v
+// ceiling is a multiple of the heap limit; it stops runaway allocations, not a tight budget.
+const ADDRESS_SPACE_FACTOR = 4;
+// RLIMIT_NPROC counts every process of the user, so give Neuron its own user; a fork bomb stops here
+const MAX_PROCESSES = 1024;
+
+// Only what a test runner needs; never GITHUB_TOKEN / provider keys / WEBHOOK_SECRET.
+function sandboxEnv(memoryMb) {
+  const env = {
+    PATH: process.env.PATH || "/usr/local/bin:/usr/bin:/bin",
+    HOME: process.env.HOME || "/tmp",
+    LANG: process.env.LANG || "C.UTF-8",
+    CI: "1",
+    NODE_ENV: "test",
+    NODE_OPTIONS: `--max-old-space-size=${memoryMb}`,
+    // Default JVM heap is 1/4 of host RAM, which wouldn't fit under the address-space limit
+    JAVA_TOOL_OPTIONS: `-Xmx${memoryMb}m`
+  };
+  if (process.env.JAVA_HOME) env.JAVA_HOME = process.env.JAVA_HOME;
+  for (const k of ["GOPATH", "GOROOT", "GOCACHE", "GOMODCACHE", "GOFLAGS"]) {
+    if (process.env[k]) env[k] = process.env[k];
+  }
+  return env;
+}
+
+function quote(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+// Spawn argv in its own process group under ulimits (CPU seconds, address space, processes)
+// with a wall-clock timeout; resolves { code, timedOut }. Kills hit the whole group, so a
+// runner's workers and anything it backgrounded go too.
+function spawnLimited(argv, { cwd, timeoutMs, memoryMb }, onStdout, onStderr) {
+  const cpuSeconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+  const addressSpaceKb = memoryMb * ADDRESS_SPACE_FACTOR * 1024;
+  // bash spells the process limit -u, dash and busybox -p
+  const script = [
+    `ulimit -t ${cpuSeconds} 2>/dev/null`,
+    `ulimit -v ${addressSpaceKb} 2>/dev/null`,
+    `{ ulimit -u ${MAX_PROCESSES} 2>/dev/null || ulimit -p ${MAX_PROCESSES} 2>/dev/null; }`,
+    `exec ${argv.map(quote).join(" ")}`
+  ].join("; ");
+  return new Promise(resolve => {
+    let timedOut = false;
+    const child = spawn("sh", ["-c", script], {
+      cwd,
+      env: sandboxEnv(memoryMb),
+      stdio: ["ignore", "pipe", "pipe"],
+      detached: true
+    });
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        child.kill("SIGKILL"); // group already gone (or spawn failed)
+      }
+    };
+    child.stdout.on("data", chunk => { if (onStdout(chunk) === false) killGroup(); });
+    child.stderr.on("data", onStderr);
+    const timer = setTimeout(() => { timedOut = true; killGroup(); }, timeoutMs);
+    child.on("error", err => onStderr(`\n${err.message}`));
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (child.pid) killGroup(); // nothing it started outlives the run
+      resolve({ code, timedOut: timedOut || signal === "SIGXCPU" });
+    });
+  });
+}
+
+// Run argv in the sandbox; stdout and stderr interleaved, tail only. Never rejects.
+// Async so a long install/test run doesn't block webhook intake on the same process.
+export async function runLimited(argv, { cwd, timeoutMs, memoryMb }) {
+  let output = "";
+  const collect = chunk => { output = (output + chunk).slice(-OUTPUT_TAIL * 4); };
+  const { code, timedOut } = await spawnLimited(argv, { cwd, timeoutMs, memoryMb }, collect, collect);
+  return { code, timedOut, output: output.trim().slice(-OUTPUT_TAIL) };
+}
+
+// Same sandbox, but stdout is kept whole (tools that print JSON reports); stderr is a tail.
+// A report larger than maxBytes kills the process and sets `truncated`.
+export async function runCaptured(argv, { cwd, timeoutMs, memoryMb, maxBytes = 32 * 1024 * 1024 }) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  let stderr = "";
+  const { code, timedOut } = await spawnLimited(argv, { cwd, timeoutMs, memoryMb },
+    chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        truncated = true;
+        return false;
+      }
+      chunks.push(chunk);
+    },
+    chunk => { stderr = (stderr + chunk).slice(-OUTPUT_TAIL); });
+  return { code, timedOut, truncated, stdout: Buffer.concat(chunks).toString("utf8"), stderr: stderr.trim() };
+}
+
+// The clone URL carries a token; drop it before any repo code gets to run.
+export function scrubGitCredentials(workdir) {
+  const res = spawnSync("git", ["remote", "get-url", "origin"], { cwd: workdir, encoding: "utf8" });
+  const url = (res.stdout || "").trim();
+  if (url && /@/.test(url)) {
+    spawnSync("git", ["remote", "set-url", "origin", url.replace(/\/\/[^@/]+@/, "//")], { cwd: workdir });
+  }
+}
+
+export function installCommand(workdir, packageManager) {
+  const has = f => fs.existsSync(path.join(workdir, f));
+  if (packageManager === "pnpm") return ["pnpm", "install", "--frozen-lockfile", "--ignore-scripts"];
+  if (packageManager === "yarn") return ["yarn", "install", "--frozen-lockfile", "--ignore-scripts"];
+  if (packageManager === "npm") return ["npm", "ci", "--ignore-scripts", "--no-audit", "--no-fund"];
+  if (has("package.json")) return ["npm", "install", "--ignore-scripts", "--no-audit", "--no-fund"];
+  return null;
+}
+
+// Normalizes whatever the model/detector called the framework into a runner we know.
+export function normalizeFramework(framework, language) {
+  const f = String(framework || "").toLowerCase();
+  if (/vitest/.test(f)) return "vitest";
+  if (/mocha/.test(f)) return "mocha";
+  if (/\bava\b/.test(f)) return "ava";
+  if (/node:?test|node-test/.test(f)) return "node:test";
+  if (/jest/.test(f)) return "jest";
+  if (/pytest/.test(f)) return "pytest";
+  if (/unittest/.test(f)) return "unittest";
+  if (/junit/.test(f)) return "junit";
+  if (/^go\b|go ?test/.test(f)) return "go";
+  if (language === "javascript" || language === "typescript") return "jest";
+  if (language === "python") return "pytest";
+  if (language === "java") return "junit";
+  if (language === "go") return "go";
+  return "";
+}
+
+export function testCommand(workdir, framework, relPath) {
+  switch (framework) {
+    case "jest": return ["npx", "--no-install", "jest", "--ci", "--runTestsByPath", relPath];
+    case "vitest": return ["npx", "--no-install", "vitest", "run", relPath];
+    case "mocha": return ["npx", "--no-install", "mocha", relPath];
+    case "ava": return ["npx", "--no-install", "ava", relPath];
+    case "node:test": return ["node", "--test", relPath];
+    case "pytest": return ["python3", "-m", "pytest", "-q", relPath];
+    case "unittest": return ["python3", "-m", "unittest", relPath.replace(/\.py$/, "").replace(/[\\/]/g, ".")];
+    case "junit": {
+      const cls = path.basename(relPath).replace(/\.java$/, "");
+      if (fs.existsSync(path.join(workdir, "gradlew"))) return ["./gradlew", "test", "--tests", cls, "-q"];
+      if (fs.existsSync(path.join(workdir, "build.gradle")) || fs.existsSync(path.join(workdir, "build.gradle.kts"))) {
+        return ["gradle", "test", "--tests", cls, "-q"];
+      }
+      return ["mvn", "-q", `-Dtest=${cls}`, "-DfailIfNoTests=false", "test"];
+    }
+    case "go": {
+      // go test works on packages; -run narrows it to the functions in the generated file
+      const src = fs.readFileSync(path.join(workdir, relPath), "utf8");
+      const names = [...src.matchAll(/^func (Test\w+)\(/gm)].map(m => m[1]);
+      const pkg = `./${path.posix.dirname(relPath.replace(/\\/g, "/"))}`;
+      return ["go", "test", "-v", "-count=1", ...(names.length ? ["-run", `^(${names.join("|")})$`] : []), pkg];
+    }
+    default: return null;
+  }
+}
+
+// Load/compile failures that some runners still count as a (failed) test case.
+const LOAD_ERROR_RE = /SyntaxError|Cannot find module|ERR_MODULE_NOT_FOUND|ModuleNotFoundError|ImportError while importing|cannot find symbol|COMPILATION ERROR|\[build failed\]|\[setup failed\]/;
+
+// Did the runner actually execute test cases? Distinguishes "assertions failed"
+// (the test compiles and runs — it may be catching a real bug) from "never ran".
+function testsRan(framework, output) {
+  if (LOAD_ERROR_RE.test(output)) return false;
+  switch (framework) {
+    case "jest": return /Tests:\s+.*\d+\s+(passed|failed)/.test(output) && !/Test suite failed to run/.test(output);
+    case "vitest": return /Tests\s+.*\d+\s+(passed|failed)/.test(output);
+    case "mocha": return /\d+\s+(passing|failing)/.test(output);
+    case "ava": return /\d+\s+tests?\s+(passed|failed)/.test(output);
+    case "node:test": return /# tests [1-9]/.test(output);
+    case "pytest": return /\d+\s+(passed|failed)/.test(output) && !/\d+\s+errors?\b/.test(output);
+    case "unittest": return /Ran [1-9]\d* tests?/.test(output);
+    case "junit": return /Tests run:\s*[1-9]/.test(output) && !/COMPILATION ERROR/.test(output);
+    case "go": return /^\s*--- (PASS|FAIL)/m.test(output);
+    default: return false;
+  }
+}
+
+// -> { status: "passed" | "failing" | "broken", output }
+export async function runTestFile(workdir, framework, relPath, limits) {
+  const argv = testCommand(workdir, framework, relPath);
+  if (!argv) return { status: "broken", output: `no runner for framework "${framework}"` };
+  const res = await runLimited(argv, { cwd: workdir, ...limits });
+  if (res.timedOut) return { status: "broken", output: `timed out after ${limits.timeoutMs}ms\n${res.output}` };
+  if (res.code === 0) return { status: "passed", output: res.output };
+  return { status: testsRan(framework, res.output) ? "failing" : "broken", output: res.output };
+}
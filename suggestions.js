@@ -0,0 +1,116 @@
+// suggestions.js
+// One-click fixes: an LLM comment may carry `suggestion: { start_line, end_line, original, replacement }`.
+// Before posting we check it against the file in the workdir (the PR head): the range must
+// exist, sit on the RIGHT side of one hunk, and `original` must still be what is there.
+// Survivors are rendered as a ```suggestion block on a (multi-line) inline review comment.
+
+import fs from "node:fs";
+import path from "node:path";
+import { rightSideLines } from "./diff.js";
+
+export const MAX_SUGGESTION_LINES = 30;
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Line endings and trailing whitespace don't make a suggestion stale
+function normalize(text) {
+  return String(text).replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n").map(l => l.trimEnd()).join("\n");
+}
+
+function readLines(workdir, rel) {
+  const root = path.resolve(workdir);
+  const abs = path.resolve(root, rel);
+  if (!abs.startsWith(root + path.sep)) return null;
+  try { return fs.readFileSync(abs, "utf8").replace(/\r\n?/g, "\n").split("\n"); } catch { return null; }
+}
+
+// -> reason the suggestion can't be offered, or "" when it applies cleanly
+function rejectReason(c, s, lines, visible) {
+  if (s.end_line < s.start_line) return "end_line before start_line";
+  if (s.end_line - s.start_line + 1 > MAX_SUGGESTION_LINES) return `more than ${MAX_SUGGESTION_LINES} lines`;
+  if (c.line < s.start_line || c.line > s.end_line) return "comment line outside the suggested range";
+  if (!lines) return "file not in the checkout";
+  if (s.end_line > lines.length) return "range past the end of the file";
+  // GitHub only accepts multi-line comments inside one hunk of the new file
+  for (let l = s.start_line; l <= s.end_line; l++) {
+    if (!visible?.has(l)) return "range not inside one diff hunk";
+  }
+  const current = lines.slice(s.start_line - 1, s.end_line).join("\n");
+  if (normalize(current) !== normalize(s.original)) return "stale (original lines don't match the file)";
+  if (normalize(current) === normalize(s.replacement)) return "replacement equals the current code";
+  if (/\[REDACTED:/.test(s.replacement)) return "touches redacted content";
+  return "";
+}
+
+/**
+ * comments: ranked plan comments (LLM shape); changedFiles: pulls.listFiles shape (filename/path + patch)
+ * -> { comments, dropped: [{ path, line, reason }] }. Comments always survive; a suggestion that
+ * doesn't apply (or overlaps a higher-severity one in the same file) is removed from its comment.
+ */
+export function checkSuggestions(workdir, comments, changedFiles) {
+  const patches = new Map((changedFiles || []).map(f => [f.filename || f.path, f.patch]));
+  const fileCache = new Map();
+  const linesOf = p => {
+    if (!fileCache.has(p)) fileCache.set(p, readLines(workdir, p));
+    return fileCache.get(p);
+  };
+  const dropped = [];
+  const taken = new Map(); // path -> [[start, end]] already claimed
+
+  // Higher severity claims a range first; ties keep plan order
+  const order = (comments || []).map((c, i) => ({ c, i }))
+    .sort((a, b) => (SEVERITY_RANK[b.c.severity] || 0) - (SEVERITY_RANK[a.c.severity] || 0) || a.i - b.i);
+  const keep = new Set();
+  for (const { c, i } of order) {
+    if (!c.suggestion) continue;
+    const s = c.suggestion;
+    let reason = rejectReason(c, s, linesOf(c.path), patches.has(c.path) ? rightSideLines(patches.get(c.path)) : null);
+    const claimed = taken.get(c.path) || [];
+    if (!reason && claimed.some(([a, b]) => s.start_line <= b && a <= s.end_line)) reason = "overlaps another suggestion";
+    if (reason) {
+      dropped.push({ path: c.path, line: c.line, reason });
+      continue;
+    }
+    taken.set(c.path, [...claimed, [s.start_line, s.end_line]]);
+    keep.add(i);
+  }
+  return {
+    comments: (comments || []).map((c, i) => {
+      if (!c.suggestion || keep.has(i)) return c;
+      const { suggestion, ...rest } = c;
+      return rest;
+    }),
+    dropped
+  };
+}
+
+// A fence longer than any backtick run in the code, so replacements containing ``` survive
+function fenceFor(code) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(r => r.length));
+  return "`".repeat(longest + 1);
+}
+
+// ```suggestion block for a review comment body (empty replacement = delete the lines)
+export function renderSuggestionBlock(s) {
+  const code = String(s.replacement).replace(/\r\n?/g, "\n").replace(/\n$/, "");
+  const fence = fenceFor(code);
+  return `${fence}suggestion\n${code ? `${code}\n` : ""}${fence}`;
+}
+
+// The same change as a diff, for surfaces that can't apply suggestions (summary comment, CLI)
+export function renderSuggestionDiff(s) {
+  const lines = [
+    ...normalize(s.original).split("\n").map(l => `-${l}`),
+    ...(normalize(s.replacement) ? normalize(s.replacement).split("\n").map(l => `+${l}`) : [])
+  ].join("\n");
+  const fence = fenceFor(lines);
+  return `${fence}diff\n${lines}\n${fence}`;
+}
+
+// Review API anchor: multi-line suggestions span start_line..line on the RIGHT side
+export function reviewCommentRange(c) {
+  const s = c.suggestion;
+  if (!s) return { line: c.line, side: "RIGHT" };
+  if (s.start_line === s.end_line) return { line: s.end_line, side: "RIGHT" };
+  return { start_line: s.start_line, start_side: "RIGHT", line: s.end_line, side: "RIGHT" };
+}
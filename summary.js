@@ -0,0 +1,111 @@
+// summary.js
+// Neuron keeps ONE summary comment per PR and edits it on every run.
+// The comment carries a hidden marker (to find it again) and a hidden JSON state
+// block: the last few runs and the findings that were open after the latest one.
+
+export const SUMMARY_MARKER = "<!-- neuron:summary -->";
+const STATE_RE = /<!-- neuron:state ([\s\S]*?) -->/;
+const MAX_RUNS = 10;
+const SHOWN_RUNS = 5;
+// Open findings carried in the state; keeps the comment well under GitHub's 65536-char limit
+const MAX_FINDINGS = 100;
+
+export function isSummaryComment(body) {
+  return String(body || "").includes(SUMMARY_MARKER);
+}
+
+// Anyone can paste the marker and a state block into a PR comment; only trust our own.
+// self: the login Neuron posts as (null when unknown: nothing matches, a fresh comment starts)
+export function isOwnSummaryComment(comment, self) {
+  return !!self && comment?.user?.login === self && isSummaryComment(comment.body);
+}
+
+export function parseSummaryState(body) {
+  const m = STATE_RE.exec(String(body || ""));
+  if (!m) return { runs: [], findings: [] };
+  try {
+    const json = JSON.parse(m[1]);
+    return {
+      runs: Array.isArray(json.runs) ? json.runs.slice(-MAX_RUNS) : [],
+      findings: Array.isArray(json.findings) ? json.findings.slice(0, MAX_FINDINGS) : []
+    };
+  } catch {
+    return { runs: [], findings: [] };
+  }
+}
+
+function embedState(state) {
+  // "-->" inside a title would close the HTML comment early; \u003e still parses as ">"
+  return `<!-- neuron:state ${JSON.stringify(state).replace(/-->/g, "--\\u003e")} -->`;
+}
+
+function slim(c) {
+  return { id: c.fingerprint, title: c.title, path: c.path, line: c.line, engine: c.engine || "llm" };
+}
+
+/**
+ * Compare the previous run's open findings with this run.
+ *  current:   findings reported in this run (with `fingerprint`)
+ *  reported:  every fingerprint the engines produced this run, including ones the
+ *             baseline suppressed from re-posting (those are still open, just quiet)
+ *  stateOf:   id -> baseline state ("fixed", "dismissed", ...) or undefined
+ * Findings that simply weren't reported again stay open unless the baseline says
+ * fixed/dismissed, or they came from a deterministic analyzer (absent = gone).
+ */
+export function diffFindings(previous, current, { reported = [], stateOf = () => undefined } = {}) {
+  const prevById = new Map(previous.map(f => [f.id, f]));
+  const seen = new Set([...reported, ...current.map(c => c.fingerprint)]);
+
+  const added = current.filter(c => c.fingerprint && !prevById.has(c.fingerprint)).map(slim);
+  const open = [];
+  const resolved = [];
+  for (const f of previous) {
+    const state = stateOf(f.id);
+    const analyzerGone = f.engine && f.engine !== "llm" && !seen.has(f.id);
+    if (state === "fixed" || state === "dismissed" || analyzerGone) {
+      resolved.push({ ...f, how: state === "dismissed" ? "dismissed" : "resolved" });
+    } else {
+      open.push(f);
+    }
+  }
+  return { added, open, resolved };
+}
+
+/**
+ * Build the full comment body: marker + rendered run body + delta + collapsible history + state.
+ * run: { sha, at, findings, tests, llm }
+ */
+export function renderSummary(body, { previous, run, delta, hasPrevious }) {
+  let out = `${SUMMARY_MARKER}\n${body}`;
+
+  if (hasPrevious) {
+    out += `\n\n**Since last run**\n`;
+    const list = (items, fmt) => items.slice(0, 10).map(f => `  - ${fmt(f)} \`${f.path}:${f.line}\`\n`).join("");
+    out += `- 🆕 New: **${delta.added.length}**\n`;
+    out += list(delta.added, f => f.title);
+    out += `- Still open: **${delta.open.length}**\n`;
+    out += list(delta.open, f => f.title);
+    out += `- ✅ Resolved: **${delta.resolved.length}**\n`;
+    out += list(delta.resolved, f => `~~${f.title}~~${f.how === "dismissed" ? " (dismissed)" : ""}`);
+  }
+
+  const runs = [...previous.runs, run].slice(-MAX_RUNS);
+  const earlier = runs.slice(0, -1).slice(-SHOWN_RUNS).reverse();
+  if (earlier.length) {
+    out += `\n<details><summary>Earlier runs (${earlier.length})</summary>\n\n`;
+    out += `| Head | When | Findings | Tests | LLM mode |\n|---|---|---|---|---|\n`;
+    for (const r of earlier) {
+      out += `| \`${String(r.sha || "").slice(0, 7)}\` | ${r.at || ""} | ${r.findings ?? 0} | ${r.tests ?? 0} | ${r.llm || ""} |\n`;
+    }
+    out += `\n</details>\n`;
+  }
+
+  // Everything still open after this run: this run's findings + older ones that are still open
+  const openIds = new Set(delta.open.map(f => f.id));
+  const findings = [
+    ...delta.open,
+    ...delta.added.filter(f => !openIds.has(f.id))
+  ];
+  out += `\n${embedState({ runs, findings: findings.slice(0, MAX_FINDINGS) })}\n`;
+  return out;
+}
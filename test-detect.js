@@ -0,0 +1,232 @@
+// test-detect.js
+// Figures out how a repo runs its tests, per language, from manifests and config files,
+// and where/how it names test files (from the tests that already exist). Generated tests
+// are placed and named to match, so the project's own runner picks them up.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const SKIP_DIRS = new Set([".git", "node_modules", "vendor", "dist", "build", "target", "out", ".venv", "venv", "__pycache__", ".neuron"]);
+const MAX_WALK_FILES = 5000;
+
+// Which files count as tests, per language (matched against repo-relative, forward-slash paths)
+const TEST_FILE_RE = {
+  javascript: /(^|\/)__tests__\/.*\.[cm]?jsx?$|\.(test|spec)\.[cm]?jsx?$/,
+  typescript: /(^|\/)__tests__\/.*\.tsx?$|\.(test|spec)\.tsx?$/,
+  python: /(^|\/)(test_[^/]*|[^/]*_test)\.py$/,
+  java: /(^|\/)[^/]*(Test|Tests|IT)\.java$/,
+  go: /_test\.go$/
+};
+
+function readText(workdir, rel) {
+  try { return fs.readFileSync(path.join(workdir, rel), "utf8"); } catch { return ""; }
+}
+
+function exists(workdir, rel) {
+  return fs.existsSync(path.join(workdir, rel));
+}
+
+function anyExists(workdir, names) {
+  return names.some(n => exists(workdir, n));
+}
+
+function configVariants(base) {
+  return ["js", "cjs", "mjs", "ts", "cts", "mts", "json"].map(ext => `${base}.${ext}`);
+}
+
+/* ---------- frameworks ---------- */
+
+function detectJsFramework(workdir, language) {
+  let pkg = {};
+  try { pkg = JSON.parse(readText(workdir, "package.json") || "{}"); } catch { /* unreadable manifest -> file checks only */ }
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const script = String(pkg.scripts?.test || "");
+
+  // An explicit test script is the strongest signal of what CI actually runs
+  if (/\bvitest\b/.test(script)) return { framework: "vitest", source: "scripts.test" };
+  if (/\bjest\b/.test(script)) return { framework: "jest", source: "scripts.test" };
+  if (/\bmocha\b/.test(script)) return { framework: "mocha", source: "scripts.test" };
+  if (/\bava\b/.test(script)) return { framework: "ava", source: "scripts.test" };
+  if (/node\s+(--[\w-]+\s+)*--test\b/.test(script)) return { framework: "node:test", source: "scripts.test" };
+
+  if (deps.vitest || anyExists(workdir, configVariants("vitest.config"))) return { framework: "vitest", source: "vitest" };
+  if (deps.jest || pkg.jest || anyExists(workdir, configVariants("jest.config"))) return { framework: "jest", source: "jest" };
+  if (deps.mocha || anyExists(workdir, [".mocharc", ".mocharc.js", ".mocharc.cjs", ".mocharc.json", ".mocharc.yml", ".mocharc.yaml"])) {
+    return { framework: "mocha", source: "mocha" };
+  }
+  if (deps.ava || pkg.ava || anyExists(workdir, configVariants("ava.config"))) return { framework: "ava", source: "ava" };
+  // No runner dependency at all: node's built-in runner needs nothing installed, but it can't
+  // load TypeScript, so TS keeps the jest default
+  if (language === "javascript" && exists(workdir, "package.json")) return { framework: "node:test", source: "no runner dependency" };
+  return { framework: "jest", source: "default" };
+}
+
+function detectPythonFramework(workdir, testFiles) {
+  const pytestConfig =
+    exists(workdir, "pytest.ini") ||
+    exists(workdir, "conftest.py") ||
+    /\[tool\.pytest/.test(readText(workdir, "pyproject.toml")) ||
+    /\[tool:pytest\]/.test(readText(workdir, "setup.cfg")) ||
+    /\[pytest\]/.test(readText(workdir, "tox.ini"));
+  if (pytestConfig) return { framework: "pytest", source: "pytest config" };
+
+  const reqs = ["requirements.txt", "requirements-dev.txt", "requirements_dev.txt", "dev-requirements.txt", "pyproject.toml", "Pipfile", "setup.py"]
+    .map(f => readText(workdir, f)).join("\n");
+  if (/^\s*["']?pytest\b/m.test(reqs)) return { framework: "pytest", source: "dependencies" };
+
+  const samples = testFiles.slice(0, 10).map(f => readText(workdir, f));
+  if (samples.some(t => /unittest\.TestCase|from unittest import|import unittest/.test(t))) {
+    return { framework: "unittest", source: "existing tests" };
+  }
+  return { framework: "pytest", source: "default" };
+}
+
+function detectJavaFramework(workdir) {
+  const gradle = readText(workdir, "build.gradle") + readText(workdir, "build.gradle.kts");
+  const maven = readText(workdir, "pom.xml");
+  const build = gradle ? "gradle" : maven ? "maven" : null;
+  const manifest = gradle || maven;
+  let version = 5;
+  if (/junit-jupiter|org\.junit\.jupiter|useJUnitPlatform/.test(manifest)) version = 5;
+  else if (/junit:junit|<artifactId>junit<\/artifactId>/.test(manifest)) version = 4;
+  return { framework: `junit${version}`, build, source: build || "default" };
+}
+
+/* ---------- test files & conventions ---------- */
+
+// Repo-relative paths of every test file we recognise (bounded walk)
+export function findTestFiles(workdir) {
+  const out = [];
+  let seen = 0;
+  const walk = rel => {
+    let entries;
+    try { entries = fs.readdirSync(path.join(workdir, rel), { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (seen >= MAX_WALK_FILES) return;
+      const child = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        if (!SKIP_DIRS.has(e.name) && !e.name.startsWith(".")) walk(child);
+        continue;
+      }
+      seen++;
+      if (Object.values(TEST_FILE_RE).some(re => re.test(child))) out.push(child);
+    }
+  };
+  walk("");
+  return out;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) if (!best || n > best[1]) best = [v, n];
+  return best ? best[0] : null;
+}
+
+// "test/unit/foo.spec.ts" -> ".spec.ts"; "pkg/a/test_b.py" -> "test_*.py"
+function namingOf(language, file) {
+  const base = path.posix.basename(file);
+  if (language === "python") return base.startsWith("test_") ? "test_*.py" : "*_test.py";
+  if (language === "java") return /Tests\.java$/.test(base) ? "*Tests.java" : /IT\.java$/.test(base) ? "*IT.java" : "*Test.java";
+  if (language === "go") return "*_test.go";
+  const m = /\.(test|spec)\.([cm]?[jt]sx?)$/.exec(base);
+  if (m) return `*.${m[1]}.${m[2]}`;
+  return `*.${base.split(".").pop()}`; // plain file inside __tests__/
+}
+
+// Where tests live: a shared top-level dir ("test", "tests", "__tests__", "src/test/java") or next to the code
+function locationOf(language, file) {
+  if (language === "go") return { kind: "colocated" };
+  if (language === "java") {
+    const i = file.indexOf("src/test/java/");
+    return i >= 0 ? { kind: "dir", dir: file.slice(0, i + "src/test/java".length) } : { kind: "colocated" };
+  }
+  const parts = file.split("/");
+  const i = parts.findIndex(p => p === "test" || p === "tests" || p === "__tests__" || p === "spec");
+  if (i === -1) return { kind: "colocated" };
+  // "src/foo/__tests__/x.test.js" keeps __tests__ next to the code it tests
+  if (parts[i] === "__tests__" && i > 0) return { kind: "nested", dir: "__tests__" };
+  return { kind: "dir", dir: parts.slice(0, i + 1).join("/") };
+}
+
+function inferConventions(language, files) {
+  const defaults = {
+    javascript: { kind: "dir", dir: "__tests__", naming: "*.test.js" },
+    typescript: { kind: "dir", dir: "__tests__", naming: "*.test.ts" },
+    python: { kind: "dir", dir: "tests", naming: "test_*.py" },
+    java: { kind: "dir", dir: "src/test/java", naming: "*Test.java" },
+    go: { kind: "colocated", naming: "*_test.go" }
+  }[language];
+  if (!files.length) return { ...defaults, examples: [], inferred: false };
+
+  const locations = files.map(f => locationOf(language, f));
+  const kind = mostCommon(locations.map(l => l.kind));
+  const dir = mostCommon(locations.filter(l => l.kind === kind).map(l => l.dir)) || undefined;
+  return {
+    kind,
+    ...(dir ? { dir } : {}),
+    naming: mostCommon(files.map(f => namingOf(language, f))),
+    examples: files.slice(0, 3),
+    inferred: true
+  };
+}
+
+function languageOf(file) {
+  for (const [lang, re] of Object.entries(TEST_FILE_RE)) if (re.test(file)) return lang;
+  return null;
+}
+
+/**
+ * -> { [language]: { framework, build?, source, conventions: { kind, dir?, naming, examples, inferred } } }
+ * kind: "dir" (shared test dir), "nested" (__tests__ beside the code) or "colocated" (next to the code)
+ */
+export function detectTestSetup(workdir, languages) {
+  const testFiles = findTestFiles(workdir);
+  const byLang = {};
+  for (const f of testFiles) {
+    const lang = languageOf(f);
+    if (lang) (byLang[lang] = byLang[lang] || []).push(f);
+  }
+
+  const setup = {};
+  for (const lang of languages) {
+    let detected;
+    if (lang === "javascript" || lang === "typescript") detected = detectJsFramework(workdir, lang);
+    else if (lang === "python") detected = detectPythonFramework(workdir, byLang.python || []);
+    else if (lang === "java") detected = detectJavaFramework(workdir);
+    else if (lang === "go") detected = { framework: "go test", source: exists(workdir, "go.mod") ? "go.mod" : "default" };
+    else continue;
+    setup[lang] = { ...detected, conventions: inferConventions(lang, byLang[lang] || []) };
+  }
+  return { setup, testFiles };
+}
+
+// { language: framework } view used by the prompt and the sandbox
+export function frameworksOf(setup) {
+  return Object.fromEntries(Object.entries(setup).map(([lang, s]) => [lang, s.framework]));
+}
+
+// Unknown languages have no test naming we could check, so their paths never count as tests
+export function isTestPath(language, filePath) {
+  const re = TEST_FILE_RE[language];
+  return re ? re.test(String(filePath).replace(/\\/g, "/")) : false;
+}
+
+/**
+ * Where a generated test goes when the model's path is unusable, following the repo's conventions.
+ * sourcePath: a changed file in that language (needed for colocated/nested layouts and Go packages).
+ * "" for a language without known conventions; the caller picks its own fallback.
+ */
+export function defaultTestPath(setup, language, sourcePath = "") {
+  if (!TEST_FILE_RE[language]) return "";
+  const conv = setup[language]?.conventions || inferConventions(language, []);
+  const stem = language === "java" ? "NeuronGenerated" : language === "python" || language === "go" ? "neuron_generated" : "neuron.generated";
+  const name = conv.naming.replace("*", stem);
+  const srcDir = sourcePath ? path.posix.dirname(sourcePath.replace(/\\/g, "/")) : ".";
+  const join = (...p) => path.posix.join(...p.filter(x => x && x !== "."));
+
+  if (conv.kind === "colocated") return join(srcDir, name);
+  if (conv.kind === "nested") return join(srcDir, conv.dir, name);
+  return join(conv.dir, name);
+}
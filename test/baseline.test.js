@@ -0,0 +1,86 @@
+// test/baseline.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import {
+  fingerprintComment, parseBaseline, serializeBaseline, readBaseline, writeBaseline, isDismissed,
+  dismissFingerprint, shouldSkipComment, recordComments, expireEntries, markFixed
+} from "../baseline.js";
+
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-baseline-"));
+after(() => fs.rmSync(workdir, { recursive: true, force: true }));
+
+const SOURCE = ["function pay(a) {", "  const fee = a * 0.3;", "  return charge(a + fee);", "}"];
+function writeSource(lines) {
+  fs.writeFileSync(path.join(workdir, "pay.js"), lines.join("\n") + "\n");
+}
+const finding = { path: "pay.js", line: 2, title: "Fee of 30% is hard-coded" };
+
+test("fingerprints ignore digits in titles and code moving down the file", () => {
+  writeSource(SOURCE);
+  const before = fingerprintComment(workdir, finding);
+  assert.match(before.id, /^[0-9a-f]{12}$/);
+  assert.equal(fingerprintComment(workdir, { ...finding, title: "Fee of 25% is hard-coded" }).id, before.id);
+  writeSource(["// header", "", ...SOURCE]);
+  assert.equal(fingerprintComment(workdir, { ...finding, line: 4 }).id, before.id);
+  writeSource(SOURCE);
+});
+
+test("suggested findings are skipped until they expire; dismissals stick", () => {
+  writeSource(SOURCE);
+  const baseline = parseBaseline("{}");
+  assert.equal(recordComments(workdir, baseline, [finding], { pr: 7 }), true);
+  assert.equal(shouldSkipComment(workdir, baseline, finding), true);
+  assert.equal(recordComments(workdir, baseline, [finding]), false);
+
+  assert.equal(expireEntries(baseline, { ttlDays: 30, at: Date.now() + 31 * 86400000 }), 1);
+  assert.equal(shouldSkipComment(workdir, baseline, finding), false);
+
+  const { id } = fingerprintComment(workdir, finding);
+  assert.equal(dismissFingerprint(baseline, id, { by: "alice", pr: 7 }), true);
+  assert.equal(dismissFingerprint(baseline, id, { by: "alice", pr: 7 }), false);
+  assert.equal(isDismissed(baseline, { fingerprint: id }), true);
+  assert.equal(expireEntries(baseline, { ttlDays: 1, at: Date.now() + 365 * 86400000 }), 0);
+});
+
+test("markFixed: only when the PR touched the file and the flagged code is gone", () => {
+  writeSource(SOURCE);
+  const baseline = parseBaseline("{}");
+  recordComments(workdir, baseline, [finding]);
+  assert.equal(markFixed(workdir, baseline, { changedPaths: ["other.js"] }), 0);
+  assert.equal(markFixed(workdir, baseline, { changedPaths: ["pay.js"] }), 0);
+  writeSource(["function pay(a) {", "  return charge(a + feeFor(a));", "}"]);
+  assert.equal(markFixed(workdir, baseline, { changedPaths: ["pay.js"], pr: 8 }), 1);
+  assert.equal(baseline.entries[0].state, "fixed");
+  assert.equal(baseline.entries[0].fixed_in_pr, 8);
+});
+
+test("v1 files migrate: dismissals keep their legacy id and suggestions get re-fingerprinted", () => {
+  writeSource(SOURCE);
+  const fp = "pay.js:2:Fee of 30% is hard-coded";
+  const v1 = JSON.stringify({
+    suggestions: [{ fp, path: "pay.js", file_sha: "x" }, { fp: "gone.js:1:Old", path: "gone.js" }],
+    dismissals: [{ id: "abcdefabcdef", dismissed_by: "bob" }]
+  });
+  const migrated = parseBaseline(v1, workdir);
+  assert.equal(migrated.version, 2);
+  assert.deepEqual(migrated.entries.map(e => e.state), ["suggested", "suggested", "dismissed"]);
+  assert.equal(migrated.entries[0].id, fingerprintComment(workdir, finding).id);
+  assert.equal(migrated.entries[1].legacy, true); // gone.js isn't in the checkout: keeps its v1 id
+  assert.equal(migrated.entries[1].id, crypto.createHash("sha256").update("gone.js:1:Old").digest("hex").slice(0, 12));
+  assert.equal(migrated.entries[2].dismissed_by, "bob");
+});
+
+test("read/write round-trip; unreadable files fall back to an empty baseline", () => {
+  const baseline = parseBaseline("not json");
+  assert.deepEqual(baseline, { version: 2, entries: [] });
+  dismissFingerprint(baseline, "0123456789ab", { by: "carol" });
+  writeBaseline(workdir, baseline);
+  assert.equal(fs.readFileSync(path.join(workdir, ".neuron/baseline.json"), "utf8"), serializeBaseline(baseline));
+  assert.deepEqual(readBaseline(workdir), baseline);
+  fs.writeFileSync(path.join(workdir, ".neuron/baseline.json"), "{");
+  assert.deepEqual(readBaseline(workdir), { version: 2, entries: [] });
+});
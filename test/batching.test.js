@@ -0,0 +1,72 @@
+// test/batching.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { moduleKey, trimPatch, planBatches, mergePlans } from "../batching.js";
+import { mergeFindings } from "../analyzers/merge-findings.js";
+
+const file = (filename, lines, changes = lines) => ({
+  filename,
+  status: "modified",
+  changes,
+  patch: `@@ -1,0 +1,${lines} @@\n` + Array.from({ length: lines }, (_, i) => `+const v${i} = ${i};`).join("\n")
+});
+
+test("moduleKey: two levels deep, root files share one module", () => {
+  assert.equal(moduleKey("src/payments/authorize.ts"), "src/payments");
+  assert.equal(moduleKey("src/a.js"), "src");
+  assert.equal(moduleKey("README.md"), ".");
+});
+
+test("trimPatch: whole hunks while they fit, then a marker", () => {
+  const patch = "@@ -1 +1 @@\n+a\n@@ -9 +9 @@\n+b";
+  assert.deepEqual(trimPatch(patch, 100), { patch, truncated: false });
+  const { patch: cut, truncated } = trimPatch(patch, 15);
+  assert.ok(truncated);
+  assert.ok(cut.startsWith("@@ -1 +1 @@\n+a\n@@ ...patch truncated"));
+});
+
+test("planBatches: modules stay together, biggest first, extra batches are skipped", () => {
+  const files = [
+    file("docs/a.md", 2), file("src/x/a.js", 40), file("src/x/b.js", 40),
+    file("lib/c.js", 30), { filename: "logo.png", status: "added", changes: 0 }
+  ];
+  const two = planBatches(files, { tokenBudget: 500, maxBatches: 2 });
+  assert.deepEqual(two.batches.map(b => b.map(e => e.path)), [["src/x/a.js"], ["src/x/b.js", "lib/c.js", "docs/a.md"]]);
+  assert.deepEqual(two.skipped.map(s => s.path), ["logo.png"]);
+  assert.match(two.skipped[0].reason, /no text diff/);
+
+  const one = planBatches(files, { tokenBudget: 500, maxBatches: 1 });
+  assert.deepEqual(one.reviewed, [{ path: "src/x/a.js" }]);
+  assert.deepEqual(one.skipped.map(s => s.path), ["logo.png", "src/x/b.js", "lib/c.js", "docs/a.md"]);
+  assert.match(one.skipped[1].reason, /batch limit reached \(1 LLM calls\)/);
+});
+
+test("mergePlans: distinct findings on one line all survive; repeats collapse to the worst", () => {
+  const merged = mergePlans([
+    { comments: [
+      { path: "a.js", line: 3, severity: "MEDIUM", title: "SQL injection in query" },
+      { path: "a.js", line: 3, severity: "LOW", title: "Unused variable `x`" }
+    ], tests: [{ path: "t.test.js" }] },
+    { comments: [
+      { path: "a.js", line: 3, severity: "HIGH", title: "SQL Injection in `query`" },
+      { path: "b.js", line: 1, severity: "CRITICAL", title: "Hard-coded secret" }
+    ], tests: [{ path: "t.test.js" }] }
+  ]);
+  assert.deepEqual(merged.comments.map(c => `${c.path}:${c.line} ${c.severity}`),
+    ["b.js:1 CRITICAL", "a.js:3 HIGH", "a.js:3 LOW"]);
+  assert.equal(merged.tests.length, 1);
+});
+
+test("mergeFindings: same rule from two engines joins them; other issues on the line stay", () => {
+  const llm = [{ path: "a.js", line: 3, severity: "LOW", title: "Missing await" }];
+  const analyzers = [
+    { path: "a.js", line: 3, severity: "HIGH", title: "eval of input", rule_id: "no-eval", engine: "semgrep" },
+    { path: "a.js", line: 3, severity: "MEDIUM", title: "eval", rule_id: "no-eval", engine: "sarif" }
+  ];
+  const merged = mergeFindings(llm, analyzers);
+  assert.equal(merged.length, 2);
+  const evalFinding = merged.find(c => c.rule_id === "no-eval");
+  assert.equal(evalFinding.severity, "HIGH");
+  assert.equal(evalFinding.engine, "semgrep+sarif");
+  assert.equal(merged.find(c => c.engine === "llm").title, "Missing await");
+});
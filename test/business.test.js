@@ -0,0 +1,76 @@
+// test/business.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseRules, parseChecklists, loadBusinessContext, selectRelevant, validateCitations } from "../business.js";
+
+test("rules.md: one rule per heading, explicit ids and Applies to: scopes", () => {
+  const rules = parseRules([
+    "# Payments",
+    "## R-12: Refunds never exceed the captured amount",
+    "Applies to: src/payments/**, `api/refunds/**`",
+    "Compare against the capture, not the order total.",
+    "### Emails go out once",
+    "Use the outbox."
+  ].join("\n"), "business/rules.md");
+  assert.deepEqual(rules.map(r => [r.id, r.paths]), [
+    ["R-12", ["src/payments/**", "api/refunds/**"]],
+    ["rules#emails-go-out-once", []]
+  ]);
+  assert.equal(rules[0].text, "Compare against the capture, not the order total.");
+  assert.equal(parseRules("Be nice.", "b/notes.md")[0].id, "notes.md");
+});
+
+test("checklists: both YAML shapes, item-level paths, bad YAML reported", () => {
+  const { items } = parseChecklists([
+    "checklists:",
+    "  - name: Payments",
+    "    paths: ['src/payments/**']",
+    "    items:",
+    "      - Every gateway call has a timeout",
+    "      - { id: PAY-2, text: Amounts are integers, severity: high, paths: ['src/money/**'] }"
+  ].join("\n"), "c.yaml");
+  assert.deepEqual(items.map(i => [i.id, i.severity, i.paths]), [
+    ["payments-1", null, ["src/payments/**"]],
+    ["PAY-2", "HIGH", ["src/money/**"]]
+  ]);
+  assert.deepEqual(parseChecklists("Security: [No secrets in logs]", "c.yaml").items.map(i => i.id), ["security-1"]);
+  assert.match(parseChecklists("a: [", "c.yaml").error, /^c\.yaml: /);
+});
+
+test("selectRelevant: scoped entries only for matching paths, scoped first, within budget", () => {
+  const ctx = {
+    rules: [
+      { id: "G", title: "global", text: "g", paths: [] },
+      { id: "P", title: "payments", text: "p", paths: ["src/{payments,billing}/**"] },
+      { id: "U", title: "users", text: "u", paths: ["src/users/**"] }
+    ],
+    checklist: [{ id: "C", text: "x".repeat(500), paths: [] }]
+  };
+  const picked = selectRelevant(ctx, ["src/billing/invoice.js"], { maxChars: 200 });
+  assert.deepEqual(picked.rules.map(r => r.id), ["P", "G"]);
+  assert.deepEqual(picked.checklist, []);
+  const comments = validateCitations([{ rule_ref: "P" }, { rule_ref: "R-99" }], picked);
+  assert.deepEqual(comments.map(c => c.rule_ref), ["P", undefined]);
+});
+
+test("loadBusinessContext: configured files, missing ones reported, no symlinks out of the checkout", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-business-"));
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-business-host-"));
+  try {
+    fs.mkdirSync(path.join(dir, "business"));
+    fs.mkdirSync(path.join(dir, "docs"));
+    fs.writeFileSync(path.join(dir, "docs/rules.md"), "## R-1: Keep audit logs\n");
+    fs.writeFileSync(path.join(outside, "secret.md"), "## S-1: host secret\n");
+    fs.symlinkSync(path.join(outside, "secret.md"), path.join(dir, "business/rules.md"));
+    const ctx = loadBusinessContext(dir, { rules: ["docs/rules.md", "docs/missing.md"] });
+    assert.deepEqual(ctx.rules.map(r => r.id), ["R-1"]);
+    assert.deepEqual(ctx.sources, ["docs/rules.md"]);
+    assert.deepEqual(ctx.errors, ["docs/missing.md: not found"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,31 @@
+// test/checks.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gateConclusion } from "../checks.js";
+
+const finding = severity => ({ path: "a.js", line: 1, severity, title: "t" });
+
+test("gate: findings at or above fail_on fail the check", () => {
+  const findings = [finding("LOW"), finding("HIGH"), finding("CRITICAL")];
+  assert.deepEqual(gateConclusion(findings, { failOn: "HIGH" }), { conclusion: "failure", blocking: 2 });
+  assert.deepEqual(gateConclusion(findings, { failOn: "critical" }), { conclusion: "failure", blocking: 1 });
+  assert.equal(gateConclusion([finding("MEDIUM")], { failOn: "HIGH" }).conclusion, "success");
+});
+
+test("gate: fail_on none never blocks on findings", () => {
+  assert.equal(gateConclusion([finding("CRITICAL")], { failOn: "none" }).conclusion, "success");
+  assert.equal(gateConclusion([finding("CRITICAL")]).conclusion, "success");
+});
+
+test("gate: config problems need action, degraded runs are neutral", () => {
+  assert.equal(gateConclusion([], { configErrors: [{ path: "x" }] }).conclusion, "action_required");
+  assert.equal(gateConclusion([], { diagCode: "LLM_TIMEOUT" }).conclusion, "neutral");
+  // A blocking finding still wins over a config error
+  assert.equal(gateConclusion([finding("HIGH")], { failOn: "HIGH", configErrors: [{}] }).conclusion, "failure");
+});
+
+test("gate: a partial review can't pass a gate that is switched on", () => {
+  assert.deepEqual(gateConclusion([], { diagCode: "OK_PARTIAL" }), { conclusion: "neutral", blocking: 0, partial: true });
+  assert.deepEqual(gateConclusion([], { failOn: "HIGH", diagCode: "OK_PARTIAL" }),
+    { conclusion: "failure", blocking: 0, partial: true });
+});
@@ -0,0 +1,71 @@
+// test/commit.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { commitFiles, commitMessage } from "../commit.js";
+
+// Git Data API stand-in: one branch, calls logged; `fail` maps a method to errors to throw in order
+function fakeGitHub({ head = "h1", fail = {} } = {}) {
+  const calls = [];
+  let blobs = 0;
+  const op = (name, fn) => async args => {
+    calls.push(name);
+    const err = fail[name]?.shift();
+    if (err) throw err;
+    return { data: fn(args) };
+  };
+  return {
+    calls,
+    get head() { return head; },
+    git: {
+      getRef: op("getRef", () => ({ object: { sha: head } })),
+      getCommit: op("getCommit", () => ({ tree: { sha: "tree0" } })),
+      createBlob: op("createBlob", () => ({ sha: `blob${++blobs}` })),
+      createTree: op("createTree", ({ base_tree, tree }) => ({ sha: `${base_tree}+${tree.map(t => t.path).join(",")}` })),
+      createCommit: op("createCommit", ({ parents }) => ({ sha: `c-on-${parents[0]}` })),
+      updateRef: op("updateRef", ({ sha }) => { head = sha; return {}; })
+    }
+  };
+}
+
+const files = [{ path: "__tests__\\a.test.js", content: "test" }, { path: ".neuron/baseline.json", content: "{}" }];
+const args = { owner: "acme", repo: "api", branch: "feat", files, message: "m", expectedHeadSha: "h1" };
+
+test("all files land in one commit on top of the expected head", async () => {
+  const gh = fakeGitHub();
+  const res = await commitFiles(gh, args);
+  assert.deepEqual(res, { written: ["__tests__/a.test.js", ".neuron/baseline.json"], failed: [], sha: "c-on-h1" });
+  assert.equal(gh.head, "c-on-h1");
+  assert.deepEqual(gh.calls, ["getRef", "getCommit", "createBlob", "createBlob", "createTree", "createCommit", "updateRef"]);
+});
+
+test("a branch that moved since the clone gets nothing, with the content kept for the comment", async () => {
+  const gh = fakeGitHub({ head: "h2" });
+  const res = await commitFiles(gh, args);
+  assert.deepEqual(res.written, []);
+  assert.equal(res.sha, null);
+  assert.match(res.failed[0].reason, /^head_moved \(expected h1, found h2\)/);
+  assert.equal(res.failed[0].content, "test");
+  assert.deepEqual(gh.calls, ["getRef"]);
+});
+
+test("a race on the final ref update is reported as head_moved, not retried", async () => {
+  const gh = fakeGitHub({ fail: { updateRef: [Object.assign(new Error("Update is not a fast forward"), { status: 422 })] } });
+  const res = await commitFiles(gh, args);
+  assert.equal(res.failed[0].reason, "head_moved (non-fast-forward on update)");
+  assert.equal(gh.calls.filter(c => c === "updateRef").length, 1);
+});
+
+test("5xx and network errors are retried; other errors fail at once", async () => {
+  const flaky = fakeGitHub({ fail: { createTree: [Object.assign(new Error("bad gateway"), { status: 502 }), new Error("socket hang up")] } });
+  assert.equal((await commitFiles(flaky, args)).sha, "c-on-h1");
+
+  const denied = fakeGitHub({ fail: { createBlob: [Object.assign(new Error("forbidden"), { status: 403 })] } });
+  const res = await commitFiles(denied, args);
+  assert.deepEqual(res.failed.map(f => f.reason), ["403", "403"]);
+  assert.equal(denied.calls.filter(c => c === "getRef").length, 1);
+});
+
+test("commitMessage names the base commit and every file", () => {
+  assert.equal(commitMessage({ files: [{ path: "a" }, { path: "b" }], baseSha: "abc", title: "t" }),
+    "t\n\nBased on PR head abc.\n\nFiles:\n- a\n- b");
+});
@@ -0,0 +1,125 @@
+// test/config.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import {
+  CONFIG_SCHEMA, CONFIG_DEFAULTS, resolveConfig, withBaseOnlySettings, globToRegExp, isPathIncluded
+} from "../config.js";
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validate = ajv.compile(CONFIG_SCHEMA);
+
+test("no file, or an empty one, means defaults and no errors", () => {
+  assert.deepEqual(resolveConfig("", validate), { config: CONFIG_DEFAULTS, errors: [] });
+});
+
+test("valid keys merge over the defaults, nested sections included", () => {
+  const { config, errors } = resolveConfig([
+    "neuron:",
+    "  max_tests: 0",
+    "  surfaces: { review: false }",
+    "  check: { fail_on: HIGH }",
+    "  redaction: { pii: [email, phone] }"
+  ].join("\n"), validate);
+  assert.deepEqual(errors, []);
+  assert.equal(config.max_tests, 0);
+  assert.deepEqual(config.surfaces, { comment: true, review: false, check: true });
+  assert.equal(config.check.fail_on, "HIGH");
+  assert.deepEqual(config.redaction, { pii: ["email", "phone"], patterns: [] });
+});
+
+test("an invalid key is reported and dropped; the rest still applies", () => {
+  const { config, errors } = resolveConfig("neuron:\n  max_tests: 99\n  severity_floor: HIGH\n  typo_key: 1\n", validate);
+  assert.equal(config.max_tests, CONFIG_DEFAULTS.max_tests);
+  assert.equal(config.severity_floor, "HIGH");
+  assert.ok(errors.some(e => e.startsWith("max_tests:")));
+  assert.ok(errors.includes("neuron: unknown key `typo_key`"));
+});
+
+test("broken YAML and a missing neuron: key are reported, not thrown", () => {
+  assert.match(resolveConfig("neuron: [\n", validate).errors[0], /^YAML parse error \(line \d+\)/);
+  assert.deepEqual(resolveConfig("other: 1\n", validate).errors, ["missing top-level `neuron:` key"]);
+  assert.deepEqual(resolveConfig("neuron: 3\n", validate).errors, ["`neuron:` must be a mapping"]);
+});
+
+test("custom analyzers may not shadow a built-in engine", () => {
+  const { errors } = resolveConfig("neuron:\n  analyzers:\n    custom:\n      - { name: eslint, command: [x] }\n", validate);
+  assert.match(errors.join("\n"), /must not be a built-in analyzer name/);
+});
+
+test("withBaseOnlySettings: commands and redaction regexes come from the base branch", () => {
+  const head = resolveConfig([
+    "neuron:",
+    "  max_tests: 5",
+    "  analyzers: { custom: [{ name: pwn, command: [sh, -c, id] }] }",
+    "  redaction: { patterns: [{ name: slow, regex: '(a+)+$' }] }"
+  ].join("\n"), validate).config;
+  const base = resolveConfig("neuron:\n  redaction: { patterns: [{ name: emp, regex: 'EMP-\\d{6}' }] }\n", validate).config;
+  const { config, overridden } = withBaseOnlySettings(head, base);
+  assert.equal(config.max_tests, 5);
+  assert.deepEqual(config.analyzers.custom, []);
+  assert.deepEqual(config.redaction.patterns, [{ name: "emp", regex: "EMP-\\d{6}" }]);
+  assert.deepEqual(overridden, ["analyzers.custom", "redaction.patterns"]);
+  assert.deepEqual(withBaseOnlySettings(base, base).overridden, []);
+  assert.deepEqual(head.analyzers.custom.map(c => c.name), ["pwn"]); // inputs untouched
+});
+
+test("withBaseOnlySettings: a PR can't relax the merge gate it is held to", () => {
+  const head = resolveConfig([
+    "neuron:",
+    "  check: { fail_on: none }",
+    "  surfaces: { check: false, comment: false }",
+    "  exclude: ['**']",
+    "  severity_floor: CRITICAL",
+    "  disabled_events: [opened, synchronize]"
+  ].join("\n"), validate).config;
+  const base = resolveConfig("neuron:\n  check: { fail_on: HIGH }\n  include: ['src/**']\n", validate).config;
+  const { config, overridden } = withBaseOnlySettings(head, base);
+  assert.equal(config.check.fail_on, "HIGH");
+  assert.equal(config.surfaces.check, true);
+  assert.equal(config.surfaces.comment, false); // the rest of surfaces is still the PR's
+  assert.deepEqual(config.include, ["src/**"]);
+  assert.deepEqual(config.exclude, CONFIG_DEFAULTS.exclude);
+  assert.equal(config.severity_floor, CONFIG_DEFAULTS.severity_floor);
+  assert.deepEqual(config.disabled_events, []);
+  assert.deepEqual(overridden.sort(),
+    ["check.fail_on", "disabled_events", "exclude", "include", "severity_floor", "surfaces.check"]);
+});
+
+test("globs: **, *, ?, {a,b} and bare directories", () => {
+  assert.ok(globToRegExp("src/**/*.js").test("src/a/b/c.js"));
+  assert.ok(globToRegExp("src/**/*.js").test("src/c.js"));
+  assert.ok(!globToRegExp("src/*.js").test("src/a/c.js"));
+  assert.ok(globToRegExp("file?.{ts,tsx}").test("file1.tsx"));
+  assert.ok(globToRegExp("dist/").test("dist/x/y.js"));
+  assert.ok(!globToRegExp("a.b").test("aXb"));
+});
+
+test("globs: brace alternatives are globs themselves", () => {
+  const re = globToRegExp("src/{*.js,*.ts}");
+  assert.ok(re.test("src/a.js") && re.test("src/b.ts"));
+  assert.ok(!re.test("src/a.py") && !re.test("src/x/a.js"));
+  assert.ok(globToRegExp("{lib,src/**}/*.{js,{c,m}js}").test("src/a/b/c.mjs"));
+  assert.ok(globToRegExp("**/{dist,build}/**").test("pkg/build/x.js"));
+  assert.ok(globToRegExp("a{b").test("a{b"));      // unclosed: literal
+  assert.ok(globToRegExp("a}b").test("a}b"));
+});
+
+test("include/exclude with brace globs load cleanly and apply", () => {
+  const { config, errors } = resolveConfig("neuron:\n  include: ['src/{*.js,*.ts}']\n  exclude: ['**/*.{snap,min.js}']\n", validate);
+  assert.deepEqual(errors, []);
+  assert.equal(isPathIncluded("src/a.ts", config), true);
+  assert.equal(isPathIncluded("src/a.min.js", config), false);
+  assert.equal(isPathIncluded("lib/a.js", config), false);
+});
+
+test("isPathIncluded: include narrows, exclude wins", () => {
+  const cfg = { include: ["src/**"], exclude: ["**/*.test.js"] };
+  assert.equal(isPathIncluded("src/a.js", cfg), true);
+  assert.equal(isPathIncluded("src/a.test.js", cfg), false);
+  assert.equal(isPathIncluded("docs/a.md", cfg), false);
+  assert.equal(isPathIncluded("src\\win.js", cfg), true);
+  assert.equal(isPathIncluded("anything"), true);
+});
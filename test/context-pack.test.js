@@ -0,0 +1,50 @@
+// test/context-pack.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  countTokens, charsForTokens, contextWindow, promptBudget, diffBudget, packUnits, hunkUnits, regroupHunks
+} from "../context-pack.js";
+
+test("contextWindow: longest model prefix wins; unknown models get the default", () => {
+  assert.equal(contextWindow("gpt-4"), 8192);
+  assert.equal(contextWindow("gpt-4-32k-0613"), 32768);
+  assert.equal(contextWindow("GPT-4o-mini"), 128000);
+  assert.equal(contextWindow("llama3"), 16384);
+});
+
+test("promptBudget/diffBudget: window minus output and slack, capped, frame reserved", () => {
+  assert.equal(promptBudget("gpt-4"), 8192 - 1400 - 200);
+  assert.equal(promptBudget("gpt-4o"), 24000);
+  assert.equal(promptBudget("gpt-4o", { cap: 5000 }), 5000);
+  assert.ok(diffBudget("gpt-4") < promptBudget("gpt-4"));
+  assert.ok(diffBudget("gpt-4") >= 500);
+});
+
+test("countTokens and charsForTokens are inverses (within rounding)", () => {
+  const text = "x".repeat(1000);
+  for (const model of ["gpt-4o", "gpt-4", "local-model"]) {
+    assert.ok(countTokens(text.slice(0, charsForTokens(100, model)), model) <= 100);
+  }
+});
+
+test("packUnits: priority order, whole units only, smaller later units still fit", () => {
+  const units = [
+    { kind: "signal", label: "deps", value: "s".repeat(30) },
+    { kind: "source", label: "big", value: "b".repeat(600) },
+    { kind: "hunk", label: "h1", value: "h".repeat(60) },
+    { kind: "test", label: "t", value: "t".repeat(30) }
+  ];
+  const { included, omitted, used } = packUnits(units, 60, "gpt-4");
+  assert.deepEqual(included.map(u => u.label), ["h1", "t", "deps"]);
+  assert.deepEqual(omitted.map(o => o.label), ["big"]);
+  assert.ok(used <= 60);
+});
+
+test("hunkUnits/regroupHunks round-trip a multi-hunk file", () => {
+  const file = { path: "a.js", status: "modified", additions: 2, deletions: 0, patch: "@@ -1 +1,2 @@\n+a\n@@ -9 +10,2 @@\n+b" };
+  const units = hunkUnits([file]);
+  assert.deepEqual(units.map(u => u.label), ["a.js @@ -1 +1,2 @@", "a.js @@ -9 +10,2 @@"]);
+  const [regrouped] = regroupHunks(units);
+  assert.equal(regrouped.path, "a.js");
+  assert.equal(regrouped.patch, file.patch);
+});
@@ -0,0 +1,46 @@
+// test/diff.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rightSideLines, addedLines, buildDiffIndex, partitionByDiff } from "../diff.js";
+
+const PATCH = [
+  "@@ -10,4 +10,5 @@ function pay() {",
+  " const a = 1;",
+  "-const b = 2;",
+  "+const b = 3;",
+  "+const c = 4;",
+  " return a;",
+  "\\ No newline at end of file",
+  "@@ -40,2 +41,2 @@",
+  " x();",
+  "+y();"
+].join("\n");
+
+test("rightSideLines: added and context lines, numbered on the new side", () => {
+  assert.deepEqual([...rightSideLines(PATCH)], [10, 11, 12, 13, 41, 42]);
+});
+
+test("addedLines: only the + rows", () => {
+  assert.deepEqual([...addedLines(PATCH)], [11, 12, 42]);
+});
+
+test("empty or missing patches have no lines", () => {
+  assert.equal(rightSideLines("").size, 0);
+  assert.equal(addedLines(undefined).size, 0);
+});
+
+test("partitionByDiff: inline only when the line is visible in that file's patch", () => {
+  const index = buildDiffIndex([
+    { filename: "src/pay.js", patch: PATCH },
+    { filename: "logo.png" } // binary: no patch, not indexed
+  ]);
+  assert.deepEqual([...index.keys()], ["src/pay.js"]);
+  const comments = [
+    { path: "src/pay.js", line: 12 },
+    { path: "src/pay.js", line: 30 },
+    { path: "src/other.js", line: 1 }
+  ];
+  const { inline, outside } = partitionByDiff(comments, index);
+  assert.deepEqual(inline, [comments[0]]);
+  assert.deepEqual(outside, [comments[1], comments[2]]);
+});
@@ -0,0 +1,65 @@
+// test/github-auth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { createAppJwt, resolveAuthMode, createGitHubAuth, gitAuthEnv } from "../github-auth.js";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const pem = privateKey.export({ type: "pkcs1", format: "pem" });
+
+test("auth mode: app needs an id and a key, GITHUB_AUTH_MODE forces one", () => {
+  assert.equal(resolveAuthMode({ GITHUB_APP_ID: "1", GITHUB_APP_PRIVATE_KEY: "k", GITHUB_TOKEN: "t" }), "app");
+  assert.equal(resolveAuthMode({ GITHUB_APP_ID: "1", GITHUB_TOKEN: "t" }), "pat");
+  assert.equal(resolveAuthMode({ GITHUB_AUTH_MODE: "PAT", GITHUB_APP_ID: "1", GITHUB_APP_PRIVATE_KEY: "k" }), "pat");
+  assert.equal(resolveAuthMode({}), "none");
+});
+
+test("app JWT: RS256-signed, backdated and short-lived", () => {
+  const now = Date.UTC(2025, 0, 1);
+  const [header, claims, signature] = createAppJwt(42, pem, now).split(".");
+  const ok = crypto.verify("RSA-SHA256", Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, "base64url"));
+  assert.ok(ok);
+  const { iat, exp, iss } = JSON.parse(Buffer.from(claims, "base64url"));
+  assert.equal(iss, "42");
+  assert.equal(iat, now / 1000 - 60);
+  assert.ok(exp - iat <= 600);
+});
+
+test("git auth: the token goes in a header, not the URL or argv", () => {
+  const env = gitAuthEnv("s3cret");
+  assert.equal(env.GIT_CONFIG_KEY_0, "http.extraHeader");
+  assert.equal(env.GIT_CONFIG_VALUE_0, `Authorization: Basic ${Buffer.from("x-access-token:s3cret").toString("base64")}`);
+  assert.deepEqual(gitAuthEnv(""), {});
+});
+
+test("app mode: installation tokens are cached per installation", async () => {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    calls.push(`${req.method} ${req.url}`);
+    res.setHeader("content-type", "application/json");
+    if (req.url === "/repos/acme/api/installation") return res.end(JSON.stringify({ id: 7 }));
+    if (req.url === "/app/installations/7/access_tokens") {
+      res.statusCode = 201;
+      return res.end(JSON.stringify({ token: "ghs_1", expires_at: new Date(Date.now() + 3600e3).toISOString() }));
+    }
+    if (req.url === "/app") return res.end(JSON.stringify({ slug: "neuron" }));
+    res.statusCode = 404;
+    res.end("{}");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const auth = createGitHubAuth({
+      GITHUB_APP_ID: "42",
+      GITHUB_APP_PRIVATE_KEY: pem.replace(/\n/g, "\\n"),
+      GITHUB_API_URL: `http://127.0.0.1:${server.address().port}/`
+    });
+    assert.equal(auth.mode, "app");
+    assert.equal((await auth.forRepo("acme", "api")).token, "ghs_1");
+    assert.equal((await auth.forRepo("Acme", "API")).token, "ghs_1");
+    assert.equal(await auth.login(), "neuron[bot]");
+    assert.deepEqual(calls, ["GET /repos/acme/api/installation", "POST /app/installations/7/access_tokens", "GET /app"]);
+  } finally {
+    server.close();
+  }
+});
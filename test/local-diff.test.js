@@ -0,0 +1,65 @@
+// test/local-diff.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { listLocalChanges, exportTree } from "../local-diff.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// main: a.js; feature (committed): a.js changed, b.js added; working tree: feature + local edits
+function fixtureRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-local-diff-"));
+  const git = (...args) => execFileSync("git", ["-c", "user.name=t", "-c", "user.email=t@t", ...args], { cwd: dir, stdio: "pipe" });
+  const write = (rel, text) => fs.writeFileSync(path.join(dir, rel), text);
+  git("init", "-q", "-b", "main");
+  write("a.js", "export const a = 1;\n");
+  git("add", "-A");
+  git("commit", "-qm", "base");
+  git("checkout", "-qb", "feature");
+  write("a.js", "export const a = 2;\n");
+  write("b.js", "export const b = 1;\n");
+  write("neuron.config.yml", "neuron:\n  exclude: ['b.js']\n");
+  git("add", "-A");
+  git("commit", "-qm", "feature");
+  write("a.js", "export const a = 'uncommitted';\n");
+  fs.rmSync(path.join(dir, "neuron.config.yml"));
+  return dir;
+}
+
+test("--head: the diff and the file contents both come from that commit", () => {
+  const dir = fixtureRepo();
+  let tree;
+  try {
+    const local = listLocalChanges(dir, { base: "main", head: "feature" });
+    assert.deepEqual(local.files.map(f => `${f.status} ${f.filename}`).sort(), ["added b.js", "added neuron.config.yml", "modified a.js"]);
+    assert.match(local.files.find(f => f.filename === "a.js").patch, /\+export const a = 2;/);
+
+    tree = exportTree(local.root, local.head);
+    assert.equal(fs.readFileSync(path.join(tree, "a.js"), "utf8"), "export const a = 2;\n");
+    assert.ok(fs.existsSync(path.join(tree, "neuron.config.yml")));
+    assert.deepEqual(fs.readdirSync(tree).sort(), ["a.js", "b.js", "neuron.config.yml"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (tree) fs.rmSync(tree, { recursive: true, force: true });
+  }
+});
+
+test("cli --head reads neuron.config.yml from the head, not the working tree", () => {
+  const dir = fixtureRepo();
+  try {
+    const out = execFileSync(process.execPath, [CLI, "review", "--repo", dir, "--base", "main", "--head", "feature",
+      "--no-analyzers", "--format", "json"], {
+      env: { ...process.env, LLM_PROVIDER: "mock", NEURON_MOCK_FIXTURE: "" },
+      encoding: "utf8"
+    });
+    const result = JSON.parse(out);
+    assert.deepEqual(result.coverage.skipped, [{ path: "b.js", reason: "excluded by neuron.config.yml" }]);
+    assert.equal(fs.readFileSync(path.join(dir, "a.js"), "utf8"), "export const a = 'uncommitted';\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,59 @@
+// test/pipeline.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reviewInBatches } from "../pipeline.js";
+import { classifyLLMError } from "../providers/index.js";
+
+const input = {
+  repo_meta: { owner: "acme", repo: "api", headRef: "feat", languages: ["javascript"], test_frameworks: {}, package_manager: "npm" },
+  signals: {},
+  requirements: { max_comments: 3, max_tests: 0 }
+};
+const file = name => ({ path: name, status: "modified", patch: `@@ -1 +1 @@\n+${name}` });
+const tooLong = () => Object.assign(
+  new Error("400 This model's maximum context length is 8192 tokens. However, your messages resulted in 9001 tokens."),
+  { status: 400 }
+);
+const comment = path => ({ path, line: 1, severity: "LOW", title: `look at ${path}`, body: "b" });
+
+// Fails like the provider would once the prompt carries more than `maxFiles` changed files
+function llmFitting(maxFiles) {
+  const seen = [];
+  return {
+    seen,
+    name: "fake",
+    model: "gpt-4o",
+    async complete(messages) {
+      const files = JSON.parse(messages[1].content).changed_files.map(f => f.path);
+      seen.push(files);
+      if (files.length > maxFiles) throw tooLong();
+      return { content: JSON.stringify({ comments: files.map(comment), tests: [] }), usage: {} };
+    }
+  };
+}
+
+test("context-length errors classify on their own, not as a deployment problem", () => {
+  assert.equal(classifyLLMError(tooLong()), "CONTEXT_LENGTH");
+  assert.equal(classifyLLMError({ code: "context_length_exceeded", message: "x" }), "CONTEXT_LENGTH");
+  assert.equal(classifyLLMError({ status: 404, message: "deployment not found" }), "AZURE_DEPLOYMENT");
+});
+
+test("a batch over the context is split until it fits; nothing goes unreviewed", async () => {
+  const llm = llmFitting(1);
+  const { plan, diag } = await reviewInBatches(llm, [[file("a.js"), file("b.js"), file("c.js")]], input);
+  assert.equal(diag.code, "OK_JSON_MODE");
+  assert.deepEqual(plan.comments.map(c => c.path).sort(), ["a.js", "b.js", "c.js"]);
+  // [a,b,c] -> [a,b] -> [a], [b]; then [c]. No JSON-mode fallback calls for an oversized prompt.
+  assert.deepEqual(llm.seen, [["a.js", "b.js", "c.js"], ["a.js", "b.js"], ["a.js"], ["b.js"], ["c.js"]]);
+});
+
+test("a single file that never fits gets one smaller prompt, then counts as failed", async () => {
+  const llm = llmFitting(0);
+  const { plan, diag } = await reviewInBatches(llm, [[file("a.js")]], input);
+  assert.equal(plan, null);
+  assert.equal(diag.code, "CONTEXT_LENGTH");
+  assert.equal(llm.seen.length, 2);
+
+  const partial = await reviewInBatches(llmFitting(1), [[file("a.js")], [file("b.js"), file("c.js")]], input);
+  assert.equal(partial.diag.code, "OK_JSON_MODE");
+});
@@ -0,0 +1,25 @@
+// test/prompts.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildMessages } from "../prompts.js";
+
+const input = requirements => ({
+  repo_meta: { owner: "acme", repo: "api", headRef: "feat", languages: ["javascript"], test_frameworks: {}, package_manager: "npm" },
+  signals: {},
+  changed_files: [{ path: "a.js", status: "modified", patch: "@@ -1 +1 @@\n+x" }],
+  requirements
+});
+
+test("system prompt states the repo's caps, not fixed ones", () => {
+  const { messages } = buildMessages(input({ max_comments: 7, max_tests: 4 }), "{}", { model: "gpt-4o" });
+  assert.match(messages[0].content, /Up to 7 high-impact REVIEW COMMENTS/);
+  assert.match(messages[0].content, /Up to 4 RUNNABLE TESTS/);
+  assert.deepEqual(JSON.parse(messages[1].content).instructions.caps, { max_comments: 7, max_tests: 4 });
+});
+
+test("a zero cap asks for an empty array instead", () => {
+  const { messages } = buildMessages(input({ max_comments: 0, max_tests: 1 }), "{}", { model: "gpt-4o" });
+  assert.match(messages[0].content, /No review comments: return an empty 'comments' array/);
+  assert.doesNotMatch(messages[0].content, /REVIEW COMMENTS/);
+  assert.match(messages[0].content, /Up to 1 RUNNABLE TESTS/);
+});
@@ -0,0 +1,78 @@
+// test/providers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createOpenAIProvider } from "../providers/openai.js";
+import { classifyLLMError } from "../providers/index.js";
+import { getLLMPlanWithFallback } from "../pipeline.js";
+import { SupersededError } from "../queue.js";
+
+// An endpoint that accepts the request and never answers
+async function stalledServer() {
+  const open = new Set();
+  const server = http.createServer((req, res) => open.add(res));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    close() {
+      for (const res of open) res.destroy();
+      server.close();
+    }
+  };
+}
+
+const timeoutError = () => Object.assign(new Error("The operation was aborted due to timeout"), { name: "TimeoutError" });
+
+test("openai provider: a stalled endpoint times out as LLM_TIMEOUT", async () => {
+  const server = await stalledServer();
+  try {
+    const llm = createOpenAIProvider({ baseUrl: server.url, model: "m", timeoutMs: 100 });
+    const err = await llm.complete([{ role: "user", content: "hi" }]).catch(e => e);
+    assert.equal(err.name, "TimeoutError");
+    assert.equal(classifyLLMError(err), "LLM_TIMEOUT");
+  } finally {
+    server.close();
+  }
+});
+
+test("openai provider: the job signal ends a call in flight", async () => {
+  const server = await stalledServer();
+  try {
+    const llm = createOpenAIProvider({ baseUrl: server.url, model: "m", timeoutMs: 60000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const err = await llm.complete([], { signal: controller.signal }).catch(e => e);
+    assert.equal(err.name, "AbortError");
+  } finally {
+    server.close();
+  }
+});
+
+test("plan: a timed-out JSON-mode call falls back; two timeouts report LLM_TIMEOUT", async () => {
+  const plan = JSON.stringify({ comments: [], tests: [] });
+  let calls = 0;
+  const flaky = { name: "t", async complete(_m, { jsonMode }) {
+    calls++;
+    if (jsonMode) throw timeoutError();
+    return { content: plan, usage: {} };
+  } };
+  assert.equal((await getLLMPlanWithFallback(flaky, [])).diag.code, "OK_FALLBACK");
+  assert.equal(calls, 2);
+
+  const down = { name: "t", async complete() { throw timeoutError(); } };
+  const { plan: none, diag } = await getLLMPlanWithFallback(down, []);
+  assert.equal(none, null);
+  assert.equal(diag.code, "LLM_TIMEOUT");
+});
+
+test("plan: a superseded job stops instead of falling back", async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const llm = { name: "t", async complete(_m, { signal }) {
+    calls++;
+    controller.abort();
+    signal.throwIfAborted();
+  } };
+  await assert.rejects(getLLMPlanWithFallback(llm, [], { signal: controller.signal }), SupersededError);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,110 @@
+// test/queue.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJobQueue, checkpoint, SupersededError } from "../queue.js";
+
+function tmpStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-queue-"));
+  return { dir, storePath: path.join(dir, "queue.json") };
+}
+
+const readJobs = storePath => JSON.parse(fs.readFileSync(storePath, "utf8")).jobs;
+
+// Resolves once `predicate()` holds; handlers settle on later ticks
+async function until(predicate) {
+  for (let i = 0; i < 200 && !predicate(); i++) await new Promise(r => setTimeout(r, 5));
+  assert.ok(predicate(), "condition never became true");
+}
+
+test("a newer job for the same PR aborts the running one and skips the queued one", async () => {
+  const { dir, storePath } = tmpStore();
+  const started = [];
+  const queue = createJobQueue({
+    storePath,
+    concurrency: 1,
+    async handler(job, { signal }) {
+      started.push(job.id);
+      if (job.id === "d3") return "reviewed";
+      await new Promise(resolve => signal.addEventListener("abort", resolve));
+      checkpoint(signal);
+    }
+  });
+  try {
+    assert.deepEqual(queue.enqueue({ id: "d1", key: "acme/api#1" }), { accepted: true, id: "d1" });
+    queue.enqueue({ id: "d2", key: "acme/api#1" }); // waits behind d1, then d3 supersedes it
+    await until(() => started.length === 1);
+    queue.enqueue({ id: "d3", key: "acme/api#1" });
+    await until(() => queue.stats().done === 1);
+    assert.deepEqual(started, ["d1", "d3"]);
+    const byId = Object.fromEntries(readJobs(storePath).map(j => [j.id, j]));
+    assert.equal(byId.d1.status, "superseded");
+    assert.equal(byId.d2.status, "superseded");
+    assert.equal(byId.d2.detail, "by d3");
+    assert.equal(byId.d3.status, "done");
+    assert.equal(byId.d3.payload, undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("jobs for different PRs don't supersede each other; redeliveries are dropped", async () => {
+  const { dir, storePath } = tmpStore();
+  const queue = createJobQueue({ storePath, concurrency: 2, handler: async () => "ok" });
+  try {
+    queue.enqueue({ id: "a", key: "acme/api#1" });
+    queue.enqueue({ id: "b", key: "acme/api#2" });
+    assert.deepEqual(queue.enqueue({ id: "a", key: "acme/api#1" }), { accepted: false, reason: "duplicate_delivery" });
+    await until(() => queue.stats().done === 2);
+    assert.equal(queue.stats().superseded, undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a restart re-runs interrupted jobs and still knows the deliveries it saw", async () => {
+  const { dir, storePath } = tmpStore();
+  fs.writeFileSync(storePath, JSON.stringify({
+    jobs: [{ id: "x", key: "k", status: "running" }, { id: "y", key: "k2", status: "done" }],
+    seen: ["x", "y"]
+  }));
+  const ran = [];
+  const queue = createJobQueue({ storePath, handler: async job => { ran.push(job.id); } });
+  try {
+    assert.equal(queue.enqueue({ id: "y", key: "k2" }).accepted, false);
+    queue.start();
+    await until(() => queue.stats().done === 2);
+    assert.deepEqual(ran, ["x"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("failures are recorded and the pool keeps going when the store can't be written", async () => {
+  const { dir } = tmpStore();
+  const storePath = path.join(dir, "file-not-dir", "queue.json");
+  fs.writeFileSync(path.join(dir, "file-not-dir"), "");
+  const queue = createJobQueue({
+    storePath,
+    concurrency: 1,
+    async handler(job) { if (job.id === "bad") throw new Error("boom"); }
+  });
+  try {
+    queue.enqueue({ id: "bad" });
+    queue.enqueue({ id: "good" });
+    await until(() => (queue.stats().done || 0) + (queue.stats().failed || 0) === 2);
+    assert.deepEqual(queue.stats(), { concurrency: 1, active: 0, failed: 1, done: 1 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("checkpoint throws SupersededError only once the signal fired", () => {
+  const controller = new AbortController();
+  checkpoint(controller.signal);
+  checkpoint(undefined);
+  controller.abort();
+  assert.throws(() => checkpoint(controller.signal), SupersededError);
+});
@@ -0,0 +1,91 @@
+// test/sandbox.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { runLimited, runCaptured, runTestFile, normalizeFramework, testCommand } from "../sandbox.js";
+
+const limits = { timeoutMs: 20000, memoryMb: 1024 };
+
+function workdir(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-sandbox-"));
+  for (const [rel, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, rel), text);
+  return dir;
+}
+
+// Killed-but-unreaped processes linger as zombies; they count as gone
+function running(pid) {
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, "utf8"));
+  } catch {
+    return false;
+  }
+}
+
+test("the runner gets a scrubbed env: no Neuron secrets", async () => {
+  const dir = workdir();
+  process.env.GITHUB_TOKEN_SANDBOX_TEST = "leak";
+  try {
+    const res = await runLimited(["node", "-e", "console.log(Object.keys(process.env).sort().join(','))"], { cwd: dir, ...limits });
+    assert.equal(res.code, 0);
+    assert.ok(!res.output.includes("GITHUB_TOKEN_SANDBOX_TEST"));
+    assert.match(res.output, /NODE_OPTIONS/);
+  } finally {
+    delete process.env.GITHUB_TOKEN_SANDBOX_TEST;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a timeout kills the whole process group, backgrounded children included", { skip: process.platform !== "linux" }, async () => {
+  const dir = workdir();
+  try {
+    const res = await runLimited(["sh", "-c", "sleep 30 & echo $!; wait"], { cwd: dir, timeoutMs: 500, memoryMb: 256 });
+    assert.equal(res.timedOut, true);
+    const pid = Number(res.output.trim());
+    assert.ok(pid > 0);
+    await new Promise(r => setTimeout(r, 100));
+    assert.equal(running(pid), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("runCaptured keeps stdout whole but stops a report over maxBytes", async () => {
+  const dir = workdir();
+  try {
+    const ok = await runCaptured(["node", "-e", "process.stdout.write(JSON.stringify({ n: 1 }))"], { cwd: dir, ...limits });
+    assert.deepEqual(JSON.parse(ok.stdout), { n: 1 });
+    const big = await runCaptured(["node", "-e", "setInterval(() => process.stdout.write('x'.repeat(65536)), 1)"],
+      { cwd: dir, ...limits, maxBytes: 100000 });
+    assert.equal(big.truncated, true);
+    assert.ok(big.stdout.length <= 100000);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("runTestFile tells passing, failing (ran) and broken (never ran) tests apart", async () => {
+  const dir = workdir({
+    "pass.test.mjs": "import test from 'node:test';\ntest('ok', () => {});\n",
+    "fail.test.mjs": "import test from 'node:test';\nimport assert from 'node:assert';\ntest('no', () => assert.equal(1, 2));\n",
+    "broken.test.mjs": "import test from 'node:test';\ntest('x', () => { (;\n"
+  });
+  try {
+    assert.equal((await runTestFile(dir, "node:test", "pass.test.mjs", limits)).status, "passed");
+    assert.equal((await runTestFile(dir, "node:test", "fail.test.mjs", limits)).status, "failing");
+    assert.equal((await runTestFile(dir, "node:test", "broken.test.mjs", limits)).status, "broken");
+    assert.equal((await runTestFile(dir, "cobol", "x", limits)).status, "broken");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("framework names map onto runners and their commands", () => {
+  assert.equal(normalizeFramework("Jest 29"), "jest");
+  assert.equal(normalizeFramework("node:test"), "node:test");
+  assert.equal(normalizeFramework("", "python"), "pytest");
+  assert.equal(normalizeFramework("rspec", "ruby"), "");
+  assert.deepEqual(testCommand(".", "unittest", "tests/test_a.py"), ["python3", "-m", "unittest", "tests.test_a"]);
+  assert.deepEqual(testCommand(".", "jest", "a.test.js"), ["npx", "--no-install", "jest", "--ci", "--runTestsByPath", "a.test.js"]);
+});
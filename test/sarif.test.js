@@ -0,0 +1,82 @@
+// test/sarif.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { fromReviewComment, buildSarifLog, normalizeSarif, loadSarifFiles, uploadSarif } from "../analyzers/sarif.js";
+
+const comments = [
+  { path: "./src/a.js", line: 4, severity: "HIGH", title: "Refund can exceed capture", body: "Details", fingerprint: "fp1", rule_ref: "R-12" },
+  { path: "src/b.js", line: 9, severity: "LOW", title: "eval", body: "eval", engine: "semgrep+llm", rule_id: "no-eval" }
+];
+
+test("export: one run per engine, rules indexed, fingerprints and severity kept", () => {
+  const log = buildSarifLog(comments.map(fromReviewComment), { version: "1.2.3" });
+  assert.equal(log.version, "2.1.0");
+  assert.deepEqual(log.runs.map(r => r.tool.driver.name), ["Neuron", "semgrep"]);
+  assert.deepEqual(log.runs.map(r => r.automationDetails.id), ["neuron/llm/", "neuron/semgrep/"]);
+  const [llm] = log.runs;
+  assert.equal(llm.tool.driver.semanticVersion, "1.2.3");
+  assert.equal(llm.tool.driver.rules[0].id, "R-12");
+  const result = llm.results[0];
+  assert.equal(result.level, "error");
+  assert.equal(result.partialFingerprints["neuron/v1"], "fp1");
+  assert.equal(result.locations[0].physicalLocation.artifactLocation.uri, "src/a.js");
+  assert.equal(log.runs[1].results[0].properties.engines, "semgrep+llm");
+});
+
+test("import: our own export round-trips to the same findings", () => {
+  const findings = comments.map(fromReviewComment);
+  const back = normalizeSarif(buildSarifLog(findings));
+  assert.deepEqual(back.map(f => [f.engine, f.rule_id, f.severity, f.file, f.start_line]),
+    [["neuron", "R-12", "HIGH", "src/a.js", 4], ["semgrep", "no-eval", "LOW", "src/b.js", 9]]);
+});
+
+test("import: severity from security-severity or level; absolute uris made relative; no location skipped", () => {
+  const log = {
+    version: "2.1.0",
+    runs: [{
+      tool: { driver: { name: "CodeQL", rules: [{ id: "js/xss", properties: { "security-severity": "9.1" } }] } },
+      results: [
+        { ruleId: "js/xss", ruleIndex: 0, message: { text: "XSS\nmore" }, locations: [{ physicalLocation: { artifactLocation: { uri: "file:///repo/src/x%20y.js" }, region: { startLine: 3 } } }] },
+        { ruleId: "other", level: "note", message: { text: "n" }, locations: [{ physicalLocation: { artifactLocation: { uri: "a.js" } } }] },
+        { ruleId: "nowhere", message: { text: "no location" } }
+      ]
+    }]
+  };
+  const out = normalizeSarif(log, { root: "/repo" });
+  assert.deepEqual(out.map(f => [f.engine, f.severity, f.file, f.title]), [
+    ["codeql", "CRITICAL", "src/x y.js", "XSS"],
+    ["codeql", "LOW", "a.js", "n"]
+  ]);
+});
+
+test("loadSarifFiles: stays inside the checkout and never echoes file content", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-sarif-"));
+  try {
+    fs.writeFileSync(path.join(dir, "ok.sarif"), JSON.stringify({ version: "2.1.0", runs: [] }));
+    fs.writeFileSync(path.join(dir, "bad.sarif"), "SECRET=hunter2");
+    fs.symlinkSync("/etc/hostname", path.join(dir, "link.sarif"));
+    const { sources, errors } = loadSarifFiles(dir, ["ok.sarif", "bad.sarif", "../outside.sarif", "link.sarif"]);
+    assert.deepEqual(sources, [{ path: "ok.sarif", engines: [], results: 0 }]);
+    assert.deepEqual(errors, [
+      "bad.sarif: not valid JSON",
+      "../outside.sarif: not found in the checkout",
+      "link.sarif: not found in the checkout"
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("uploadSarif: gzipped base64 log; failures are returned, not thrown", async () => {
+  let sent;
+  const gh = { codeScanning: { async uploadSarif(args) { sent = args; return { data: { id: "u1", url: "https://x" } }; } } };
+  const log = buildSarifLog([]);
+  assert.deepEqual(await uploadSarif(gh, { owner: "o", repo: "r", commit_sha: "c", ref: "refs/heads/x", log }), { id: "u1", url: "https://x" });
+  assert.deepEqual(JSON.parse(zlib.gunzipSync(Buffer.from(sent.sarif, "base64"))), log);
+  const denied = { codeScanning: { async uploadSarif() { throw Object.assign(new Error("Resource not accessible"), { status: 403 }); } } };
+  assert.deepEqual(await uploadSarif(denied, { log }), { error: "403: Resource not accessible" });
+});
@@ -0,0 +1,68 @@
+// test/suggestions.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { checkSuggestions, renderSuggestionBlock, renderSuggestionDiff, reviewCommentRange } from "../suggestions.js";
+
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-suggestions-"));
+after(() => fs.rmSync(workdir, { recursive: true, force: true }));
+
+fs.mkdirSync(path.join(workdir, "src"));
+fs.writeFileSync(path.join(workdir, "src/pay.js"), [
+  "export function charge(amount) {",
+  "  const total = amount * 1.2;",
+  "  return fetch(url, { body: total });",
+  "}"
+].join("\n") + "\n");
+const files = [{ filename: "src/pay.js", patch: "@@ -0,0 +1,4 @@\n+export function charge(amount) {\n+  const total = amount * 1.2;\n+  return fetch(url, { body: total });\n+}" }];
+
+function comment(line, suggestion, severity = "MEDIUM") {
+  return { path: "src/pay.js", line, severity, title: "t", body: "b", suggestion };
+}
+
+test("a suggestion matching the checkout survives", () => {
+  const s = { start_line: 2, end_line: 2, original: "  const total = amount * 1.2;  ", replacement: "  const total = Math.round(amount * 120) / 100;" };
+  const { comments, dropped } = checkSuggestions(workdir, [comment(2, s)], files);
+  assert.deepEqual(comments[0].suggestion, s);
+  assert.deepEqual(dropped, []);
+});
+
+test("stale, out-of-range and no-op suggestions are dropped but the comment stays", () => {
+  const cases = [
+    [comment(2, { start_line: 2, end_line: 2, original: "  const total = amount;", replacement: "x" }), /stale/],
+    [comment(3, { start_line: 1, end_line: 2, original: "a", replacement: "b" }), /outside the suggested range/],
+    [comment(4, { start_line: 4, end_line: 9, original: "}", replacement: "};" }), /past the end/],
+    [comment(4, { start_line: 4, end_line: 4, original: "}", replacement: "}" }), /equals the current code/]
+  ];
+  for (const [c, reason] of cases) {
+    const { comments, dropped } = checkSuggestions(workdir, [c], files);
+    assert.equal(comments[0].suggestion, undefined);
+    assert.equal(comments[0].title, "t");
+    assert.match(dropped[0].reason, reason);
+  }
+});
+
+test("overlapping suggestions: the higher severity keeps its range", () => {
+  const low = comment(2, { start_line: 2, end_line: 3, original: "  const total = amount * 1.2;\n  return fetch(url, { body: total });", replacement: "  return fetch(url);" }, "LOW");
+  const high = comment(3, { start_line: 3, end_line: 3, original: "  return fetch(url, { body: total });", replacement: "  return fetch(url, { body: total, signal });" }, "HIGH");
+  const { comments, dropped } = checkSuggestions(workdir, [low, high], files);
+  assert.equal(comments[0].suggestion, undefined);
+  assert.ok(comments[1].suggestion);
+  assert.deepEqual(dropped.map(d => d.reason), ["overlaps another suggestion"]);
+});
+
+test("paths outside the checkout are never read", () => {
+  const c = { ...comment(1, { start_line: 1, end_line: 1, original: "root:x", replacement: "y" }), path: "../../etc/passwd" };
+  assert.match(checkSuggestions(workdir, [c], files).dropped[0].reason, /not in the checkout/);
+});
+
+test("rendering: fences outgrow backticks in the code; ranges anchor on the RIGHT side", () => {
+  assert.equal(renderSuggestionBlock({ replacement: "a ``` b\n" }), "````suggestion\na ``` b\n````");
+  assert.equal(renderSuggestionBlock({ replacement: "" }), "```suggestion\n```");
+  assert.equal(renderSuggestionDiff({ original: "a\n", replacement: "b" }), "```diff\n-a\n+b\n```");
+  assert.deepEqual(reviewCommentRange({ line: 5 }), { line: 5, side: "RIGHT" });
+  assert.deepEqual(reviewCommentRange({ line: 5, suggestion: { start_line: 4, end_line: 6 } }),
+    { start_line: 4, start_side: "RIGHT", line: 6, side: "RIGHT" });
+});
@@ -0,0 +1,49 @@
+// test/summary.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SUMMARY_MARKER, isOwnSummaryComment, parseSummaryState, diffFindings, renderSummary } from "../summary.js";
+
+const finding = (id, engine = "llm") => ({ fingerprint: id, title: `t-${id}`, path: "a.js", line: 1, engine });
+const slimmed = (id, engine = "llm") => ({ id, title: `t-${id}`, path: "a.js", line: 1, engine });
+
+test("only Neuron's own summary comment is trusted", () => {
+  const body = `${SUMMARY_MARKER}\nhi`;
+  assert.equal(isOwnSummaryComment({ user: { login: "neuron[bot]" }, body }, "neuron[bot]"), true);
+  assert.equal(isOwnSummaryComment({ user: { login: "mallory" }, body }, "neuron[bot]"), false);
+  assert.equal(isOwnSummaryComment({ user: { login: "neuron[bot]" }, body: "hi" }, "neuron[bot]"), false);
+  assert.equal(isOwnSummaryComment({ user: { login: "neuron[bot]" }, body }, null), false);
+});
+
+test("diff: new, still open and resolved findings between runs", () => {
+  const previous = [slimmed("a"), slimmed("b"), slimmed("s", "semgrep"), slimmed("d")];
+  const delta = diffFindings(previous, [finding("a"), finding("n")], {
+    reported: ["b"],
+    stateOf: id => (id === "d" ? "dismissed" : undefined)
+  });
+  assert.deepEqual(delta.added.map(f => f.id), ["n"]);
+  assert.deepEqual(delta.open.map(f => f.id), ["a", "b"]);                    // LLM findings stay open until fixed
+  assert.deepEqual(delta.resolved.map(f => [f.id, f.how]), [["s", "resolved"], ["d", "dismissed"]]);
+});
+
+test("render + parse round-trip: state survives, history is capped, --> can't break out", () => {
+  let body = "";
+  for (let i = 1; i <= 12; i++) {
+    const previous = parseSummaryState(body);
+    const current = [{ ...finding(`f${i}`), title: "evil --> <b>" }];
+    const delta = diffFindings(previous.findings, current);
+    body = renderSummary(`run ${i}`, { previous, run: { sha: `sha${i}`, findings: 1 }, delta, hasPrevious: i > 1 });
+  }
+  const state = parseSummaryState(body);
+  assert.equal(state.runs.length, 10);
+  assert.equal(state.runs.at(-1).sha, "sha12");
+  assert.equal(state.findings.length, 12);
+  assert.equal(state.findings[0].title, "evil --> <b>");
+  const stateLine = body.split("\n").find(l => l.startsWith("<!-- neuron:state "));
+  assert.equal(stateLine.match(/-->/g).length, 1); // only the block's own terminator
+  assert.match(body, /Earlier runs \(5\)/);
+  assert.match(body, /🆕 New: \*\*1\*\*/);
+});
+
+test("a state block that isn't JSON is ignored", () => {
+  assert.deepEqual(parseSummaryState("<!-- neuron:state {nope -->"), { runs: [], findings: [] });
+});
@@ -0,0 +1,62 @@
+// test/test-detect.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { detectTestSetup, isTestPath, defaultTestPath } from "../test-detect.js";
+import { applyPlan } from "../pipeline.js";
+
+function repo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-test-detect-"));
+  for (const [rel, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), text);
+  }
+  return dir;
+}
+
+test("isTestPath: each language's own naming; unknown languages never match", () => {
+  assert.equal(isTestPath("javascript", "src/__tests__/a.js"), true);
+  assert.equal(isTestPath("javascript", "src/a.spec.mjs"), true);
+  assert.equal(isTestPath("javascript", "src/a.js"), false);
+  assert.equal(isTestPath("python", "tests\\test_app.py"), true);
+  assert.equal(isTestPath("java", "src/main/java/App.java"), false);
+  assert.equal(isTestPath("ruby", "lib/app.rb"), false);
+  assert.equal(isTestPath(undefined, "index.js"), false);
+});
+
+test("detectTestSetup: conventions come from the repo's existing tests", () => {
+  const dir = repo({
+    "package.json": JSON.stringify({ devDependencies: { vitest: "^1.0.0" } }),
+    "src/a.js": "",
+    "src/a.test.js": "",
+    "src/b.test.js": ""
+  });
+  try {
+    const { setup } = detectTestSetup(dir, ["javascript"]);
+    assert.equal(setup.javascript.framework, "vitest");
+    assert.equal(setup.javascript.conventions.kind, "colocated");
+    assert.equal(defaultTestPath(setup, "javascript", "src/c.js"), "src/neuron.generated.test.js");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("defaultTestPath: built-in layouts, and nothing for an unknown language", () => {
+  assert.equal(defaultTestPath({}, "python", "app/x.py"), "tests/test_neuron_generated.py");
+  assert.equal(defaultTestPath({}, "go", "pkg/x.go"), "pkg/neuron_generated_test.go");
+  assert.equal(defaultTestPath({}, "ruby", "lib/app.rb"), "");
+});
+
+test("applyPlan: a test in an unknown language can't overwrite a source file", async () => {
+  const dir = repo({ "lib/app.rb": "puts 1\n" });
+  try {
+    const plan = { tests: [{ language: "ruby", framework: "rspec", path: "lib/app.rb", mode: "replace", content: "# test" }] };
+    const { tests_written } = await applyPlan(dir, plan);
+    assert.deepEqual(tests_written, [path.normalize("__tests__/neuron.generated.test.js")]);
+    assert.equal(fs.readFileSync(path.join(dir, "lib/app.rb"), "utf8"), "puts 1\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
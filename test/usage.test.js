@@ -0,0 +1,95 @@
+// test/usage.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  DEFAULT_RATES, resolveRates, resolveQuotas, priceUsage, unpricedQuotaWarning, createUsageLedger, withUsageMeter
+} from "../usage.js";
+
+function ledgerFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuron-usage-"));
+  return { dir, file: path.join(dir, "usage.jsonl") };
+}
+
+test("pricing: longest model prefix wins; unknown models cost 0 and are flagged", () => {
+  const usage = { prompt_tokens: 1e6, completion_tokens: 1e6 };
+  assert.deepEqual(priceUsage(DEFAULT_RATES, "gpt-4o-mini-2024-07-18", usage), { cost_usd: 0.75, priced: true });
+  assert.deepEqual(priceUsage(DEFAULT_RATES, "gpt-4o", usage), { cost_usd: 12.5, priced: true });
+  assert.deepEqual(priceUsage(DEFAULT_RATES, "reviewer-prod", usage), { cost_usd: 0, priced: false });
+  const { rates, errors } = resolveRates({ "Reviewer-Prod": { prompt: 1, completion: 2 }, bad: { prompt: -1 } });
+  assert.equal(priceUsage(rates, "reviewer-prod", usage).cost_usd, 3);
+  assert.equal(errors.length, 1);
+});
+
+test("quota settings: bad entries are reported and skipped", () => {
+  const { quotas, errors } = resolveQuotas({
+    default: { daily_usd: 5 },
+    repos: { "Acme/API": { monthly_tokens: 1000, weekly_usd: 1 }, nope: { daily_usd: 1 } }
+  });
+  assert.deepEqual(quotas.repos, { "acme/api": { monthly_tokens: 1000 } });
+  assert.equal(errors.length, 2);
+  assert.match(unpricedQuotaWarning(DEFAULT_RATES, quotas, "reviewer-prod"), /USD quotas will never trip/);
+  assert.equal(unpricedQuotaWarning(DEFAULT_RATES, quotas, "gpt-4o"), null);
+});
+
+test("ledger: quotas trip per repo and per UTC day, and survive a restart", () => {
+  const { dir, file } = ledgerFile();
+  let t = Date.parse("2025-03-10T23:00:00Z");
+  const now = () => t;
+  const { quotas } = resolveQuotas({ default: { daily_tokens: 1500 }, orgs: { acme: { monthly_usd: 1 } } });
+  try {
+    const ledger = createUsageLedger({ file, quotas, now });
+    ledger.record({ owner: "acme", repo: "api", pr: 1, run_id: "r1" }, { provider: "openai", model: "gpt-4o", usage: { prompt_tokens: 1000, completion_tokens: 0 } });
+    assert.equal(ledger.checkQuota("acme", "api"), null);
+    ledger.record({ owner: "acme", repo: "api", pr: 1 }, { provider: "openai", model: "gpt-4o", usage: { prompt_tokens: 600, completion_tokens: 0 } });
+    const hit = ledger.checkQuota("acme", "api");
+    assert.deepEqual([hit.scope, hit.period, hit.unit, hit.spent], ["repo", "daily", "tokens", 1600]);
+    assert.equal(hit.resets_at, "2025-03-11T00:00:00.000Z");
+    assert.equal(ledger.checkQuota("acme", "web"), null); // another repo has its own default budget
+
+    t = Date.parse("2025-03-11T01:00:00Z");
+    const reloaded = createUsageLedger({ file, quotas, now });
+    assert.equal(reloaded.checkQuota("acme", "api"), null);
+    assert.equal(reloaded.summary({ repo: "acme/api" }).totals.total_tokens, 1600);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("ledger: torn lines and expired entries are compacted away on load", () => {
+  const { dir, file } = ledgerFile();
+  const entry = ts => JSON.stringify({ ts, repo: "acme/api", prompt_tokens: 1, completion_tokens: 1, cost_usd: 0, priced: true });
+  fs.writeFileSync(file, [entry("2020-01-01T00:00:00.000Z"), entry("2025-03-01T00:00:00.000Z"), "{\"ts\":"].join("\n") + "\n");
+  try {
+    const ledger = createUsageLedger({ file, now: () => Date.parse("2025-03-10T00:00:00Z") });
+    assert.equal(ledger.summary().totals.calls, 1);
+    assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("summary groups by model, most expensive first", () => {
+  const { dir, file } = ledgerFile();
+  try {
+    const ledger = createUsageLedger({ file, now: () => Date.parse("2025-03-10T00:00:00Z") });
+    const ctx = { owner: "acme", repo: "api", pr: 7 };
+    ledger.record(ctx, { provider: "openai", model: "gpt-4o-mini", usage: { prompt_tokens: 1e6, completion_tokens: 0 } });
+    ledger.record(ctx, { provider: "openai", model: "gpt-4o", usage: { prompt_tokens: 1e6, completion_tokens: 0 } });
+    const { groups, totals } = ledger.summary({ pr: 7, group_by: "model" });
+    assert.deepEqual(groups.map(g => [g.key, g.cost_usd]), [["openai:gpt-4o", 2.5], ["openai:gpt-4o-mini", 0.15]]);
+    assert.equal(totals.cost_usd, 2.65);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("withUsageMeter reports every completion and passes options through", async () => {
+  const seen = [];
+  const provider = { name: "p", model: "m", async complete(_m, opts) { return { content: opts.tag, usage: { prompt_tokens: 3, completion_tokens: 4 } }; } };
+  const metered = withUsageMeter(provider, call => seen.push(call));
+  assert.equal((await metered.complete([], { tag: "x" })).content, "x");
+  assert.deepEqual(seen, [{ provider: "p", model: "m", usage: { prompt_tokens: 3, completion_tokens: 4 } }]);
+});
@@ -0,0 +1,348 @@
+// usage.js
+// LLM cost accounting: every completion's token usage is appended to a JSON Lines
+// ledger under NEURON_DATA_DIR (org, repo, PR, run, model, tokens, priced cost), so
+// `/usage` can answer "what does this repo cost us?" and quotas can stop a run before
+// it spends more.
+//  - rates are USD per 1M tokens by model-name prefix (longest prefix wins); operators
+//    override/extend them with NEURON_LLM_RATES
+//  - quotas are daily/monthly, in USD and/or tokens, per org and per repo (NEURON_QUOTAS);
+//    periods are UTC calendar days/months
+//  - entries older than RETENTION_DAYS are dropped when the ledger is compacted on load
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+
+const RETENTION_DAYS = 400;
+const DEFAULT_LIMIT_GROUPS = 100;
+
+// USD per 1M tokens; public list prices, override for negotiated/Azure pricing
+export const DEFAULT_RATES = {
+  "gpt-4.1-nano": { prompt: 0.1, completion: 0.4 },
+  "gpt-4.1-mini": { prompt: 0.4, completion: 1.6 },
+  "gpt-4.1": { prompt: 2, completion: 8 },
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  "gpt-4-turbo": { prompt: 10, completion: 30 },
+  "gpt-4-32k": { prompt: 60, completion: 120 },
+  "gpt-4": { prompt: 30, completion: 60 },
+  "gpt-35-turbo": { prompt: 0.5, completion: 1.5 },
+  "gpt-3.5-turbo": { prompt: 0.5, completion: 1.5 },
+  "o4-mini": { prompt: 1.1, completion: 4.4 },
+  "o3-mini": { prompt: 1.1, completion: 4.4 },
+  "o3": { prompt: 2, completion: 8 },
+  "mock": { prompt: 0, completion: 0 }
+};
+
+const QUOTA_KEYS = ["daily_usd", "monthly_usd", "daily_tokens", "monthly_tokens"];
+
+// Settings are inline JSON or a path to a JSON file; bad input is reported, not fatal
+export function readJsonSetting(value, name) {
+  const raw = String(value || "").trim();
+  if (!raw) return { value: null, error: null };
+  try {
+    const text = raw.startsWith("{") ? raw : fs.readFileSync(raw, "utf8");
+    return { value: JSON.parse(text), error: null };
+  } catch (e) {
+    return { value: null, error: `${name}: ${e?.message || String(e)}` };
+  }
+}
+
+/**
+ * rates: { "<model prefix>": { prompt, completion } } merged over DEFAULT_RATES
+ * -> { rates, errors }
+ */
+export function resolveRates(overrides) {
+  const rates = { ...DEFAULT_RATES };
+  const errors = [];
+  for (const [model, r] of Object.entries(overrides || {})) {
+    if (!r || !Number.isFinite(r.prompt) || !Number.isFinite(r.completion) || r.prompt < 0 || r.completion < 0) {
+      errors.push(`rate for "${model}" needs non-negative numbers "prompt" and "completion" (USD per 1M tokens)`);
+      continue;
+    }
+    rates[model.toLowerCase()] = { prompt: r.prompt, completion: r.completion };
+  }
+  return { rates, errors };
+}
+
+/**
+ * quotas: { default?: limits, orgs?: { org: limits }, repos?: { "org/repo": limits } }
+ * limits: { daily_usd?, monthly_usd?, daily_tokens?, monthly_tokens? }
+ * `default` applies to every repo without its own entry. -> { quotas, errors }
+ */
+export function resolveQuotas(input) {
+  const quotas = { default: null, orgs: {}, repos: {} };
+  const errors = [];
+  if (!input) return { quotas, errors };
+  const clean = (limits, where) => {
+    if (!limits || typeof limits !== "object") {
+      errors.push(`${where}: expected an object of limits`);
+      return null;
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(limits)) {
+      if (!QUOTA_KEYS.includes(k)) errors.push(`${where}: unknown limit "${k}" (allowed: ${QUOTA_KEYS.join(", ")})`);
+      else if (!Number.isFinite(v) || v < 0) errors.push(`${where}.${k}: expected a non-negative number`);
+      else out[k] = v;
+    }
+    return Object.keys(out).length ? out : null;
+  };
+  if (input.default) quotas.default = clean(input.default, "default");
+  for (const [org, limits] of Object.entries(input.orgs || {})) {
+    const l = clean(limits, `orgs.${org}`);
+    if (l) quotas.orgs[org.toLowerCase()] = l;
+  }
+  for (const [repo, limits] of Object.entries(input.repos || {})) {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      errors.push(`repos.${repo}: expected "owner/repo"`);
+      continue;
+    }
+    const l = clean(limits, `repos.${repo}`);
+    if (l) quotas.repos[repo.toLowerCase()] = l;
+  }
+  return { quotas, errors };
+}
+
+function rateFor(rates, model) {
+  const m = String(model || "").toLowerCase();
+  let best = null;
+  for (const prefix of Object.keys(rates)) {
+    if (m.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+  }
+  return best ? rates[best] : null;
+}
+
+// -> { cost_usd, priced }; unknown models cost 0 but are flagged so the gap is visible
+export function priceUsage(rates, model, usage) {
+  const rate = rateFor(rates, model);
+  if (!rate) return { cost_usd: 0, priced: false };
+  const cost = ((usage?.prompt_tokens || 0) * rate.prompt + (usage?.completion_tokens || 0) * rate.completion) / 1e6;
+  return { cost_usd: Math.round(cost * 1e6) / 1e6, priced: true };
+}
+
+/**
+ * A USD quota can't trip when every call is priced at $0. -> warning text when some quota
+ * is in USD and `model` has no rate (Azure deployments need AZURE_OPENAI_MODEL), else null
+ */
+export function unpricedQuotaWarning(rates, quotas, model) {
+  const limits = [quotas.default, ...Object.values(quotas.orgs), ...Object.values(quotas.repos)].filter(Boolean);
+  if (!limits.some(l => "daily_usd" in l || "monthly_usd" in l)) return null;
+  if (rateFor(rates, model)) return null;
+  return `no LLM rate for model "${model}": USD quotas will never trip (set NEURON_LLM_RATES, or AZURE_OPENAI_MODEL for Azure)`;
+}
+
+// Same provider shape; onUsage({ provider, model, usage }) fires after every completion
+export function withUsageMeter(provider, onUsage) {
+  return {
+    ...provider,
+    async complete(messages, opts) {
+      const resp = await provider.complete(messages, opts);
+      if (resp?.usage) onUsage({ provider: provider.name, model: provider.model, usage: resp.usage });
+      return resp;
+    }
+  };
+}
+
+function dayOf(ts) {
+  return ts.slice(0, 10);
+}
+
+function monthOf(ts) {
+  return ts.slice(0, 7);
+}
+
+// UTC midnight after the current day / first of next month
+function resetsAt(period, now) {
+  const d = new Date(now);
+  const next = period === "daily"
+    ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)
+    : Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return new Date(next).toISOString();
+}
+
+function emptyTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0, unpriced_calls: 0 };
+}
+
+function addTo(t, e) {
+  t.calls++;
+  t.prompt_tokens += e.prompt_tokens;
+  t.completion_tokens += e.completion_tokens;
+  t.total_tokens += e.prompt_tokens + e.completion_tokens;
+  t.cost_usd = Math.round((t.cost_usd + e.cost_usd) * 1e6) / 1e6;
+  if (!e.priced) t.unpriced_calls++;
+}
+
+function loadEntries(file, cutoff) {
+  let text = "";
+  try { text = fs.readFileSync(file, "utf8"); } catch { return { entries: [], dropped: 0 }; }
+  const entries = [];
+  let dropped = 0;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (e?.ts && e.ts >= cutoff) entries.push(e);
+      else dropped++;
+    } catch { dropped++; /* torn write from a crash */ }
+  }
+  return { entries, dropped };
+}
+
+export function createUsageLedger({ file, rates = DEFAULT_RATES, quotas = resolveQuotas(null).quotas, now = () => Date.now() }) {
+  const cutoff = new Date(now() - RETENTION_DAYS * 86400000).toISOString();
+  const { entries, dropped } = loadEntries(file, cutoff);
+  if (dropped) {
+    try {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : ""), "utf8");
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log.warn("could not compact usage ledger", { error: e?.message || String(e) });
+    }
+  }
+
+  // Running totals per scope and period, so quota checks don't rescan the ledger
+  const totals = new Map();
+  const bump = (key, e) => {
+    if (!totals.has(key)) totals.set(key, emptyTotals());
+    addTo(totals.get(key), e);
+  };
+  const index = e => {
+    const org = e.repo.split("/")[0];
+    for (const [period, p] of [["daily", dayOf(e.ts)], ["monthly", monthOf(e.ts)]]) {
+      bump(`repo|${e.repo}|${period}|${p}`, e);
+      bump(`org|${org}|${period}|${p}`, e);
+    }
+  };
+  entries.forEach(index);
+
+  /**
+   * One completion. ctx: { owner, repo, pr, run_id }; call: { provider, model, usage }
+   * -> the stored entry (with cost_usd)
+   */
+  function record(ctx, { provider, model, usage }) {
+    const prompt = Number(usage?.prompt_tokens) || 0;
+    const completion = Number(usage?.completion_tokens) || 0;
+    const { cost_usd, priced } = priceUsage(rates, model, { prompt_tokens: prompt, completion_tokens: completion });
+    const entry = {
+      ts: new Date(now()).toISOString(),
+      repo: `${ctx.owner}/${ctx.repo}`.toLowerCase(),
+      pr: ctx.pr || null,
+      run_id: ctx.run_id || null,
+      provider: provider || null,
+      model: model || null,
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      cost_usd,
+      priced
+    };
+    entries.push(entry);
+    index(entry);
+    if (!priced) log.warn("no LLM rate for model; usage recorded at $0", { model });
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+    } catch (e) {
+      log.warn("could not persist LLM usage", { error: e?.message || String(e) });
+    }
+    return entry;
+  }
+
+  function limitsFor(owner, repo) {
+    const full = `${owner}/${repo}`.toLowerCase();
+    return {
+      repo: quotas.repos[full] || quotas.default,
+      org: quotas.orgs[String(owner).toLowerCase()] || null
+    };
+  }
+
+  /**
+   * Current spend vs every limit that applies to owner/repo.
+   * -> [{ scope: repo|org, key, period, unit: usd|tokens, limit, spent, exhausted, resets_at }]
+   */
+  function quotaStatus(owner, repo) {
+    const t = now();
+    const ts = new Date(t).toISOString();
+    const limits = limitsFor(owner, repo);
+    const keys = { repo: `${owner}/${repo}`.toLowerCase(), org: String(owner).toLowerCase() };
+    const out = [];
+    for (const scope of ["repo", "org"]) {
+      const l = limits[scope];
+      if (!l) continue;
+      for (const period of ["daily", "monthly"]) {
+        const p = period === "daily" ? dayOf(ts) : monthOf(ts);
+        const spent = totals.get(`${scope}|${keys[scope]}|${period}|${p}`) || emptyTotals();
+        for (const unit of ["usd", "tokens"]) {
+          const limit = l[`${period}_${unit}`];
+          if (limit === undefined) continue;
+          const value = unit === "usd" ? spent.cost_usd : spent.total_tokens;
+          out.push({
+            scope, key: keys[scope], period, unit, limit,
+            spent: value,
+            exhausted: value >= limit,
+            resets_at: resetsAt(period, t)
+          });
+        }
+      }
+    }
+    return out;
+  }
+
+  // First exhausted limit (repo before org, daily before monthly), or null
+  function checkQuota(owner, repo) {
+    return quotaStatus(owner, repo).find(q => q.exhausted) || null;
+  }
+
+  /**
+   * filter: { org, repo, pr, since, until, group_by: repo|org|pr|model|day|month, limit }
+   * -> { totals, groups: [{ key, ...totals }] } ordered by cost, then tokens
+   */
+  function summary(filter = {}) {
+    const org = filter.org ? String(filter.org).toLowerCase() : null;
+    const repo = filter.repo ? String(filter.repo).toLowerCase() : null;
+    const isoOf = v => (v && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : null);
+    const since = isoOf(filter.since);
+    const until = isoOf(filter.until);
+    const groupBy = filter.group_by || null;
+    const keyOf = {
+      repo: e => e.repo,
+      org: e => e.repo.split("/")[0],
+      pr: e => `${e.repo}#${e.pr ?? "-"}`,
+      model: e => `${e.provider || "?"}:${e.model || "?"}`,
+      day: e => dayOf(e.ts),
+      month: e => monthOf(e.ts)
+    }[groupBy];
+
+    const all = emptyTotals();
+    const groups = new Map();
+    for (const e of entries) {
+      if (org && e.repo.split("/")[0] !== org) continue;
+      if (repo && e.repo !== repo) continue;
+      if (filter.pr && Number(e.pr) !== Number(filter.pr)) continue;
+      if (since && e.ts < since) continue;
+      if (until && e.ts > until) continue;
+      addTo(all, e);
+      if (keyOf) {
+        const k = keyOf(e);
+        if (!groups.has(k)) groups.set(k, emptyTotals());
+        addTo(groups.get(k), e);
+      }
+    }
+    const limit = Math.max(Number(filter.limit) || DEFAULT_LIMIT_GROUPS, 1);
+    return {
+      totals: all,
+      ...(keyOf
+        ? {
+          group_by: groupBy,
+          groups: [...groups]
+            .map(([key, t]) => ({ key, ...t }))
+            .sort((a, b) => b.cost_usd - a.cost_usd || b.total_tokens - a.total_tokens)
+            .slice(0, limit)
+        }
+        : {})
+    };
+  }
+
+  return { record, quotaStatus, checkQuota, summary };
+}